@@ -59,6 +59,9 @@ def request(flow: http.HTTPFlow):
         if h in nf.request.headers:
             del nf.request.headers[h]
     nf.request.headers["X-Mirrored-From"] = flow.request.pretty_url
+    # Device address, so the validator can route concurrent devices (ROUTING_KEY=header:x-client-ip)
+    if flow.client_conn and flow.client_conn.peername:
+        nf.request.headers["X-Client-Ip"] = flow.client_conn.peername[0]
 
     # 7) Fire-and-forget replay of the copy
     ctx.master.commands.call("replay.client", [nf])
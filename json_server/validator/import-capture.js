@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Offline validation of a traffic capture: posts a HAR file, mitmproxy flow file or JSONL
+// capture to POST /imports, which replays the analytics requests into a new session, then
+// prints a per-flow summary and exits non-zero if anything is invalid.
+//
+//   node import-capture.js <capture> [--rules <import.json|.yaml>] [--flow <flowId>]
+//                          [--include <regex>]... [--exclude <regex>]... [--format har|mitmproxy|jsonl]
+//                          [--url <validator>] [--embedded] [--report <file>]
+//
+// Rules file (JSON or YAML; flags add to it):
+//   {
+//     "include": ["/v1/track", "analytics\\.example\\.com"],   // regexes on the request URL
+//     "exclude": ["\\.png$"],
+//     "flows": [                                                // first match wins (see lib/capture.js)
+//       { "flowId": "login", "name": "Login", "to": "2m" },
+//       { "flowId": "checkout", "match": { "data.event_name": { "regex": "^Checkout" } } }
+//     ],
+//     "defaultFlow": "other"                                    // events no rule claims (else skipped)
+//   }
+//
+// Exit codes: 0 every message valid and every verdict Passed, 1 failures or nothing imported, 2 error.
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { createClient, startEmbedded, printSummary, writeReport } = require("./run-scenario");
+
+const USAGE = "Usage: node import-capture.js <capture> [--rules <file>] [--flow <flowId>] [--include <regex>]... [--exclude <regex>]... " +
+  "[--format har|mitmproxy|jsonl] [--url <validator>] [--embedded] [--report <file>]";
+
+function parseArgs(argv) {
+  const args = { file: null, rules: null, flow: null, include: [], exclude: [], format: null, url: null, embedded: false, report: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "--rules") args.rules = value();
+    else if (a === "--flow") args.flow = value();
+    else if (a === "--include") args.include.push(value());
+    else if (a === "--exclude") args.exclude.push(value());
+    else if (a === "--format") args.format = value();
+    else if (a === "--url") args.url = value();
+    else if (a === "--embedded") args.embedded = true;
+    else if (a === "--report") args.report = value();
+    else if (a === "-h" || a === "--help") args.help = true;
+    else if (a.startsWith("-")) throw new Error(`Unknown option ${a}`);
+    else if (!args.file) args.file = a;
+    else throw new Error(`Unexpected argument ${a}`);
+  }
+  return args;
+}
+
+function loadRules(file) {
+  if (!file) return {};
+  let raw;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    raw = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Cannot read rules ${file}: ${e.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`Invalid rules ${file}: expected an object`);
+  return raw;
+}
+
+// Import options -> POST /imports query string
+function importQuery(options) {
+  const q = new URLSearchParams();
+  if (options.format) q.set("format", options.format);
+  if (options.file) q.set("file", options.file);
+  [].concat(options.include || []).forEach(re => q.append("include", re));
+  [].concat(options.exclude || []).forEach(re => q.append("exclude", re));
+  if (options.flows?.length) q.set("flows", JSON.stringify(options.flows));
+  if (options.defaultFlow) q.set("defaultFlow", options.defaultFlow);
+  return q.toString();
+}
+
+async function run(args) {
+  const rules = loadRules(args.rules);
+  const options = {
+    ...rules,
+    format: args.format || rules.format || null,
+    file: path.basename(args.file),
+    include: [...[].concat(rules.include || []), ...args.include],
+    exclude: [...[].concat(rules.exclude || []), ...args.exclude],
+    defaultFlow: args.flow || rules.defaultFlow || null
+  };
+  let capture;
+  try {
+    capture = fs.readFileSync(args.file);
+  } catch (e) {
+    throw new Error(`Cannot read capture ${args.file}: ${e.message}`);
+  }
+
+  const baseURL = args.embedded
+    ? await startEmbedded()
+    : (args.url || process.env.VALIDATOR_URL || "http://localhost:8000").replace(/\/+$/, "");
+  const client = createClient(baseURL);
+  console.log(`Validator: ${baseURL}${args.embedded ? " (embedded)" : ""}`);
+
+  const res = await client.call("post", `/imports?${importQuery(options)}`, capture, { headers: { "Content-Type": "application/octet-stream" } });
+  if (res.status !== 200) throw new Error(`Import -> ${res.status}: ${res.data?.error || JSON.stringify(res.data)}`);
+  const summary = res.data;
+  console.log(`Imported ${summary.format} capture ${options.file}: ${summary.requests} requests, ${summary.selected} selected, ${summary.events} events`);
+  if (summary.unassigned) console.log(`  ${summary.unassigned} events matched no flow rule (skipped)`);
+  summary.skipped.forEach(s => console.log(`  skipped request ${s.index + 1} ${s.url || ""}: ${s.reason}`));
+
+  const model = await client.expectOk("get", `/sessions/${summary.sessionId}/export.json`);
+  printSummary(model, {});
+  if (args.report) await writeReport(client, summary.sessionId, path.resolve(args.report), null);
+
+  const failed = summary.events === 0 || model.totals.invalid > 0 ||
+    model.sessions.some(s => s.flows.some(f => f.verdict && f.verdict.status !== "Passed"));
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 2);
+  }
+  run(args)
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error(`Error: ${e.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { run, parseArgs, importQuery };
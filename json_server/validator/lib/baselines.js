@@ -0,0 +1,89 @@
+// lib/baselines.js
+// Recorded flow runs ("golden baselines") next to the flow's schemas:
+//
+//   <baseDir>/flows/<flowId>/baselines/<name>.json
+//   { name, flowId, recordedAt, source: { sessionId, flowId, name }, events: [{ messageId, timestamp, payload }] }
+//
+// The subfolder keeps recordings out of schema loading (only top-level *.json
+// files are schemas). Comparison lives in validators/baseline.js.
+const fs = require("fs");
+const path = require("path");
+
+const FLOW_ID = /^[A-Za-z0-9_]+$/;
+const NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+function httpError(status, msg) {
+  const e = new Error(msg);
+  e.status = status;
+  return e;
+}
+
+function createBaselineStore({ baseDir }) {
+  const cache = new Map(); // abs path -> { mtimeMs, baseline }
+
+  function dirOf(flowId) {
+    if (!FLOW_ID.test(flowId || "")) throw httpError(400, "flowId must be alphanumeric or underscore");
+    return path.join(baseDir, "flows", flowId, "baselines");
+  }
+  function fileOf(flowId, name) {
+    if (!NAME.test(name || "")) throw httpError(400, `Invalid baseline name "${name}" (letters, digits, _ . -)`);
+    return path.join(dirOf(flowId), `${name}.json`);
+  }
+
+  function read(flowId, name) {
+    const p = fileOf(flowId, name);
+    if (!fs.existsSync(p)) throw httpError(404, `Baseline ${name} not found for flow ${flowId}`);
+    const { mtimeMs } = fs.statSync(p);
+    const hit = cache.get(p);
+    if (hit && hit.mtimeMs === mtimeMs) return hit.baseline;
+    const baseline = JSON.parse(fs.readFileSync(p, "utf8"));
+    cache.set(p, { mtimeMs, baseline });
+    return baseline;
+  }
+
+  return {
+    /** Recordings of a flow, newest first: [{ name, recordedAt, events, source }] */
+    list(flowId) {
+      const dir = dirOf(flowId);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(f => f.endsWith(".json") && NAME.test(f.slice(0, -5)))
+        .map(f => {
+          try {
+            const b = read(flowId, f.slice(0, -5));
+            return { name: b.name, recordedAt: b.recordedAt, events: (b.events || []).length, source: b.source || null };
+          } catch (e) {
+            return { name: f.slice(0, -5), recordedAt: null, events: 0, source: null, error: e.message };
+          }
+        })
+        .sort((a, b) => String(b.recordedAt || "").localeCompare(String(a.recordedAt || "")));
+    },
+
+    read,
+
+    /** Record a run; refuses to replace an existing baseline unless `overwrite` */
+    save(flowId, name, { source, messages }, { overwrite = false } = {}) {
+      const p = fileOf(flowId, name);
+      if (fs.existsSync(p) && !overwrite) throw httpError(409, `Baseline ${name} already exists (pass overwrite: true to replace it)`);
+      const baseline = {
+        name,
+        flowId,
+        recordedAt: new Date().toISOString(),
+        source,
+        events: messages.map(m => ({ messageId: m.messageId, timestamp: m.timestamp, payload: m.payload ?? null }))
+      };
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(p, JSON.stringify(baseline, null, 2));
+      return baseline;
+    },
+
+    remove(flowId, name) {
+      const p = fileOf(flowId, name);
+      if (!fs.existsSync(p)) throw httpError(404, `Baseline ${name} not found for flow ${flowId}`);
+      fs.unlinkSync(p);
+      cache.delete(p);
+    }
+  };
+}
+
+module.exports = { createBaselineStore };
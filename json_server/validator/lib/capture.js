@@ -0,0 +1,334 @@
+// lib/capture.js
+// Offline imports: read a traffic capture, keep the analytics requests and say which flow
+// each event belongs to (POST /imports, import-capture.js).
+//
+// Captures (format detected from the content unless given):
+//   har        HAR 1.2 (browser dev tools, Charles, Proxyman, mitmproxy "Export as HAR")
+//   mitmproxy  a mitmproxy / mitmdump flow file (`mitmdump -w capture.flows`)
+//   jsonl      one JSON value per line: a request { request: { url, method?, headers?, body }, timestamp? }
+//              or a tee-proxy request event ({ direction: "request", url, … }; responses are
+//              skipped), else a bare event payload
+//
+//   parseCapture(buf, { format }) -> { format, requests: [{ index, method, url, headers, body, timestamp }] }
+//   compileImport(options) -> { selects(request), assign(request, payload, start) }
+//
+// Options (all optional but one of flows / defaultFlow):
+//   include / exclude   regexes on the request URL; empty include = every request
+//   flows               rules, first match wins; every condition given must hold:
+//     { "flowId": "login", "name": "Login",
+//       "url": "/v1/track",                               regex on the request URL
+//       "from": "2026-10-19T09:00:00Z", "to": "5m",       time window (inclusive): an ISO timestamp or a
+//                                                         duration since the first request in the capture
+//       "match": { "data.event_name": { "regex": "^Accounts >" } } }   payload fields (validators/match.js)
+//   defaultFlow         flow for events no rule claims (else they are skipped)
+const zlib = require("zlib");
+const { compileMatch } = require("../validators/match");
+const { parseDuration } = require("./config");
+
+const FORMATS = ["har", "mitmproxy", "jsonl"];
+
+function badRequest(msg) {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+}
+
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+function isoTime(v) {
+  if (v == null || v === "") return null;
+  const t = typeof v === "number" ? v : Date.parse(v);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// Header list ([{ name, value }] or [[name, value]]) or object -> { lower-case name: value }
+function headerObject(h) {
+  const out = {};
+  const entries = Array.isArray(h) ? h.map(e => (Array.isArray(e) ? e : [e?.name, e?.value])) : Object.entries(h || {});
+  for (const [k, v] of entries) {
+    if (k == null) continue;
+    const name = String(k).toLowerCase();
+    out[name] = name in out ? `${out[name]}, ${v}` : String(v);
+  }
+  return out;
+}
+
+/* ===== HAR ===== */
+
+function parseHar(text) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (e) {
+    throw badRequest(`HAR is not valid JSON: ${e.message}`);
+  }
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) throw badRequest("HAR has no log.entries");
+  return entries.map((e, index) => {
+    const req = e.request || {};
+    const post = req.postData || {};
+    const headers = headerObject(req.headers);
+    let body = Buffer.from("");
+    if (typeof post.text === "string") {
+      body = Buffer.from(post.text, post.encoding === "base64" ? "base64" : "utf8");
+    } else if (Array.isArray(post.params)) {
+      // Some tools keep form posts as params only
+      body = Buffer.from(new URLSearchParams(post.params.map(p => [p.name, p.value ?? ""])).toString());
+      headers["content-type"] = "application/x-www-form-urlencoded";
+    }
+    if (post.mimeType && !headers["content-type"]) headers["content-type"] = post.mimeType;
+    // HAR bodies are already decoded text
+    delete headers["content-encoding"];
+    return { index, method: (req.method || "GET").toUpperCase(), url: req.url || null, headers, body, timestamp: isoTime(e.startedDateTime) };
+  });
+}
+
+/* ===== mitmproxy flow files (a stream of tnetstrings) ===== */
+
+// One tnetstring at `pos` -> [value, next position]; bytes stay Buffers
+function readTnetstring(buf, pos) {
+  const colon = buf.indexOf(0x3a, pos);
+  if (colon === -1 || colon - pos > 12) throw new Error(`bad length prefix at byte ${pos}`);
+  const len = Number(buf.toString("latin1", pos, colon));
+  if (!Number.isInteger(len)) throw new Error(`bad length prefix at byte ${pos}`);
+  const start = colon + 1;
+  const end = start + len;
+  if (end >= buf.length) throw new Error(`truncated value at byte ${pos}`);
+  const data = buf.subarray(start, end);
+  const type = String.fromCharCode(buf[end]);
+  const next = end + 1;
+  const text = () => data.toString("utf8");
+  switch (type) {
+    case ",": return [Buffer.from(data), next];
+    case ";": return [text(), next];
+    case "#": return [Number(text()), next];
+    case "^": return [Number(text()), next];
+    case "!": return [text() === "true", next];
+    case "~": return [null, next];
+    case "]": {
+      const out = [];
+      for (let p = 0; p < data.length;) {
+        const [v, n] = readTnetstring(data, p);
+        out.push(v);
+        p = n;
+      }
+      return [out, next];
+    }
+    case "}": {
+      const out = {};
+      for (let p = 0; p < data.length;) {
+        const [k, n1] = readTnetstring(data, p);
+        const [v, n2] = readTnetstring(data, n1);
+        out[Buffer.isBuffer(k) ? k.toString("utf8") : String(k)] = v;
+        p = n2;
+      }
+      return [out, next];
+    }
+    default: throw new Error(`unknown type "${type}" at byte ${end}`);
+  }
+}
+
+const str = (v) => (Buffer.isBuffer(v) ? v.toString("utf8") : v == null ? "" : String(v));
+
+// mitmproxy keeps the body as sent; undo gzip / deflate / br so the decoders see the payload
+function decodeContent(body, encoding) {
+  try {
+    if (/gzip/i.test(encoding)) return zlib.gunzipSync(body);
+    if (/deflate/i.test(encoding)) return zlib.inflateSync(body);
+    if (/br/i.test(encoding)) return zlib.brotliDecompressSync(body);
+  } catch (e) {
+    // not actually compressed: keep it as is
+  }
+  return body;
+}
+
+function parseMitmproxy(buf) {
+  const requests = [];
+  for (let pos = 0, i = 0; pos < buf.length; i++) {
+    let flow;
+    try {
+      [flow, pos] = readTnetstring(buf, pos);
+    } catch (e) {
+      throw badRequest(`mitmproxy capture: flow ${i + 1}: ${e.message}`);
+    }
+    while (pos < buf.length && /\s/.test(String.fromCharCode(buf[pos]))) pos++;
+    if (str(flow?.type) !== "http" || !isObj(flow.request)) continue; // tcp / websocket / dns flows
+    const r = flow.request;
+    const scheme = str(r.scheme) || "http";
+    const port = Number(r.port);
+    const defaultPort = (scheme === "https" && port === 443) || (scheme === "http" && port === 80);
+    const authority = str(r.authority) || `${str(r.host)}${port && !defaultPort ? `:${port}` : ""}`;
+    const headers = headerObject((r.headers || []).map(([k, v]) => [str(k), str(v)]));
+    const body = decodeContent(Buffer.isBuffer(r.content) ? r.content : Buffer.from(str(r.content)), headers["content-encoding"]);
+    delete headers["content-encoding"];
+    requests.push({
+      index: i,
+      method: str(r.method).toUpperCase() || "GET",
+      url: `${scheme}://${authority}${str(r.path)}`,
+      headers,
+      body,
+      timestamp: typeof r.timestamp_start === "number" ? new Date(r.timestamp_start * 1000).toISOString() : null
+    });
+  }
+  return requests;
+}
+
+/* ===== JSONL ===== */
+
+function parseJsonl(text) {
+  const requests = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let v;
+    try {
+      v = JSON.parse(line);
+    } catch (e) {
+      throw badRequest(`JSONL line ${i + 1} is not valid JSON: ${e.message}`);
+    }
+    // Anything but an explicit request is a bare event, even one with `url` and `body` fields
+    const tee = isObj(v) && (v.direction === "request" || v.direction === "response") && typeof v.url === "string";
+    if (tee && v.direction === "response") return;
+    const wrapped = isObj(v) && !tee && isObj(v.request) && typeof v.request.url === "string";
+    if (!tee && !wrapped) {
+      // A bare event: no URL, so URL filters and rules don't apply to it
+      const ts = isObj(v) ? isoTime(v.timestamp ?? v.startedAt) : null;
+      requests.push({ index: i, method: "POST", url: null, headers: { "content-type": "application/json" }, body: Buffer.from(line), timestamp: ts });
+      return;
+    }
+    const r = tee ? v : { ...v.request, timestamp: v.request.timestamp ?? v.timestamp };
+    const headers = headerObject(r.headers);
+    const content = "body" in r ? r.body : r.payload;
+    let body;
+    if (typeof content === "string") {
+      body = Buffer.from(content, r.bodyEncoding === "base64" ? "base64" : "utf8");
+    } else {
+      body = Buffer.from(JSON.stringify(content ?? null));
+      headers["content-type"] = "application/json";
+    }
+    delete headers["content-encoding"];
+    delete headers["content-length"];
+    requests.push({
+      index: i,
+      method: String(r.method || "POST").toUpperCase(),
+      url: r.url,
+      headers,
+      body,
+      timestamp: isoTime(r.timestamp ?? r.startedAt ?? r.time)
+    });
+  });
+  return requests;
+}
+
+function detectFormat(buf) {
+  const head = buf.subarray(0, 4096).toString("utf8").trimStart();
+  if (/^\d+:/.test(head)) return "mitmproxy";
+  if (/^\{\s*"log"\s*:/.test(head)) return "har";
+  return "jsonl";
+}
+
+/**
+ * Read a capture (Buffer). Returns { format, requests } in capture order; a request is
+ * { index (position in the capture), method, url|null, headers (lower-case names), body (Buffer),
+ * timestamp (ISO)|null }. Throws (status 400) on unreadable captures.
+ */
+function parseCapture(buf, { format } = {}) {
+  if (format && !FORMATS.includes(format)) throw badRequest(`Unknown capture format "${format}" (expected ${FORMATS.join(", ")})`);
+  if (!buf.length) throw badRequest("Empty capture");
+  const fmt = format || detectFormat(buf);
+  let requests;
+  if (fmt === "har") requests = parseHar(buf.toString("utf8"));
+  else if (fmt === "mitmproxy") requests = parseMitmproxy(buf);
+  else requests = parseJsonl(buf.toString("utf8"));
+  return { format: fmt, requests };
+}
+
+/* ===== Selection & flow assignment ===== */
+
+// Earliest request timestamp (ms), or null when none has one. A loop: spreading a large
+// capture into Math.min() overflows the call stack.
+function firstRequestTime(requests) {
+  let first = Infinity;
+  for (const r of requests) {
+    const t = Date.parse(r.timestamp);
+    if (t < first) first = t;
+  }
+  return first === Infinity ? null : first;
+}
+
+function compileRegexes(list, where) {
+  if (list == null) return [];
+  return [].concat(list).map((s, i) => {
+    try {
+      return new RegExp(s);
+    } catch (e) {
+      throw badRequest(`${where}[${i}]: invalid regex ${JSON.stringify(s)}: ${e.message}`);
+    }
+  });
+}
+
+// "from" / "to": an ISO timestamp, or a duration since the first request -> (start ms) => ms
+function compileBound(v, where) {
+  if (v == null || v === "") return null;
+  const at = Date.parse(v);
+  if (typeof v === "string" && /\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(at)) return () => at;
+  let ms;
+  try {
+    ms = parseDuration(v, where);
+  } catch (e) {
+    throw badRequest(`${where}: expected an ISO timestamp or a duration since the first request (e.g. 90s, 5m), got ${JSON.stringify(v)}`);
+  }
+  return (start) => start + ms;
+}
+
+function compileFlowRule(rule, where) {
+  if (!isObj(rule)) throw badRequest(`${where} must be an object`);
+  if (typeof rule.flowId !== "string" || !/^[A-Za-z0-9_]+$/.test(rule.flowId)) throw badRequest(`${where}.flowId must be alphanumeric or underscore`);
+  const [url] = compileRegexes(rule.url, `${where}.url`);
+  const from = compileBound(rule.from, `${where}.from`);
+  const to = compileBound(rule.to, `${where}.to`);
+  let match;
+  try {
+    match = rule.match == null ? null : compileMatch(rule.match, `${where}.match`);
+  } catch (e) {
+    throw badRequest(e.message);
+  }
+  return {
+    flowId: rule.flowId,
+    name: rule.name || rule.flowId,
+    test(req, payload, start) {
+      if (url && !(req.url && url.test(req.url))) return false;
+      const t = Date.parse(req.timestamp);
+      if ((from || to) && Number.isNaN(t)) return false;
+      if (from && t < from(start)) return false;
+      if (to && t > to(start)) return false;
+      return !match || match(payload);
+    }
+  };
+}
+
+/**
+ * Compile import options. Returns { selects(request) -> bool, assign(request, payload, start) ->
+ * { flowId, name } | null } where `start` is the time (ms) of the first request in the capture.
+ * Throws (status 400) on malformed options.
+ */
+function compileImport(options = {}) {
+  const include = compileRegexes(options.include, "include");
+  const exclude = compileRegexes(options.exclude, "exclude");
+  if (options.flows != null && !Array.isArray(options.flows)) throw badRequest("flows must be an array of rules");
+  const rules = (options.flows || []).map((r, i) => compileFlowRule(r, `flows[${i}]`));
+  const fallback = options.defaultFlow ? compileFlowRule({ flowId: options.defaultFlow }, "defaultFlow") : null;
+  if (!rules.length && !fallback) throw badRequest("Give flow rules (flows) or a defaultFlow");
+  return {
+    selects(req) {
+      if (!req.url) return true;
+      if (include.length && !include.some(re => re.test(req.url))) return false;
+      return !exclude.some(re => re.test(req.url));
+    },
+    assign(req, payload, start) {
+      const rule = rules.find(r => r.test(req, payload, start)) || fallback;
+      return rule && { flowId: rule.flowId, name: rule.name };
+    }
+  };
+}
+
+module.exports = { parseCapture, compileImport, firstRequestTime, FORMATS };
@@ -0,0 +1,131 @@
+// lib/config.js
+// Runtime configuration: defaults <- validator.config.json (optional) <- env vars.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const DEFAULTS = {
+  port: 8000,
+  store: {
+    type: "memory",                                  // "memory" | "file"
+    file: path.join(ROOT, "data", "store.jsonl")     // used by the file store
+  },
+  routing: {
+    key: null    // null = sticky only; see lib/routing.js for key specs
+  },
+  ingest: {
+    limit: "5mb",                                    // max POST / body
+    decoders: ["json", "ndjson", "form", "query"],   // see lib/ingest.js
+    batchKeys: ["events", "batch"]                   // envelope keys holding a batch array
+  },
+  flowFiles: {
+    token: null                                      // changes over HTTP need "Authorization: Bearer <token>"; null = read-only
+  },
+  history: {
+    dir: path.join(ROOT, "data", "history"),         // previous versions of flow files (see lib/flowfiles.js)
+    keep: 20                                         // versions kept per file
+  },
+  retention: {
+    maxMessagesPerFlow: 0,                           // newest N kept per flow (0 = unlimited)
+    maxSessions: 0,                                  // newest N sessions kept (0 = unlimited)
+    endedSessionTtl: null,                           // e.g. "24h": ended sessions removed after that
+    sweepInterval: "1m"                              // how often the TTL is checked
+  },
+  notifications: {
+    rules: [],                                       // webhook rules; see lib/notify.js
+    retries: 3,                                      // extra attempts per failed delivery
+    backoff: "1s",                                   // first retry delay, doubled for each retry
+    timeout: "5s",                                   // per request
+    keep: 200,                                       // deliveries kept in the log
+    baseUrl: null                                    // e.g. "http://validator.local:8000", for links in messages
+  },
+  redaction: {
+    rules: [],                                       // global PII rules; see lib/redact.js
+    salt: ""                                         // mixed into "hash" values
+  },
+  imports: {
+    limit: "100mb"                                   // max POST /imports body (a HAR / mitmproxy / JSONL capture)
+  },
+  plugins: {
+    timeout: "2s",                                   // per selectSchema() / validate() call of a flow plugin
+    memoryMb: 64                                     // heap limit of each plugin's worker
+  }
+};
+
+function isPlainObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+function merge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? merge(base[k], v) : v;
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid config file ${file}: ${e.message}`);
+  }
+}
+
+function fromEnv(env) {
+  const out = {};
+  if (env.PORT) out.port = Number(env.PORT);
+  if (env.STORE || env.STORE_FILE) {
+    out.store = {};
+    if (env.STORE) out.store.type = env.STORE;
+    if (env.STORE_FILE) out.store.file = path.resolve(env.STORE_FILE);
+  }
+  if (env.ROUTING_KEY) out.routing = { key: env.ROUTING_KEY };
+  if (env.INGEST_LIMIT) out.ingest = { limit: env.INGEST_LIMIT };
+  if (env.IMPORT_LIMIT) out.imports = { limit: env.IMPORT_LIMIT };
+  if (env.MAX_MESSAGES_PER_FLOW || env.MAX_SESSIONS || env.SESSION_TTL) {
+    out.retention = {};
+    if (env.MAX_MESSAGES_PER_FLOW) out.retention.maxMessagesPerFlow = Number(env.MAX_MESSAGES_PER_FLOW);
+    if (env.MAX_SESSIONS) out.retention.maxSessions = Number(env.MAX_SESSIONS);
+    if (env.SESSION_TTL) out.retention.endedSessionTtl = env.SESSION_TTL;
+  }
+  if (env.FLOW_FILES_TOKEN) out.flowFiles = { token: env.FLOW_FILES_TOKEN };
+  if (env.REDACT_SALT) out.redaction = { salt: env.REDACT_SALT };
+  if (env.PLUGIN_TIMEOUT || env.PLUGIN_MEMORY_MB) {
+    out.plugins = {};
+    if (env.PLUGIN_TIMEOUT) out.plugins.timeout = env.PLUGIN_TIMEOUT;
+    if (env.PLUGIN_MEMORY_MB) out.plugins.memoryMb = Number(env.PLUGIN_MEMORY_MB);
+  }
+  return out;
+}
+
+/**
+ * Load the config once at startup.
+ * File: $VALIDATOR_CONFIG or ./validator.config.json next to validation_server.js.
+ */
+exports.loadConfig = function loadConfig(env = process.env) {
+  const file = env.VALIDATOR_CONFIG
+    ? path.resolve(env.VALIDATOR_CONFIG)
+    : path.join(ROOT, "validator.config.json");
+  const config = merge(merge(DEFAULTS, readConfigFile(file)), fromEnv(env));
+  config.store.file = path.resolve(ROOT, config.store.file);
+  config.history.dir = path.resolve(ROOT, config.history.dir);
+  return config;
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/** Milliseconds from a config value: 1500 or "1500ms" / "30s" / "10m" / "2h" / "1d"; null stays null */
+exports.parseDuration = function parseDuration(v, name) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number" && v >= 0) return v;
+  const m = /^(\d+)\s*(ms|s|m|h|d)$/.exec(String(v).trim());
+  if (!m) throw new Error(`${name}: expected a duration like 30s, 10m, 2h or 1d, got ${JSON.stringify(v)}`);
+  return Number(m[1]) * DURATION_UNITS[m[2]];
+};
+
+exports.ROOT = ROOT;
+exports.merge = merge;
+exports.readConfigFile = readConfigFile;
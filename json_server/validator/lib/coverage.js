@@ -0,0 +1,197 @@
+// lib/coverage.js
+// Schema field coverage: which parts of a schema the captured payloads
+// actually exercised. Per schema file:
+//   properties  every `properties` entry: how many objects at that spot carried it
+//   enums       every `enum`: how often each value was observed
+//   branches    every `if` (then / else taken) and `anyOf` / `oneOf` (options matched)
+//
+//   measureCoverage([{ file, schema, payload, ajv?, key? }], { createAjv }) -> [{ file, messages, totals, properties, enums, branches }]
+//
+// Paths are JSON pointers into the payload, with "*" for array items.
+// With the flow's schema registry (`ajv` holding the linked schemas, `key` the schema's
+// registry key; see validators/registry.js), `$ref`s are followed into other schema files
+// ("@common/user.schema.json#/definitions/…") and branches are evaluated with the flow's
+// keywords and formats. Without it, only local refs ("#/…") are followed.
+
+const MAX_DEPTH = 32;
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const escapeKey = (k) => String(k).replace(/~/g, "~0").replace(/\//g, "~1");
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every(k => deepEqual(a[k], b[k]));
+}
+
+function resolvePointer(root, ref) {
+  const parts = ref.replace(/^#\/?/, "").split("/").filter(Boolean)
+    .map(p => decodeURIComponent(p).replace(/~1/g, "/").replace(/~0/g, "~"));
+  return parts.reduce((node, p) => (node && typeof node === "object" ? node[p] : undefined), root);
+}
+
+// Short description of a branch for reports
+function branchLabel(sub, i) {
+  if (!isObj(sub)) return `#${i}`;
+  if (sub.title) return sub.title;
+  const json = JSON.stringify(sub);
+  return json.length > 80 ? `${json.slice(0, 77)}…` : json;
+}
+
+// Registry keys of schemas without an $id are "validator:/<label>"; reports show the label
+const docLabel = (key) => String(key).replace(/^validator:\//, "");
+
+function coverSchema(file, schema, payloads, { ajv, key, createAjv }) {
+  const registered = !!(ajv && key);
+  const standaloneAjv = registered ? null : createAjv();
+  const matchers = new Map(); // subschema object -> validate fn | null (doesn't compile alone)
+  const out = { file, messages: payloads.length, properties: [], enums: [], branches: [] };
+  const root = { key, schema };
+
+  // A registered subschema compiles by its location (refs resolve across the registry); otherwise
+  // on its own, carrying the root's definitions so local refs resolve
+  function matcher(sub, doc, ptr) {
+    if (matchers.has(sub)) return matchers.get(sub);
+    let fn = null;
+    try {
+      if (registered) {
+        fn = ajv.getSchema(`${doc.key}${ptr}`) || null;
+      } else {
+        let standalone = sub;
+        if (isObj(sub)) {
+          const { $id, ...rest } = sub;
+          standalone = { ...rest, ...(schema.definitions ? { definitions: schema.definitions } : {}), ...(schema.$defs ? { $defs: schema.$defs } : {}) };
+        }
+        fn = standaloneAjv.compile(standalone);
+      }
+    } catch (e) {
+      fn = null;
+    }
+    matchers.set(sub, fn);
+    return fn;
+  }
+  // Split values into [matching, not matching] `sub`; null when it can't be evaluated.
+  // Values are copied: flow keywords may modify what they validate.
+  function split(sub, doc, ptr, values) {
+    const fn = matcher(sub, doc, ptr);
+    if (!fn) return null;
+    const yes = [];
+    const no = [];
+    values.forEach(v => (fn(v !== null && typeof v === "object" ? structuredClone(v) : v) ? yes : no).push(v));
+    return [yes, no];
+  }
+
+  // Where a ref points: { doc, node, ptr }, or null (another file without a registry, an anchor)
+  function deref(doc, ref) {
+    const i = ref.indexOf("#");
+    const docKey = i === -1 ? ref : ref.slice(0, i);
+    const fragment = i === -1 ? "" : ref.slice(i + 1);
+    if (fragment && !fragment.startsWith("/")) return null;
+    let target = doc;
+    if (docKey) {
+      if (!registered) return null;
+      target = docKey === key ? root : { key: docKey, schema: ajv.getSchema(docKey)?.schema };
+    }
+    if (!isObj(target.schema)) return null;
+    return { doc: target, node: resolvePointer(target.schema, `#${fragment}`), ptr: `#${fragment}` };
+  }
+
+  // `ptr`: the node's location in its document (`doc`); reports prefix other files' label
+  function walk(node, doc, ptr, at, values, refs, depth) {
+    if (!isObj(node) || depth > MAX_DEPTH) return;
+    const where = doc === root ? ptr : `${docLabel(doc.key)}${ptr}`;
+
+    if (typeof node.$ref === "string") {
+      const to = deref(doc, node.$ref);
+      const id = to && `${to.doc.key}${to.ptr}`;
+      if (to && !refs.includes(id)) walk(to.node, to.doc, to.ptr, at, values, [...refs, id], depth + 1);
+    }
+
+    if (isObj(node.properties)) {
+      const objects = values.filter(isObj);
+      const required = Array.isArray(node.required) ? node.required : [];
+      for (const [k, sub] of Object.entries(node.properties)) {
+        const present = objects.filter(o => Object.prototype.hasOwnProperty.call(o, k)).map(o => o[k]);
+        const p = `${at}/${escapeKey(k)}`;
+        out.properties.push({ path: p, required: required.includes(k), seen: present.length, of: objects.length });
+        walk(sub, doc, `${ptr}/properties/${escapeKey(k)}`, p, present, refs, depth + 1);
+      }
+    }
+
+    if (node.items !== undefined) {
+      const arrays = values.filter(Array.isArray);
+      if (Array.isArray(node.items)) {
+        node.items.forEach((sub, i) => walk(sub, doc, `${ptr}/items/${i}`, `${at}/${i}`, arrays.filter(a => a.length > i).map(a => a[i]), refs, depth + 1));
+      } else {
+        walk(node.items, doc, `${ptr}/items`, `${at}/*`, arrays.flat(), refs, depth + 1);
+      }
+    }
+
+    if (Array.isArray(node.enum)) {
+      out.enums.push({
+        path: at,
+        values: node.enum.map(value => ({ value, seen: values.filter(v => deepEqual(v, value)).length })),
+        of: values.length
+      });
+    }
+
+    if (Array.isArray(node.allOf)) {
+      node.allOf.forEach((sub, i) => walk(sub, doc, `${ptr}/allOf/${i}`, at, values, refs, depth + 1));
+    }
+
+    for (const kind of ["anyOf", "oneOf"]) {
+      if (!Array.isArray(node[kind])) continue;
+      const options = node[kind].map((sub, i) => {
+        const [hit] = split(sub, doc, `${ptr}/${kind}/${i}`, values) || [null];
+        walk(sub, doc, `${ptr}/${kind}/${i}`, at, hit || [], refs, depth + 1);
+        return { option: branchLabel(sub, i), seen: hit ? hit.length : null };
+      });
+      out.branches.push({ path: at, schemaPath: `${where}/${kind}`, kind, options, of: values.length });
+    }
+
+    if (node.if !== undefined) {
+      const [yes, no] = split(node.if, doc, `${ptr}/if`, values) || [null, null];
+      out.branches.push({
+        path: at,
+        schemaPath: `${where}/if`,
+        kind: "if",
+        options: [{ option: "then", seen: yes ? yes.length : null }, { option: "else", seen: no ? no.length : null }],
+        of: values.length
+      });
+      if (node.then !== undefined) walk(node.then, doc, `${ptr}/then`, at, yes || [], refs, depth + 1);
+      if (node.else !== undefined) walk(node.else, doc, `${ptr}/else`, at, no || [], refs, depth + 1);
+    }
+  }
+
+  walk(schema, root, "#", "", payloads, [], 0);
+
+  const enumValues = out.enums.flatMap(e => e.values);
+  const outcomes = out.branches.flatMap(b => b.options);
+  out.totals = {
+    properties: { total: out.properties.length, seen: out.properties.filter(p => p.seen > 0).length },
+    enumValues: { total: enumValues.length, seen: enumValues.filter(v => v.seen > 0).length },
+    branches: { total: outcomes.length, seen: outcomes.filter(o => o.seen > 0).length }
+  };
+  return out;
+}
+
+/**
+ * Coverage per schema file for payloads already paired with the schema they
+ * were validated against (and, when known, the registry `ajv` and `key` it is linked under).
+ * createAjv() must return a configured AJV instance (used for schemas outside a registry).
+ */
+function measureCoverage(entries, { createAjv }) {
+  const bySchema = new Map(); // file -> { schema, ajv, key, payloads }
+  for (const { file, schema, payload, ajv, key } of entries) {
+    if (!bySchema.has(file)) bySchema.set(file, { schema, ajv, key, payloads: [] });
+    bySchema.get(file).payloads.push(payload);
+  }
+  return [...bySchema.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, { schema, ajv, key, payloads }]) => coverSchema(file, schema, payloads, { ajv, key, createAjv }));
+}
+
+module.exports = { measureCoverage };
@@ -0,0 +1,55 @@
+// lib/events.js
+// Server-Sent Events hub: one stream (GET /events) of incremental changes that
+// the dashboard, a CLI watcher or any other tool can subscribe to.
+//
+// Each event is written as
+//   id: <seq>
+//   event: <type>          e.g. message.ingested, flow.started, state.cleared
+//   data: <json>
+
+const KEEPALIVE_MS = 25000;
+
+function createEventHub() {
+  const clients = new Set();
+  let seq = 0;
+
+  function write(res, chunk) {
+    try { res.write(chunk); } catch (e) { clients.delete(res); }
+  }
+
+  return {
+    /** Send an event to every connected client */
+    publish(type, data) {
+      if (clients.size === 0) return;
+      seq += 1;
+      const chunk = `id: ${seq}\nevent: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+      for (const res of clients) write(res, chunk);
+    },
+
+    /** Express handler for the stream endpoint */
+    handler(req, res) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+      });
+      res.flushHeaders();
+      // Ask browsers to retry quickly if the stream drops
+      res.write("retry: 3000\n\n");
+      clients.add(res);
+
+      const keepalive = setInterval(() => write(res, ": keepalive\n\n"), KEEPALIVE_MS);
+      req.on("close", () => {
+        clearInterval(keepalive);
+        clients.delete(res);
+      });
+    },
+
+    clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createEventHub };
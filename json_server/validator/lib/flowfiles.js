@@ -0,0 +1,165 @@
+// lib/flowfiles.js
+// Flow folders on disk (validators/flows/<flowId>/): list, create and delete
+// flows; read, write and delete their files. Every overwrite or delete first
+// copies the previous contents into the history dir so it can be rolled back:
+//
+//   <historyDir>/<flowId>/<file>/<version>     version = save time, e.g. 2025-01-31T09-15-02-123Z
+//
+// Writes are checked with `check(file, text, flowId)` (see validators.checkFlowFile)
+// before anything touches the folder; the validator watcher reloads the rest.
+// Files in `diskOnly` (keywords.js: it runs in the server process, not a
+// sandbox) can be read but not written, deleted or rolled back over HTTP.
+const fs = require("fs");
+const path = require("path");
+
+const FLOW_ID = /^[A-Za-z0-9_]+$/;
+const FILE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+function httpError(status, msg) {
+  const e = new Error(msg);
+  e.status = status;
+  return e;
+}
+
+function createFlowFiles({ baseDir, historyDir, keep = 20, check, diskOnly = [] }) {
+  const flowsDir = path.join(baseDir, "flows");
+
+  function flowDir(flowId) {
+    if (!FLOW_ID.test(flowId || "")) throw httpError(400, "flowId must be alphanumeric or underscore");
+    return path.join(flowsDir, flowId);
+  }
+  function existingFlowDir(flowId) {
+    const dir = flowDir(flowId);
+    if (!fs.existsSync(dir)) throw httpError(404, `Flow ${flowId} not found`);
+    return dir;
+  }
+  function fileName(file) {
+    if (!FILE_NAME.test(file || "")) throw httpError(400, `Invalid file name "${file}"`);
+    return file;
+  }
+  function writableName(file) {
+    if (diskOnly.includes(fileName(file))) throw httpError(403, `${file} can only be changed on disk: it runs in the server process`);
+    return file;
+  }
+  function versionsDir(flowId, file) {
+    return path.join(historyDir, flowId, fileName(file));
+  }
+
+  // Copy the current contents of a file into history; prune the oldest beyond `keep`
+  function archive(flowId, file) {
+    const src = path.join(flowDir(flowId), file);
+    if (!fs.existsSync(src)) return null;
+    const dir = versionsDir(flowId, file);
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    let version = stamp;
+    for (let i = 1; fs.existsSync(path.join(dir, version)); i++) version = `${stamp}-${i}`;
+    fs.copyFileSync(src, path.join(dir, version));
+    const all = fs.readdirSync(dir).sort();
+    all.slice(0, Math.max(0, all.length - keep)).forEach(v => fs.unlinkSync(path.join(dir, v)));
+    return version;
+  }
+
+  function describeFile(flowId, dir, file) {
+    const st = fs.statSync(path.join(dir, file));
+    const vdir = path.join(historyDir, flowId, file);
+    return {
+      file,
+      size: st.size,
+      modifiedAt: st.mtime.toISOString(),
+      versions: fs.existsSync(vdir) ? fs.readdirSync(vdir).length : 0
+    };
+  }
+
+  function describeFlow(flowId) {
+    const dir = existingFlowDir(flowId);
+    const files = fs.readdirSync(dir)
+      .filter(f => !f.startsWith(".") && fs.statSync(path.join(dir, f)).isFile())
+      .sort()
+      .map(f => describeFile(flowId, dir, f));
+    return { flowId, files };
+  }
+
+  return {
+    listFlows() {
+      if (!fs.existsSync(flowsDir)) return [];
+      return fs.readdirSync(flowsDir)
+        .filter(f => FLOW_ID.test(f) && fs.statSync(path.join(flowsDir, f)).isDirectory())
+        .sort()
+        .map(describeFlow);
+    },
+
+    getFlow: describeFlow,
+
+    createFlow(flowId) {
+      const dir = flowDir(flowId);
+      if (fs.existsSync(dir)) throw httpError(409, `Flow ${flowId} already exists`);
+      fs.mkdirSync(dir, { recursive: true });
+      return describeFlow(flowId);
+    },
+
+    /** Remove the folder; each file's last contents stay in history */
+    deleteFlow(flowId) {
+      const dir = existingFlowDir(flowId);
+      for (const f of fs.readdirSync(dir)) {
+        if (FILE_NAME.test(f) && fs.statSync(path.join(dir, f)).isFile()) archive(flowId, f);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+
+    readFile(flowId, file) {
+      const p = path.join(existingFlowDir(flowId), fileName(file));
+      if (!fs.existsSync(p)) throw httpError(404, `${file} not found in flow ${flowId}`);
+      return fs.readFileSync(p, "utf8");
+    },
+
+    /**
+     * Create or replace a file (the flow folder is created if needed).
+     * Returns { file, kind, created, previousVersion }.
+     */
+    writeFile(flowId, file, text, { overwrite = true } = {}) {
+      const dir = flowDir(flowId);
+      const p = path.join(dir, writableName(file));
+      const kind = check(file, text, flowId);
+      const exists = fs.existsSync(p);
+      if (exists && !overwrite) throw httpError(409, `${file} already exists (pass overwrite: true to replace it)`);
+      const previousVersion = exists ? archive(flowId, file) : null;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(p, text);
+      return { file, kind, created: !exists, previousVersion };
+    },
+
+    deleteFile(flowId, file) {
+      const p = path.join(existingFlowDir(flowId), writableName(file));
+      if (!fs.existsSync(p)) throw httpError(404, `${file} not found in flow ${flowId}`);
+      const version = archive(flowId, file);
+      fs.unlinkSync(p);
+      return { file, version };
+    },
+
+    /** Saved versions of a file, newest first (also for files deleted since) */
+    listVersions(flowId, file) {
+      const dir = versionsDir(flowId, file);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir).sort().reverse().map(version => ({
+        version,
+        savedAt: version.replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3}Z).*$/, "$1:$2:$3.$4"),
+        size: fs.statSync(path.join(dir, version)).size
+      }));
+    },
+
+    readVersion(flowId, file, version) {
+      const p = path.join(versionsDir(flowId, file), fileName(version));
+      if (!fs.existsSync(p)) throw httpError(404, `Version ${version} of ${file} not found`);
+      return fs.readFileSync(p, "utf8");
+    },
+
+    /** Restore a saved version; the contents it replaces become a version too */
+    rollback(flowId, file, version) {
+      writableName(file);
+      return { ...this.writeFile(flowId, file, this.readVersion(flowId, file, version)), restored: version };
+    }
+  };
+}
+
+module.exports = { createFlowFiles };
@@ -0,0 +1,158 @@
+// lib/infer.js
+// Infer a draft JSON Schema from sample payloads (captured messages), as a
+// starting point for a flow's first schema file.
+//
+//   inferSchema(samples, { title, enumMax, enumMinSamples, redacted }) -> schema
+//
+// - types are merged across samples (integer + number -> number, null kept)
+// - properties present in every sample object are required
+// - strings: a format (uuid, date-time, date, email) or a hex-hash pattern when
+//   every value matches; otherwise an enum when few distinct values repeat
+// - arrays merge all their items into one `items` schema
+// - redacted fields (`redacted[i]`: JSON pointers of sample i, see lib/redact.js) never
+//   become an enum, so a draft neither learns PII nor pins a field to "***"
+
+const ENUM_MAX = 5;           // at most this many distinct values ...
+const ENUM_MIN_SAMPLES = 3;   // ... seen at least this many times in total
+
+const FORMATS = [
+  ["uuid",      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ["date-time", /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/i],
+  ["date",      /^\d{4}-\d{2}-\d{2}$/],
+  ["email",     /^[^\s@]+@[^\s@]+\.[^\s@]+$/]
+];
+// md5 / sha1 / sha256 hex digests
+const HEX_HASH = /^(?:[0-9a-f]{32}|[0-9a-f]{40}|[0-9a-f]{64})$/i;
+
+const escape = (k) => k.replace(/~/g, "~0").replace(/\//g, "~1");
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v; // string | boolean | object
+}
+
+function newNode() {
+  return { types: {}, props: null, items: null, strings: null };
+}
+
+/* ============================================================================
+   Accumulate
+   ========================================================================== */
+
+function observeString(node, s, enumMax, opaque) {
+  const st = node.strings || (node.strings = {
+    count: 0,
+    values: new Map(),      // dropped once there are too many distinct values
+    formats: null,          // candidate formats still matching every value
+    hexLengths: new Set(),
+    hex: true
+  });
+  st.count += 1;
+
+  if (opaque) st.values = null;
+  if (st.values) {
+    st.values.set(s, (st.values.get(s) || 0) + 1);
+    if (st.values.size > enumMax) st.values = null;
+  }
+
+  const matching = FORMATS.filter(([, re]) => re.test(s)).map(([name]) => name);
+  st.formats = st.formats ? st.formats.filter(f => matching.includes(f)) : matching;
+
+  if (st.hex && HEX_HASH.test(s)) st.hexLengths.add(s.length);
+  else st.hex = false;
+}
+
+// `at`: JSON pointer of `value`; `hidden`: redacted pointers of the sample; `opaque`: under one of them
+function observe(node, value, opts, at = "", hidden = null, opaque = false) {
+  const t = typeOf(value);
+  opaque = opaque || !!hidden?.has(at);
+  node.types[t] = (node.types[t] || 0) + 1;
+
+  if (t === "object") {
+    node.props = node.props || new Map();
+    for (const [k, v] of Object.entries(value)) {
+      if (!node.props.has(k)) node.props.set(k, { count: 0, node: newNode() });
+      const p = node.props.get(k);
+      p.count += 1;
+      observe(p.node, v, opts, `${at}/${escape(k)}`, hidden, opaque);
+    }
+  } else if (t === "array") {
+    node.items = node.items || newNode();
+    value.forEach((v, i) => observe(node.items, v, opts, `${at}/${i}`, hidden, opaque));
+  } else if (t === "string") {
+    observeString(node, value, opts.enumMax, opaque);
+  }
+}
+
+/* ============================================================================
+   Emit
+   ========================================================================== */
+
+function emitStrings(st, schema, types, opts) {
+  if (st.formats && st.formats.length) {
+    schema.format = st.formats[0];
+    return;
+  }
+  if (st.hex && st.hexLengths.size === 1) {
+    schema.pattern = `^[a-fA-F0-9]{${[...st.hexLengths][0]}}$`;
+    return;
+  }
+  // an enum would also constrain the other types, so only for string (or string|null) fields
+  const others = types.filter(t => t !== "string" && t !== "null");
+  if (!others.length && st.values && st.count >= opts.enumMinSamples && st.values.size < st.count) {
+    schema.enum = [...st.values.keys()];
+    if (types.includes("null")) schema.enum.push(null);
+  }
+}
+
+function emit(node, opts) {
+  const schema = {};
+  let types = Object.keys(node.types);
+  if (types.includes("integer") && types.includes("number")) types = types.filter(t => t !== "integer");
+  if (types.length === 1) schema.type = types[0];
+  else if (types.length > 1) schema.type = types;
+
+  if (node.props) {
+    const objects = node.types.object;
+    schema.properties = {};
+    const required = [];
+    for (const [k, p] of node.props) {
+      schema.properties[k] = emit(p.node, opts);
+      if (p.count === objects) required.push(k);
+    }
+    if (required.length) schema.required = required;
+  }
+  if (node.items && Object.keys(node.items.types).length) {
+    schema.items = emit(node.items, opts);
+  }
+  if (node.strings) emitStrings(node.strings, schema, types, opts);
+  return schema;
+}
+
+/**
+ * Draft schema for the given samples. Throws (status 400) without samples.
+ */
+function inferSchema(samples, options = {}) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    const e = new Error("No messages to infer a schema from");
+    e.status = 400;
+    throw e;
+  }
+  const opts = {
+    enumMax: Number.isInteger(options.enumMax) ? options.enumMax : ENUM_MAX,
+    enumMinSamples: Number.isInteger(options.enumMinSamples) ? options.enumMinSamples : ENUM_MIN_SAMPLES
+  };
+  const root = newNode();
+  const redacted = options.redacted || [];
+  samples.forEach((s, i) => observe(root, s, opts, "", redacted[i]?.length ? new Set(redacted[i]) : null));
+
+  return {
+    title: options.title || "Draft schema",
+    description: `Inferred from ${samples.length} message${samples.length === 1 ? "" : "s"} on ${new Date().toISOString()}; review before use.`,
+    ...emit(root, opts)
+  };
+}
+
+module.exports = { inferSchema };
@@ -0,0 +1,104 @@
+// lib/ingest.js
+// Ingest decoders: turn one POST / (or GET / pixel) request into individual event payloads.
+//
+//   application/json (or any body that parses as JSON)   one object, a top-level array,
+//                                                        or an envelope like {"events":[...]}
+//   application/x-ndjson, application/jsonl, or         one JSON value per line
+//   several JSON lines in any body
+//   application/x-www-form-urlencoded                   fields -> object (JSON-looking values parsed)
+//   GET /?a=1&b=2 (pixel beacons)                       query -> object
+//
+// Arrays, envelopes and NDJSON form a batch: every item becomes its own message and
+// shares a batchId. Config `ingest.decoders` picks which decoders are on.
+const { randomUUID } = require("crypto");
+
+const DECODERS = ["json", "ndjson", "form", "query"];
+
+function badRequest(msg) {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+}
+
+function maybeJson(v) {
+  if (typeof v !== "string" || !/^\s*[[{]/.test(v)) return v;
+  try { return JSON.parse(v); } catch (e) { return v; }
+}
+
+// Query/form fields -> plain object; repeated keys stay arrays
+function fieldsToObject(entries) {
+  const out = {};
+  for (const [k, v] of entries) {
+    const val = Array.isArray(v) ? v.map(maybeJson) : maybeJson(v);
+    if (k in out) out[k] = [].concat(out[k], val);
+    else out[k] = val;
+  }
+  return out;
+}
+
+function createDecoder(opts = {}) {
+  const enabled = new Set(opts.decoders || DECODERS);
+  const batchKeys = opts.batchKeys || ["events", "batch"];
+  for (const d of enabled) {
+    if (!DECODERS.includes(d)) throw new Error(`Unknown ingest decoder "${d}" (expected: ${DECODERS.join(", ")})`);
+  }
+
+  // A decoded value -> { items, batch }
+  function unwrap(value) {
+    if (Array.isArray(value)) return { items: value, batch: true };
+    if (value && typeof value === "object") {
+      const key = batchKeys.find(k => Array.isArray(value[k]));
+      if (key) return { items: value[key], batch: true };
+    }
+    return { items: [value], batch: false };
+  }
+
+  function decodeText(text, contentType) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    const ndjsonType = /ndjson|jsonl/i.test(contentType);
+    if (enabled.has("ndjson") && (ndjsonType || lines.length > 1)) {
+      try {
+        const items = lines.map(l => JSON.parse(l));
+        if (ndjsonType || items.length > 1) return { items, batch: true };
+      } catch (e) {
+        if (ndjsonType) throw badRequest(`Invalid NDJSON: ${e.message}`);
+        // otherwise it may be one pretty-printed JSON document
+      }
+    }
+    if (enabled.has("json")) {
+      try {
+        return unwrap(JSON.parse(text));
+      } catch (e) {
+        throw badRequest(`Body is not valid JSON: ${e.message}`);
+      }
+    }
+    throw badRequest(`Unsupported body (content-type: ${contentType || "none"})`);
+  }
+
+  /**
+   * Decode a request. Returns { items: payload[], batchId: string|null }.
+   * Throws a 400 error for bodies no enabled decoder accepts.
+   */
+  return function decode(req) {
+    let out;
+    if (req.method === "GET") {
+      if (!enabled.has("query")) throw badRequest("GET beacons are disabled");
+      out = unwrap(fieldsToObject(Object.entries(req.query || {})));
+    } else {
+      const contentType = req.get("content-type") || "";
+      const buf = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+      const text = buf.toString("utf8");
+      if (!text.trim()) throw badRequest("Empty body");
+      if (/x-www-form-urlencoded/i.test(contentType)) {
+        if (!enabled.has("form")) throw badRequest("Form-encoded bodies are disabled");
+        out = unwrap(fieldsToObject(new URLSearchParams(text).entries()));
+      } else {
+        out = decodeText(text, contentType);
+      }
+    }
+    if (out.items.length === 0) throw badRequest("Batch contains no events");
+    return { items: out.items, batchId: out.batch ? randomUUID() : null };
+  };
+}
+
+module.exports = { createDecoder, DECODERS };
@@ -0,0 +1,52 @@
+// lib/jsonview.js
+// Pretty-printed JSON as HTML in which every value can be found by its JSON
+// pointer, so pages can highlight fields (error locations, diff changes) and
+// scroll to them:
+//
+//   <span class="jv" data-ptr="/data/event_name"><span class="jv-line">  "event_name": "Login",</span></span>
+//
+//   renderJsonHtml(value, { marks })   marks: Map(pointer -> { cls, title })
+//   nearestPointer(value, pointer)     deepest part of `pointer` that exists in `value`
+const { parsePath, toPointer } = require("./paths");
+
+const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+
+/** Normalized pointer of the deepest existing value on the way to `pointer` */
+function nearestPointer(value, pointer) {
+  const found = [];
+  let cur = value;
+  for (const seg of parsePath(pointer)) {
+    if (cur == null || typeof cur !== "object" || !Object.prototype.hasOwnProperty.call(cur, seg)) break;
+    cur = cur[seg];
+    found.push(seg);
+  }
+  return toPointer(found);
+}
+
+function renderJsonHtml(value, { marks = new Map(), indent = 2 } = {}) {
+  const pad = (n) => " ".repeat(n * indent);
+
+  // One value (with its key, if any); `last` decides the trailing comma
+  function node(v, segs, depth, key, last) {
+    const ptr = toPointer(segs);
+    const mark = marks.get(ptr);
+    const cls = `jv-line${mark ? ` ${mark.cls}` : ""}`;
+    const title = mark?.title ? ` title="${esc(mark.title)}"` : "";
+    const head = `${pad(depth)}${key === undefined ? "" : `${esc(JSON.stringify(key))}: `}`;
+    const comma = last ? "" : ",";
+    const open = (s) => `<span class="jv" data-ptr="${esc(ptr)}"><span class="${cls}"${title}>${head}${s}</span>`;
+
+    const entries = Array.isArray(v) ? v.map((x, i) => [i, x]) : (v && typeof v === "object" ? Object.entries(v) : null);
+    if (!entries) return `${open(`${esc(JSON.stringify(v) ?? "null")}${comma}`)}</span>`;
+
+    const [l, r] = Array.isArray(v) ? ["[", "]"] : ["{", "}"];
+    if (!entries.length) return `${open(`${l}${r}${comma}`)}</span>`;
+    const children = entries.map(([k, x], i) =>
+      node(x, [...segs, String(k)], depth + 1, Array.isArray(v) ? undefined : k, i === entries.length - 1));
+    return `${open(l)}\n${children.join("\n")}\n${pad(depth)}${r}${comma}</span>`;
+  }
+
+  return node(value, [], 0, undefined, true);
+}
+
+module.exports = { renderJsonHtml, nearestPointer };
@@ -0,0 +1,104 @@
+// lib/metrics.js
+// A minimal Prometheus registry for GET /metrics (text exposition format 0.0.4).
+//
+//   const metrics = createMetrics();
+//   const ingested = metrics.counter("validator_messages_ingested_total", "Messages stored", ["flow", "status"]);
+//   ingested.inc({ flow: "login", status: "valid" });
+//   metrics.histogram(name, help, labelNames, buckets).observe(labels, seconds)
+//   metrics.gauge(name, help, labelNames, collect)  collect(set) runs on every scrape
+//   metrics.render() -> text
+//
+// Counters and histograms only grow; gauges (and counters with a `collect`) are
+// read from their source at scrape time, so nothing has to be kept in sync.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const formatValue = (v) => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v));
+
+function labelText(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createMetrics() {
+  const metrics = new Map(); // name -> metric
+
+  function define(type, name, help, labelNames = [], extra = {}) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already defined`);
+    const series = new Map(); // JSON of label values -> { values, value | buckets/sum/count }
+    const keyOf = (labels = {}) => {
+      const values = labelNames.map(n => (labels[n] == null ? "" : labels[n]));
+      return { key: JSON.stringify(values), values };
+    };
+    const metric = { type, name, help, labelNames, series, keyOf, ...extra };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function seriesOf(metric, labels, init) {
+    const { key, values } = metric.keyOf(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...init() });
+    return metric.series.get(key);
+  }
+
+  // Scrape-time values replace whatever the series held
+  function collected(metric) {
+    if (!metric.collect) return;
+    metric.series.clear();
+    metric.collect((labels, value) => { seriesOf(metric, labels, () => ({ value: 0 })).value = value; });
+  }
+
+  return {
+    counter(name, help, labelNames, collect) {
+      const m = define("counter", name, help, labelNames, { collect });
+      return {
+        inc(labels, n = 1) { seriesOf(m, labels, () => ({ value: 0 })).value += n; }
+      };
+    },
+
+    gauge(name, help, labelNames, collect) {
+      const m = define("gauge", name, help, labelNames, { collect });
+      return {
+        set(labels, value) { seriesOf(m, labels, () => ({ value: 0 })).value = value; }
+      };
+    },
+
+    histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const m = define("histogram", name, help, labelNames, { bounds });
+      return {
+        observe(labels, value) {
+          const s = seriesOf(m, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+          bounds.forEach((b, i) => { if (value <= b) s.counts[i] += 1; });
+          s.sum += value;
+          s.count += 1;
+        }
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const m of metrics.values()) {
+        collected(m);
+        lines.push(`# HELP ${m.name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+        lines.push(`# TYPE ${m.name} ${m.type}`);
+        for (const s of m.series.values()) {
+          if (m.type !== "histogram") {
+            lines.push(`${m.name}${labelText(m.labelNames, s.values)} ${formatValue(s.value)}`);
+            continue;
+          }
+          m.bounds.forEach((b, i) => lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, `le="${formatValue(b)}"`)} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${s.sum}`);
+          lines.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    }
+  };
+}
+
+module.exports = { createMetrics, CONTENT_TYPE };
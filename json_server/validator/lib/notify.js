@@ -0,0 +1,208 @@
+// lib/notify.js
+// Webhook notifications (config `notifications.rules`):
+//
+//   { "on": "invalid", "flowId": "checkout", "url": "https://hooks.example.com/…" }   an invalid event was stored
+//   { "on": "flowEnded", "url": ["https://…", "https://…"] }                           a flow ended with failures
+//   { "on": "sessionEnded", "always": true, "url": "…" }                               a session ended (any outcome)
+//   { "on": "idle", "seconds": 120, "url": "…" }                                       an active flow got no event for 120 s
+//
+// Optional on every rule: "name", "flowId" (one id, a comma list or "*"), and "message",
+// a template over the event: {{flowId}}, {{errors}}, {{verdict.status}}, {{link}}, …
+// flowEnded / sessionEnded fire only on failures (invalid events or a Failed verdict)
+// unless "always" is set. idle fires once per quiet period.
+//
+// Each match POSTs { text, rule, event, ...event fields } to every url. Failed
+// deliveries are retried with exponential backoff; all deliveries are kept in a
+// log (newest first) for the UI.
+//
+//   createNotifier(opts) -> { emit(type, event), start(), stop(), deliveries(), rules }
+//   opts: { rules, retries, backoff, timeout, keep, baseUrl, post, listActive, onDelivery }
+
+const { randomUUID } = require("crypto");
+const { getPath } = require("./paths");
+const { parseDuration } = require("./config");
+
+const TYPES = ["invalid", "flowEnded", "sessionEnded", "idle"];
+
+// Used when a rule has no "message"
+const DEFAULT_MESSAGES = {
+  invalid: "Invalid event in flow {{flowId}} (session {{sessionId}}):\n{{errors}}\n{{link}}",
+  flowEnded: "Flow {{flowId}} ended: {{outcome}} (session {{sessionId}})\n{{link}}",
+  sessionEnded: "Session {{sessionId}} ended: {{outcome}}\n{{link}}",
+  idle: "No events for {{seconds}}s in flow {{flowId}} (session {{sessionId}})"
+};
+
+function fail(where, msg) {
+  throw new Error(`${where}: ${msg}`);
+}
+
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) fail(where, "must be an object");
+  if (!TYPES.includes(rule.on)) fail(where, `"on" must be one of ${TYPES.join(", ")}`);
+  const urls = [].concat(rule.url ?? []);
+  if (!urls.length) fail(where, `needs a "url" (or a list of urls)`);
+  for (const u of urls) {
+    let parsed;
+    try { parsed = new URL(u); } catch (e) { fail(where, `invalid url ${JSON.stringify(u)}`); }
+    if (!/^https?:$/.test(parsed.protocol)) fail(where, `url must be http(s): ${JSON.stringify(u)}`);
+  }
+  if (rule.on === "idle" && !(typeof rule.seconds === "number" && rule.seconds > 0)) fail(where, `"seconds" must be a positive number`);
+  if (rule.message !== undefined && typeof rule.message !== "string") fail(where, `"message" must be a string`);
+  if (rule.flowId !== undefined && typeof rule.flowId !== "string") fail(where, `"flowId" must be a string`);
+
+  const flows = rule.flowId && rule.flowId !== "*" ? rule.flowId.split(",").map(s => s.trim()).filter(Boolean) : null;
+  return {
+    name: rule.name || where,
+    on: rule.on,
+    flowId: rule.flowId || "*",
+    urls,
+    seconds: rule.seconds,
+    always: !!rule.always,
+    message: rule.message || DEFAULT_MESSAGES[rule.on],
+    forFlow: (flowId) => !flows || flows.includes(flowId)
+  };
+}
+
+/** Compile config `notifications.rules`; throws on the first malformed rule */
+function compileNotifications(rules, where = "notifications.rules") {
+  if (!Array.isArray(rules)) fail(where, "must be an array");
+  return rules.map((r, i) => compileRule(r, `${where}[${i}]`));
+}
+
+/** "{{a.b}}" -> value at a.b in ctx (objects as JSON, missing as "") */
+function renderTemplate(text, ctx) {
+  return text.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, p) => {
+    const v = getPath(ctx, p);
+    if (v == null) return "";
+    return typeof v === "object" ? JSON.stringify(v) : String(v);
+  }).trim();
+}
+
+// Webhook URLs often carry their secret in the path; the log only shows the host
+function displayUrl(u) {
+  try { return new URL(u).host; } catch (e) { return "?"; }
+}
+
+// retries / keep: a non-negative integer (a negative retries would skip delivery altogether)
+function parseCount(v, fallback, name) {
+  if (v == null) return fallback;
+  if (!Number.isInteger(v) || v < 0) throw new Error(`notifications.${name}: expected a non-negative integer, got ${JSON.stringify(v)}`);
+  return v;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+function createNotifier(opts = {}) {
+  const rules = compileNotifications(opts.rules || []);
+  const retries = parseCount(opts.retries, 3, "retries");
+  const backoff = parseDuration(opts.backoff ?? "1s", "notifications.backoff");
+  const timeout = parseDuration(opts.timeout ?? "5s", "notifications.timeout");
+  const keep = parseCount(opts.keep, 200, "keep");
+  const baseUrl = (opts.baseUrl || "").replace(/\/+$/, "");
+  const post = opts.post;
+  const onDelivery = opts.onDelivery || (() => {});
+  const log = []; // newest first
+  const idleFired = new Map(); // `${rule}|${sessionId}|${flowId}` -> lastEventAt already reported
+  let timer = null;
+
+  async function deliver(entry, url, body) {
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      entry.attempts = attempt;
+      try {
+        const res = await post(url, body, { timeout });
+        Object.assign(entry, { status: "delivered", responseStatus: res?.status ?? null, error: null, deliveredAt: new Date().toISOString() });
+        return onDelivery(entry);
+      } catch (e) {
+        Object.assign(entry, { responseStatus: e.response?.status ?? null, error: e.message });
+        if (attempt <= retries) {
+          onDelivery(entry);
+          await sleep(backoff * 2 ** (attempt - 1));
+        }
+      }
+    }
+    entry.status = "failed";
+    console.error(`Notification ${entry.rule} to ${entry.target} failed after ${entry.attempts} attempts: ${entry.error}`);
+    onDelivery(entry);
+  }
+
+  function send(rule, type, event) {
+    const ctx = { ...event, rule: rule.name, event: type, link: event.path ? `${baseUrl}${event.path}` : "" };
+    const text = renderTemplate(rule.message, ctx);
+    const body = { text, ...ctx };
+    for (const url of rule.urls) {
+      const entry = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        rule: rule.name,
+        event: type,
+        sessionId: event.sessionId || null,
+        flowId: event.flowId || null,
+        target: displayUrl(url),
+        text,
+        status: "pending",
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        deliveredAt: null
+      };
+      log.unshift(entry);
+      if (log.length > keep) log.length = keep;
+      onDelivery(entry);
+      deliver(entry, url, body).catch(e => console.error("Notification delivery crashed", e));
+    }
+  }
+
+  /**
+   * Report something that happened; rules decide whether it notifies.
+   * invalid:      { sessionId, flowId, messageId, timestamp, errors, path }
+   * flowEnded:    { sessionId, flowId, failed, outcome, verdict, messageCount, invalidCount, path }
+   * sessionEnded: { sessionId, failed, outcome, flows, invalidCount, path }
+   */
+  function emit(type, event) {
+    for (const rule of rules) {
+      if (rule.on !== type) continue;
+      if (event.flowId && !rule.forFlow(event.flowId)) continue;
+      if ((type === "flowEnded" || type === "sessionEnded") && !event.failed && !rule.always) continue;
+      send(rule, type, event);
+    }
+  }
+
+  // Active flows ({ sessionId, flowId, lastEventAt }) that have been quiet for a rule's `seconds`
+  function checkIdle() {
+    const now = Date.now();
+    const active = opts.listActive ? opts.listActive() : [];
+    const seen = new Set();
+    for (const rule of rules) {
+      if (rule.on !== "idle") continue;
+      for (const f of active) {
+        if (!rule.forFlow(f.flowId)) continue;
+        const key = `${rule.name}|${f.sessionId}|${f.flowId}`;
+        seen.add(key);
+        if (now - Date.parse(f.lastEventAt) < rule.seconds * 1000 || idleFired.get(key) === f.lastEventAt) continue;
+        idleFired.set(key, f.lastEventAt);
+        send(rule, "idle", { ...f, seconds: rule.seconds });
+      }
+    }
+    for (const key of idleFired.keys()) if (!seen.has(key)) idleFired.delete(key);
+  }
+
+  return {
+    rules,
+    emit,
+    start() {
+      if (timer || !rules.some(r => r.on === "idle")) return;
+      timer = setInterval(checkIdle, 1000);
+      timer.unref();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    /** Delivery log, newest first */
+    deliveries() {
+      return log.map(e => ({ ...e }));
+    }
+  };
+}
+
+module.exports = { createNotifier, displayUrl };
@@ -0,0 +1,62 @@
+// lib/paths.js
+// Small helpers to address values inside JSON payloads.
+//
+// Two notations are accepted:
+// - JSON pointer: "/data/custom_attributes/user.deviceID" (use this when keys contain dots)
+// - dotted path:  "data.event_name", "$.data.event_name", "items.0.sku"
+//
+// Path patterns (ignore lists, redaction) add wildcards: "*" inside a segment
+// matches any text, a "**" segment any number of segments ("**/token").
+
+function unescapePointer(seg) {
+  return seg.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/** Split a path into its segments */
+function parsePath(p) {
+  if (p == null || p === "" || p === "$" || p === "/") return [];
+  if (Array.isArray(p)) return p.map(String);
+  const str = String(p);
+  if (str.startsWith("/")) return str.slice(1).split("/").map(unescapePointer);
+  return str.replace(/^\$\.?/, "").split(".").filter(s => s !== "");
+}
+
+/** Segments -> JSON pointer ("" for the root) */
+function toPointer(segments) {
+  return segments.map(s => `/${String(s).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+/** Read the value at a path; undefined when any segment is missing */
+function getPath(obj, p) {
+  let cur = obj;
+  for (const seg of parsePath(p)) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[seg];
+  }
+  return cur;
+}
+
+/** Compile a path pattern to a test over a path's segments */
+function compilePathPattern(pattern) {
+  // "**/id" reads as a pointer too (dotted paths never contain "/")
+  const str = String(pattern);
+  const segs = parsePath(str.includes("/") && !str.startsWith("/") ? `/${str}` : str).map(seg => {
+    if (seg === "**") return "**";
+    if (!seg.includes("*")) return seg;
+    return new RegExp(`^${seg.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+  });
+  const test = (pi, si, path) => {
+    if (pi === segs.length) return si === path.length;
+    const seg = segs[pi];
+    if (seg === "**") {
+      for (let k = si; k <= path.length; k++) if (test(pi + 1, k, path)) return true;
+      return false;
+    }
+    if (si === path.length) return false;
+    const ok = seg instanceof RegExp ? seg.test(path[si]) : seg === path[si];
+    return ok && test(pi + 1, si + 1, path);
+  };
+  return (path) => test(0, 0, path.map(String));
+}
+
+module.exports = { parsePath, getPath, toPointer, compilePathPattern };
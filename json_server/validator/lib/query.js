@@ -0,0 +1,200 @@
+// lib/query.js
+// Search over captured messages (GET /messages, filtered exports).
+//
+//   parseMessageQuery(req.query) -> query     throws (status 400) on malformed input
+//   messageFilter(query)         -> (record) => bool, or null when nothing is filtered
+//   searchMessages(store, query) -> { total, items, nextCursor }
+//
+// A record is a stored message plus where it lives: { sessionId, flowId, ...message }.
+// Filters (all optional, combined with AND):
+//   sessionId, flowId      one id or a comma-separated list
+//   status                 Valid | Invalid
+//   from, to               ISO timestamps (inclusive); since=10m|2h|1d is "from that long ago"
+//   error                  case-insensitive text in any formattedErrorList entry
+//   where                  payload predicate, repeatable: "<path>=<value>", "<path>!=<value>", "<path>~=<regex>"
+//   match                  JSON match object, same predicates as flow specs / rules (validators/match.js)
+// Paths are JSON pointers or dotted paths (lib/paths.js), relative to the payload.
+// Paging: sort=<field> or -<field> (timestamp, sessionId, flowId, status, messageId;
+// default -timestamp), limit (default 100, max 1000), cursor (nextCursor of the previous page).
+// Projection: fields=timestamp,ValidationStatus,payload.data.event_name (paths relative to the record).
+
+const { getPath } = require("./paths");
+const { parseDuration } = require("./config");
+const { compileMatch } = require("../validators/match");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SORT_FIELDS = { timestamp: "timestamp", sessionId: "sessionId", flowId: "flowId", status: "ValidationStatus", messageId: "messageId" };
+
+function badRequest(msg) {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+}
+
+// Query-string values may repeat (arrays); a single-valued param takes the last one
+const one = (v) => (Array.isArray(v) ? v[v.length - 1] : v);
+const many = (v) => (v == null ? [] : [].concat(v));
+const list = (v) => many(v).flatMap(s => String(s).split(",")).map(s => s.trim()).filter(Boolean);
+
+function parseTime(v, name) {
+  if (v == null || v === "") return null;
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) throw badRequest(`${name}: not a timestamp: ${JSON.stringify(v)}`);
+  return t;
+}
+
+// Durations as in the config (lib/config.js parseDuration), so both accept the same syntax
+function parseSince(v) {
+  if (v == null || v === "") return null;
+  try {
+    return Date.now() - parseDuration(String(v), "since");
+  } catch (e) {
+    throw badRequest(e.message);
+  }
+}
+
+// Loose equality for query-string values: "42" matches 42, "true" matches true
+function sameText(v, text) {
+  if (v === undefined) return false;
+  if (v !== null && typeof v === "object") return JSON.stringify(v) === text;
+  return String(v) === text;
+}
+
+function parseWhere(expr) {
+  const m = /^(.+?)(!=|~=|=)(.*)$/.exec(expr);
+  if (!m) throw badRequest(`where: expected "<path>=<value>", "<path>!=<value>" or "<path>~=<regex>", got ${JSON.stringify(expr)}`);
+  const [, path, op, arg] = m;
+  if (op === "~=") {
+    let re;
+    try { re = new RegExp(arg); } catch (e) { throw badRequest(`where: invalid regex ${JSON.stringify(arg)}: ${e.message}`); }
+    return (payload) => {
+      const v = getPath(payload, path);
+      return v != null && typeof v !== "object" && re.test(String(v));
+    };
+  }
+  if (op === "!=") return (payload) => !sameText(getPath(payload, path), arg);
+  return (payload) => sameText(getPath(payload, path), arg);
+}
+
+function parseMatch(v) {
+  if (v == null || v === "") return null;
+  let obj;
+  try { obj = JSON.parse(v); } catch (e) { throw badRequest(`match: invalid JSON: ${e.message}`); }
+  try { return compileMatch(obj, "match"); } catch (e) { throw badRequest(e.message); }
+}
+
+function parseSort(v) {
+  const raw = one(v) || "-timestamp";
+  const desc = raw.startsWith("-");
+  const name = desc ? raw.slice(1) : raw;
+  if (!SORT_FIELDS[name]) throw badRequest(`sort: unknown field "${name}" (use ${Object.keys(SORT_FIELDS).join(", ")})`);
+  return { spec: raw, field: SORT_FIELDS[name], desc };
+}
+
+function parseLimit(v) {
+  if (v == null || v === "") return DEFAULT_LIMIT;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw badRequest(`limit: expected a positive integer, got ${JSON.stringify(v)}`);
+  return Math.min(n, MAX_LIMIT);
+}
+
+function encodeCursor(sort, record) {
+  return Buffer.from(JSON.stringify({ s: sort.spec, v: record[sort.field] ?? null, id: record.messageId })).toString("base64url");
+}
+
+function decodeCursor(v, sort) {
+  if (v == null || v === "") return null;
+  let c;
+  try { c = JSON.parse(Buffer.from(String(v), "base64url").toString("utf8")); } catch (e) { c = null; }
+  if (!c || typeof c !== "object" || typeof c.id !== "string") throw badRequest("cursor: malformed");
+  if (c.s !== sort.spec) throw badRequest(`cursor: was issued for sort=${c.s}, not sort=${sort.spec}`);
+  return c;
+}
+
+/** Parse and validate the search parameters of a request */
+function parseMessageQuery(q = {}) {
+  const sort = parseSort(q.sort);
+  const status = one(q.status) || null;
+  if (status && status !== "Valid" && status !== "Invalid") throw badRequest(`status: expected Valid or Invalid, got ${JSON.stringify(status)}`);
+  const from = parseTime(one(q.from), "from");
+  const since = parseSince(one(q.since));
+  const error = one(q.error);
+
+  return {
+    sessionIds: list(q.sessionId),
+    flowIds: list(q.flowId),
+    status,
+    from: from != null && since != null ? Math.max(from, since) : (from ?? since),
+    to: parseTime(one(q.to), "to"),
+    error: error ? String(error).toLowerCase() : null,
+    payload: [...many(q.where).map(w => parseWhere(String(w))), parseMatch(one(q.match))].filter(Boolean),
+    sort,
+    limit: parseLimit(one(q.limit)),
+    cursor: decodeCursor(one(q.cursor), sort),
+    fields: list(q.fields)
+  };
+}
+
+/** Record predicate for the filters of a parsed query; null when it filters nothing */
+function messageFilter(query) {
+  const { sessionIds, flowIds, status, from, to, error, payload } = query;
+  const tests = [];
+  if (sessionIds.length) tests.push(r => sessionIds.includes(r.sessionId));
+  if (flowIds.length) tests.push(r => flowIds.includes(r.flowId));
+  if (status) tests.push(r => r.ValidationStatus === status);
+  if (from != null) tests.push(r => Date.parse(r.timestamp) >= from);
+  if (to != null) tests.push(r => Date.parse(r.timestamp) <= to);
+  if (error) tests.push(r => (r.formattedErrorList || []).some(e => String(e).toLowerCase().includes(error)));
+  payload.forEach(test => tests.push(r => test(r.payload)));
+  return tests.length ? (r) => tests.every(t => t(r)) : null;
+}
+
+function compareBy(sort) {
+  const dir = sort.desc ? -1 : 1;
+  const cmp = (a, b) => String(a ?? "").localeCompare(String(b ?? ""));
+  // messageId breaks ties so the order (and a cursor position) is total
+  return (a, b) => dir * (cmp(a[sort.field], b[sort.field]) || cmp(a.messageId, b.messageId));
+}
+
+function project(record, fields) {
+  if (!fields.length) return record;
+  const out = {};
+  for (const f of fields) out[f] = getPath(record, f) ?? null;
+  return out;
+}
+
+/** One page of matching records, sorted; `total` counts all matches */
+function searchMessages(store, query) {
+  const filter = messageFilter(query);
+  const records = [];
+  for (const [sessionId, s] of store.listSessions()) {
+    if (query.sessionIds.length && !query.sessionIds.includes(sessionId)) continue;
+    for (const [flowId, fl] of Object.entries(s.flows || {})) {
+      for (const m of fl.messages || []) {
+        const r = { sessionId, flowId, ...m };
+        if (!filter || filter(r)) records.push(r);
+      }
+    }
+  }
+
+  const compare = compareBy(query.sort);
+  records.sort(compare);
+
+  let start = 0;
+  if (query.cursor) {
+    const after = { [query.sort.field]: query.cursor.v, messageId: query.cursor.id };
+    start = records.findIndex(r => compare(r, after) > 0);
+    if (start < 0) start = records.length;
+  }
+  const page = records.slice(start, start + query.limit);
+  const more = start + page.length < records.length;
+
+  return {
+    total: records.length,
+    items: page.map(r => project(r, query.fields)),
+    nextCursor: more ? encodeCursor(query.sort, page[page.length - 1]) : null
+  };
+}
+
+module.exports = { parseMessageQuery, messageFilter, searchMessages };
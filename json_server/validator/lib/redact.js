@@ -0,0 +1,153 @@
+// lib/redact.js
+// PII redaction applied to a payload after validation, before it is stored or logged.
+//
+// Rules (config `redaction.rules`, plus validators/flows/<flowId>/redact.json):
+//   { "path": "/data/custom_attributes/user.email", "action": "mask" }      "***"
+//   { "path": "**/loyalty.number", "action": "mask", "keepLast": 4 }        "***2345"
+//   { "path": "/data/*Encrypted", "action": "hash" }                        "sha256:<16 hex>" (stable, salted)
+//   { "path": "**/token", "action": "drop" }                                key removed
+//   { "header": "authorization", "action": "drop" }                         a key of any "headers" object
+// Paths are path patterns (lib/paths.js); header names match case-insensitively and
+// accept "*" ("x-api-*"). The first matching rule wins; flow rules come before global ones.
+//
+//   compileRedaction(raw, where) -> rules     throws on malformed rules
+//   redactPayload(payload, rules, { salt }) -> { payload, redacted: [{ path, action }] }
+//   redactErrors(errors, raw, { payload, redacted }) -> error texts quoting a redacted value show the stored one
+//   skipRedactedErrors(result, redacted) -> validation result without the errors at redacted paths
+const crypto = require("crypto");
+const { compilePathPattern, toPointer, getPath } = require("./paths");
+
+const ACTIONS = ["mask", "hash", "drop"];
+const MASK = "***";
+
+function fail(where, msg) {
+  throw new Error(`${where}: ${msg}`);
+}
+
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) fail(where, "must be an object");
+  if (!ACTIONS.includes(rule.action)) fail(where, `"action" must be one of ${ACTIONS.join(", ")}`);
+  if (rule.keepLast !== undefined && (!Number.isInteger(rule.keepLast) || rule.keepLast < 0)) fail(where, `"keepLast" must be a non-negative integer`);
+  const base = { action: rule.action, keepLast: rule.keepLast || 0 };
+
+  if (typeof rule.path === "string" && rule.path) {
+    const test = compilePathPattern(rule.path);
+    return { ...base, matches: (segs) => test(segs) };
+  }
+  if (typeof rule.header === "string" && rule.header) {
+    const re = new RegExp(`^${rule.header.toLowerCase().split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+    return {
+      ...base,
+      matches: (segs) => segs.length >= 2 && String(segs[segs.length - 2]).toLowerCase() === "headers" && re.test(String(segs[segs.length - 1]).toLowerCase())
+    };
+  }
+  return fail(where, `needs a "path" or a "header"`);
+}
+
+/** Compile a rule list ({ rules: [...] } or the array itself) */
+function compileRedaction(raw, where = "redaction") {
+  const rules = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(rules)) fail(where, `"rules" must be an array`);
+  return rules.map((r, i) => compileRule(r, `${where}.rules[${i}]`));
+}
+
+function redactValue(v, rule, salt) {
+  if (rule.action === "hash") {
+    const digest = crypto.createHash("sha256").update(salt).update(JSON.stringify(v) ?? "").digest("hex");
+    return `sha256:${digest.slice(0, 16)}`;
+  }
+  const tail = rule.keepLast && typeof v !== "object" && v != null ? String(v).slice(-rule.keepLast) : "";
+  return MASK + tail;
+}
+
+/**
+ * Redacted copy of a payload and the JSON pointers that were redacted.
+ * The input is never modified.
+ */
+function redactPayload(payload, rules, { salt = "" } = {}) {
+  const redacted = [];
+  if (!rules.length || payload === null || typeof payload !== "object") return { payload, redacted };
+
+  function walk(node, segs) {
+    const isArray = Array.isArray(node);
+    const out = isArray ? [] : {};
+    for (const [k, v] of Object.entries(node)) {
+      const at = [...segs, k];
+      const rule = rules.find(r => r.matches(at));
+      if (rule) {
+        redacted.push({ path: toPointer(at), action: rule.action });
+        if (rule.action === "drop") {
+          if (isArray) out.push(null); // keep later indexes stable
+          continue;
+        }
+        if (isArray) out.push(redactValue(v, rule, salt));
+        else out[k] = redactValue(v, rule, salt);
+        continue;
+      }
+      const copy = v !== null && typeof v === "object" ? walk(v, at) : v;
+      if (isArray) out.push(copy);
+      else out[k] = copy;
+    }
+    return out;
+  }
+
+  return { payload: walk(payload, []), redacted };
+}
+
+const MIN_BARE_LENGTH = 3; // shorter values are only replaced in their quoted JSON form
+
+// [raw text, stored text] pairs for a redacted value and, for objects, each string/number inside it
+function replacements(value, stored, out) {
+  if (value === null || typeof value === "boolean" || value === undefined) return out;
+  if (typeof value === "object") {
+    out.push([JSON.stringify(value), JSON.stringify(stored)]);
+    for (const v of Object.values(value)) replacements(v, MASK, out);
+    return out;
+  }
+  out.push([JSON.stringify(value), JSON.stringify(String(stored))]);
+  if (String(value).length >= MIN_BARE_LENGTH) out.push([String(value), String(stored)]);
+  return out;
+}
+
+/**
+ * Error texts (formattedErrorList) with every raw value of a redacted field replaced by what
+ * was stored for it (`redacted` and `payload` as returned by redactPayload for `raw`;
+ * dropped fields read "***"). Rule and plugin messages may quote values; stored errors,
+ * exports and webhooks must not leak them.
+ */
+function redactErrors(errors, raw, { payload, redacted }) {
+  if (!errors?.length || !redacted?.length) return errors;
+  const pairs = [];
+  for (const { path } of redacted) {
+    const stored = getPath(payload, path);
+    replacements(getPath(raw, path), stored == null ? MASK : stored, pairs);
+  }
+  pairs.sort((a, b) => b[0].length - a[0].length);
+  return errors.map(text => pairs.reduce((t, [from, to]) => t.split(from).join(to), String(text)));
+}
+
+/**
+ * A validation result ({ valid, formattedErrorList, errorPaths }) of a redacted payload without
+ * the errors at or under a redacted path: "***" fails the checks the received value passed.
+ * Used when the received payload is gone (messages restored after a restart). Remaining
+ * errors are renumbered; `skipped` counts the dropped ones.
+ */
+function skipRedactedErrors(result, redacted) {
+  const paths = (redacted || []).map(r => r.path);
+  const hidden = (p) => p != null && paths.some(r => p === r || p.startsWith(`${r}/`));
+  const keep = (result.errorPaths || []).map(p => !hidden(p));
+  const skipped = keep.filter(k => !k).length;
+  if (!skipped) return { ...result, skipped: 0 };
+  const formattedErrorList = result.formattedErrorList
+    .filter((_, i) => keep[i])
+    .map((text, i) => String(text).replace(/^\d+\.\s*/, `${i + 1}. `));
+  return {
+    ...result,
+    valid: result.valid || !formattedErrorList.length,
+    formattedErrorList,
+    errorPaths: result.errorPaths.filter((_, i) => keep[i]),
+    skipped
+  };
+}
+
+module.exports = { compileRedaction, redactPayload, redactErrors, skipRedactedErrors };
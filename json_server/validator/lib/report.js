@@ -0,0 +1,277 @@
+// lib/report.js
+// One report model (sessions -> flows -> messages) shared by every export
+// format. Renderers only walk the model; none of them touch the store.
+//
+//   buildReportModel(store, scope, { verdictFor, coverage, filter }) -> model
+//   messageRows(model) / flowRows(model) / coverageRows(model) -> flat rows (CSV, XLSX)
+//   toCsv(model), toJUnit(model), writeXlsx(model, stream)
+
+const ExcelJS = require("exceljs");
+
+/* ============================================================================
+   Model
+   ========================================================================== */
+
+/**
+ * Build the report for a scope ({} | { sessionId } | { sessionId, flowId }).
+ * `verdictFor(flowId, flow)` supplies a verdict for flows that haven't ended;
+ * `coverage` (optional) maps "<sessionId>/<flowId>" to that flow's schema coverage.
+ * `filter` (optional, see lib/query.js) keeps only matching messages; flows and
+ * sessions left without any are dropped.
+ */
+function buildReportModel(store, scope = {}, { verdictFor, coverage, filter } = {}) {
+  const { sessionId, flowId } = scope;
+  const totals = { sessions: 0, flows: 0, flowsFailed: 0, messages: 0, valid: 0, invalid: 0 };
+  const sessions = [];
+
+  for (const [sid, s] of store.listSessions()) {
+    if (sessionId && sid !== sessionId) continue;
+    const flows = [];
+    for (const [fid, fl] of Object.entries(s.flows || {})) {
+      if (flowId && fid !== flowId) continue;
+      const kept = filter ? (fl.messages || []).filter(m => filter({ sessionId: sid, flowId: fid, ...m })) : (fl.messages || []);
+      if (filter && !kept.length) continue;
+      const messages = kept.map(m => ({
+        messageId: m.messageId,
+        batchId: m.batchId || null,
+        correlationId: m.correlationId || null,
+        timestamp: m.timestamp,
+        status: m.ValidationStatus,
+        errors: m.formattedErrorList || [],
+        schema: m.schema || null,
+        payload: m.payload ?? {}
+      }));
+      const valid = messages.filter(m => m.status === "Valid").length;
+      const verdict = fl.verdict || (verdictFor ? verdictFor(fid, fl) : null) || null;
+      flows.push({
+        flowId: fid,
+        name: fl.name || fid,
+        createdAt: fl.createdAt,
+        endedAt: fl.endedAt || null,
+        verdict,
+        counts: { messages: messages.length, valid, invalid: messages.length - valid },
+        coverage: coverage?.get(`${sid}/${fid}`) || null,
+        messages
+      });
+      totals.flows += 1;
+      if (verdict && verdict.status === "Failed") totals.flowsFailed += 1;
+      totals.messages += messages.length;
+      totals.valid += valid;
+      totals.invalid += messages.length - valid;
+    }
+    if (filter && !flows.length) continue;
+    totals.sessions += 1;
+    sessions.push({ sessionId: sid, key: s.key || null, createdAt: s.createdAt, endedAt: s.endedAt || null, flows });
+  }
+
+  return { generatedAt: new Date().toISOString(), scope: { ...scope }, filtered: !!filter, totals, sessions };
+}
+
+/* ============================================================================
+   Flat rows (CSV / XLSX)
+   ========================================================================== */
+
+const MESSAGE_COLUMNS = [
+  { header: "Message ID",     key: "messageId", width: 40 },
+  { header: "Session ID",     key: "sessionId", width: 38 },
+  { header: "Flow ID",        key: "flowId",    width: 24 },
+  { header: "Batch ID",       key: "batchId",   width: 38 },
+  { header: "Timestamp",      key: "timestamp", width: 24 },
+  { header: "Status",         key: "status",    width: 10 },
+  { header: "Schema",         key: "schema",    width: 30 },
+  { header: "Schema Version", key: "schemaVersion", width: 14 },
+  { header: "Selectors",      key: "selectors", width: 40 },
+  { header: "Errors",         key: "errors",    width: 60 },
+  { header: "Payload (JSON)", key: "payload",   width: 80 },
+];
+
+const FLOW_COLUMNS = [
+  { header: "Session ID",   key: "sessionId",  width: 38 },
+  { header: "Flow ID",      key: "flowId",     width: 24 },
+  { header: "Name",         key: "name",       width: 24 },
+  { header: "Verdict",      key: "verdict",    width: 12 },
+  { header: "Missing",      key: "missing",    width: 30 },
+  { header: "Unexpected",   key: "unexpected", width: 12 },
+  { header: "Out of order", key: "outOfOrder", width: 30 },
+  { header: "Problems",     key: "problems",   width: 80 },
+];
+
+const COVERAGE_COLUMNS = [
+  { header: "Session ID", key: "sessionId", width: 38 },
+  { header: "Flow ID",    key: "flowId",    width: 24 },
+  { header: "Schema",     key: "schema",    width: 30 },
+  { header: "Kind",       key: "kind",      width: 10 },
+  { header: "Path",       key: "path",      width: 50 },
+  { header: "Item",       key: "item",      width: 40 },
+  { header: "Seen",       key: "seen",      width: 8 },
+  { header: "Of",         key: "of",        width: 8 },
+];
+
+function eachFlow(model, fn) {
+  for (const s of model.sessions) for (const f of s.flows) fn(s, f);
+}
+
+// Manifest selector values as "appVersion=5.2.0, platform=ios" (found ones only)
+function selectorText(selectors) {
+  return Object.entries(selectors || {}).filter(([, v]) => v != null).map(([k, v]) => `${k}=${v}`).join(", ");
+}
+
+function messageRows(model) {
+  const rows = [];
+  eachFlow(model, (s, f) => f.messages.forEach(m => rows.push({
+    sessionId: s.sessionId,
+    flowId: f.flowId,
+    messageId: m.messageId,
+    batchId: m.batchId || "",
+    timestamp: m.timestamp,
+    status: m.status,
+    schema: m.schema?.file || "",
+    schemaVersion: m.schema?.version || "",
+    selectors: selectorText(m.schema?.selectors),
+    errors: m.errors.join(" | "),
+    payload: JSON.stringify(m.payload)
+  })));
+  return rows;
+}
+
+function flowRows(model) {
+  const rows = [];
+  eachFlow(model, (s, f) => {
+    const v = f.verdict;
+    rows.push({
+      sessionId: s.sessionId,
+      flowId: f.flowId,
+      name: f.name,
+      verdict: v ? v.status : "No spec",
+      missing: v ? v.missing.map(mi => mi.event).join(", ") : "",
+      unexpected: v ? v.unexpected.length : "",
+      outOfOrder: v ? v.outOfOrder.map(o => o.event).join(", ") : "",
+      problems: v ? v.problems.join(" | ") : ""
+    });
+  });
+  return rows;
+}
+
+// One row per property, enum value and branch outcome of each flow's coverage
+function coverageRows(model) {
+  const rows = [];
+  eachFlow(model, (s, f) => {
+    for (const c of f.coverage?.schemas || []) {
+      const base = { sessionId: s.sessionId, flowId: f.flowId, schema: c.file };
+      c.properties.forEach(p => rows.push({ ...base, kind: "property", path: p.path, item: p.required ? "required" : "optional", seen: p.seen, of: p.of }));
+      c.enums.forEach(e => e.values.forEach(v => rows.push({ ...base, kind: "enum", path: e.path, item: JSON.stringify(v.value), seen: v.seen, of: e.of })));
+      c.branches.forEach(b => b.options.forEach(o => rows.push({ ...base, kind: b.kind, path: b.path || "/", item: o.option, seen: o.seen ?? "n/a", of: b.of })));
+    }
+  });
+  return rows;
+}
+
+/* ============================================================================
+   Renderers
+   ========================================================================== */
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** RFC 4180 CSV, one row per message (same columns as the XLSX Messages sheet) */
+function toCsv(model) {
+  const lines = [MESSAGE_COLUMNS.map(c => csvCell(c.header)).join(",")];
+  for (const r of messageRows(model)) lines.push(MESSAGE_COLUMNS.map(c => csvCell(r[c.key])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function xml(v) {
+  return String(v ?? "")
+    // characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function seconds(from, to) {
+  const ms = Date.parse(to) - Date.parse(from);
+  return Number.isFinite(ms) && ms > 0 ? (ms / 1000).toFixed(3) : "0";
+}
+
+/**
+ * JUnit XML. Sessions group the suites: each flow is a <testsuite> whose
+ * package is its session, and each message is a <testcase> (classname
+ * "<sessionId>.<flowId>") failing with its formattedErrorList. Flows with a
+ * spec get one extra "verdict" testcase.
+ */
+function toJUnit(model) {
+  const out = [];
+  const t = model.totals;
+  const verdicts = [];
+  eachFlow(model, (s, f) => { if (f.verdict) verdicts.push(f.verdict); });
+  const failures = t.invalid + verdicts.filter(v => v.status !== "Passed").length;
+
+  out.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+  out.push(`<testsuites name="validation" tests="${t.messages + verdicts.length}" failures="${failures}" errors="0" timestamp="${xml(model.generatedAt)}">`);
+  eachFlow(model, (s, f) => {
+    const classname = `${s.sessionId}.${f.flowId}`;
+    const verdictFails = f.verdict && f.verdict.status !== "Passed" ? 1 : 0;
+    out.push(`  <testsuite name="${xml(f.name)}" package="${xml(s.sessionId)}" id="${xml(classname)}" tests="${f.counts.messages + (f.verdict ? 1 : 0)}" failures="${f.counts.invalid + verdictFails}" errors="0" skipped="0" timestamp="${xml(f.createdAt)}" time="${seconds(f.createdAt, f.endedAt)}">`);
+    out.push(`    <properties>`);
+    out.push(`      <property name="sessionId" value="${xml(s.sessionId)}"/>`);
+    if (s.key) out.push(`      <property name="sessionKey" value="${xml(s.key)}"/>`);
+    out.push(`      <property name="flowId" value="${xml(f.flowId)}"/>`);
+    out.push(`    </properties>`);
+
+    let prev = f.createdAt;
+    for (const m of f.messages) {
+      out.push(`    <testcase name="${xml(m.messageId)}" classname="${xml(classname)}" time="${seconds(prev, m.timestamp)}">`);
+      prev = m.timestamp;
+      if (m.status !== "Valid") {
+        out.push(`      <failure message="${xml(m.errors[0] || "Invalid")}" type="ValidationError">${xml(m.errors.join("\n"))}</failure>`);
+      }
+      out.push(`      <system-out>${xml(JSON.stringify(m.payload, null, 2))}</system-out>`);
+      out.push(`    </testcase>`);
+    }
+
+    if (f.verdict) {
+      const v = f.verdict;
+      out.push(`    <testcase name="verdict" classname="${xml(classname)}" time="0">`);
+      if (v.status !== "Passed") {
+        out.push(`      <failure message="${xml(`Flow ${v.status}`)}" type="FlowVerdict">${xml(v.problems.join("\n"))}</failure>`);
+      }
+      out.push(`    </testcase>`);
+    }
+    out.push(`  </testsuite>`);
+  });
+  out.push(`</testsuites>`);
+  return out.join("\n") + "\n";
+}
+
+/** Workbook with Messages, Flows (verdicts) and Coverage sheets */
+async function writeXlsx(model, stream) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Messages");
+  ws.columns = MESSAGE_COLUMNS;
+  ws.addRows(messageRows(model));
+
+  const wf = wb.addWorksheet("Flows");
+  wf.columns = FLOW_COLUMNS;
+  wf.addRows(flowRows(model));
+
+  const wc = wb.addWorksheet("Coverage");
+  wc.columns = COVERAGE_COLUMNS;
+  wc.addRows(coverageRows(model));
+
+  await wb.xlsx.write(stream);
+}
+
+module.exports = {
+  buildReportModel,
+  messageRows,
+  flowRows,
+  coverageRows,
+  toCsv,
+  toJUnit,
+  writeXlsx,
+  MESSAGE_COLUMNS,
+  FLOW_COLUMNS,
+  COVERAGE_COLUMNS
+};
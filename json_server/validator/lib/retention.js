@@ -0,0 +1,114 @@
+// lib/retention.js
+// Memory bounds for long-running validators (config `retention`):
+//
+//   maxMessagesPerFlow   keep the newest N messages of each flow, running or ended (0 = unlimited)
+//   maxSessions          keep the newest N sessions (0 = unlimited)
+//   endedSessionTtl      remove sessions this long after they ended ("30m", "24h", "7d"; null = never)
+//   sweepInterval        how often ended sessions are checked for expiry
+//
+// Eviction is oldest-first and goes through the store, so the file store log and
+// live updates see it like any other change. Sessions that something still points
+// at (the sticky current session, routing-key bindings) are never evicted.
+// A trimmed flow counts what it lost in `flow.evicted` (see lib/store.js), which verdicts and
+// baseline comparisons take into account.
+//
+//   createRetention(store, { ...config.retention, isPinned }) -> { start(), sweep(), stats(), stop() }
+const { parseDuration } = require("./config");
+
+function parseLimit(v, name) {
+  if (v == null) return 0;
+  if (!Number.isInteger(v) || v < 0) throw new Error(`retention.${name}: expected a non-negative integer (0 = unlimited), got ${JSON.stringify(v)}`);
+  return v;
+}
+
+function createRetention(store, opts = {}) {
+  const limits = {
+    maxMessagesPerFlow: parseLimit(opts.maxMessagesPerFlow, "maxMessagesPerFlow"),
+    maxSessions: parseLimit(opts.maxSessions, "maxSessions"),
+    endedSessionTtl: parseDuration(opts.endedSessionTtl, "retention.endedSessionTtl"),
+    sweepInterval: parseDuration(opts.sweepInterval, "retention.sweepInterval") || 60000
+  };
+  const isPinned = opts.isPinned || (() => false);
+  const evicted = { messages: 0, sessions: 0 };
+  let timer = null;
+  let unsubscribe = null;
+
+  function evictSession(sessionId) {
+    const s = store.getSession(sessionId);
+    if (!s) return;
+    evicted.messages += Object.values(s.flows).reduce((n, f) => n + f.messages.length, 0);
+    evicted.sessions += 1;
+    store.deleteSession(sessionId);
+  }
+
+  function trimFlow(sessionId, flowId) {
+    const max = limits.maxMessagesPerFlow;
+    const fl = store.getFlow(sessionId, flowId);
+    if (!max || !fl) return;
+    const over = fl.messages.length - max;
+    if (over <= 0) return;
+    evicted.messages += over;
+    store.evictMessages(sessionId, flowId, over);
+  }
+
+  function trimSessions() {
+    const max = limits.maxSessions;
+    if (!max) return;
+    const sessions = store.listSessions();
+    let over = sessions.length - max;
+    if (over <= 0) return;
+    const oldest = sessions
+      .filter(([sid]) => !isPinned(sid))
+      .sort(([, a], [, b]) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const [sid] of oldest) {
+      if (over-- <= 0) break;
+      evictSession(sid);
+    }
+  }
+
+  function expireSessions(now = Date.now()) {
+    const ttl = limits.endedSessionTtl;
+    if (ttl == null) return;
+    for (const [sid, s] of store.listSessions()) {
+      if (s.endedAt && now - Date.parse(s.endedAt) >= ttl && !isPinned(sid)) evictSession(sid);
+    }
+  }
+
+  /** Apply every limit now (also trims what a restart or a config change left over) */
+  function sweep() {
+    expireSessions();
+    trimSessions();
+    for (const [sid, s] of store.listSessions()) {
+      for (const fid of Object.keys(s.flows)) trimFlow(sid, fid);
+    }
+  }
+
+  return {
+    limits,
+    start() {
+      if (unsubscribe) return;
+      unsubscribe = store.subscribe((op) => {
+        if (op.op === "message") trimFlow(op.sessionId, op.flowId);
+        // a session that was pinned may just have been released
+        else if (op.op === "session" || op.op === "current" || op.op === "binding") trimSessions();
+      });
+      sweep();
+      if (limits.endedSessionTtl != null) {
+        timer = setInterval(sweep, limits.sweepInterval);
+        timer.unref(); // never keeps the process (or an embedded run) alive
+      }
+    },
+    stop() {
+      if (unsubscribe) unsubscribe();
+      if (timer) clearInterval(timer);
+      unsubscribe = timer = null;
+    },
+    sweep,
+    /** { limits, evicted: { messages, sessions } } since startup */
+    stats() {
+      return { limits, evicted: { ...evicted } };
+    }
+  };
+}
+
+module.exports = { createRetention };
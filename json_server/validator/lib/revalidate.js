@@ -0,0 +1,55 @@
+// lib/revalidate.js
+// Compare a message's original validation outcome with a re-run against the
+// current schemas/plugins, and roll the comparisons up into a run report.
+
+// "3. name must …" -> "name must …": numbering shifts when other errors come and go
+function stripNumber(e) {
+  return String(e).replace(/^\d+\.\s*/, "");
+}
+
+/**
+ * Diff two outcomes ({ ValidationStatus, formattedErrorList }).
+ * Returns { flipped: "toValid"|"toInvalid"|null, errorsAdded[], errorsRemoved[] }
+ */
+function diffOutcome(before, after) {
+  const was = new Set((before.formattedErrorList || []).map(stripNumber));
+  const now = new Set((after.formattedErrorList || []).map(stripNumber));
+  let flipped = null;
+  if (before.ValidationStatus !== after.ValidationStatus) {
+    flipped = after.ValidationStatus === "Valid" ? "toValid" : "toInvalid";
+  }
+  return {
+    flipped,
+    errorsAdded: [...now].filter(e => !was.has(e)),
+    errorsRemoved: [...was].filter(e => !now.has(e))
+  };
+}
+
+/**
+ * Build the run report from per-message entries
+ * ({ sessionId, flowId, messageId, before, after }).
+ */
+function buildReport(run, entries) {
+  const changed = [];
+  const totals = { messages: entries.length, toValid: 0, toInvalid: 0, errorsChanged: 0, unchanged: 0 };
+  for (const e of entries) {
+    const d = diffOutcome(e.before, e.after);
+    if (d.flipped) totals[d.flipped] += 1;
+    else if (d.errorsAdded.length || d.errorsRemoved.length) totals.errorsChanged += 1;
+    else {
+      totals.unchanged += 1;
+      continue;
+    }
+    changed.push({
+      sessionId: e.sessionId,
+      flowId: e.flowId,
+      messageId: e.messageId,
+      before: e.before.ValidationStatus,
+      after: e.after.ValidationStatus,
+      ...d
+    });
+  }
+  return { ...run, totals, changed };
+}
+
+module.exports = { diffOutcome, buildReport };
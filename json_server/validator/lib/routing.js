@@ -0,0 +1,48 @@
+// lib/routing.js
+// Routing keys: which value of an incoming event decides the session it belongs to.
+//
+// Spec (config `routing.key`, or env ROUTING_KEY in the short form):
+//   { from: "ip" }                                     "ip"
+//   { from: "header", name: "x-device-id" }            "header:x-device-id"
+//   { from: "payload", path: "/data/custom_attributes/user.deviceID" }
+//                                                      "payload:/data/custom_attributes/user.deviceID"
+// null/absent -> sticky mode only (every event goes to the current session).
+const { getPath } = require("./paths");
+
+function parseKeySpec(spec) {
+  if (!spec) return null;
+  if (typeof spec === "object") return spec;
+  const [from, ...rest] = String(spec).split(":");
+  const arg = rest.join(":");
+  if (from === "ip") return { from };
+  if (from === "header") return { from, name: arg };
+  if (from === "payload") return { from, path: arg };
+  throw new Error(`Invalid routing key "${spec}" (expected ip, header:<name> or payload:<path>)`);
+}
+
+/**
+ * Build (req, payload) -> key|null for the given spec.
+ */
+function createKeyExtractor(spec) {
+  const s = parseKeySpec(spec);
+  if (!s) return () => null;
+  switch (s.from) {
+    case "ip":
+      return (req) => req.ip || null;
+    case "header": {
+      if (!s.name) throw new Error("Routing key header name is required");
+      const name = s.name.toLowerCase();
+      return (req) => req.get(name) || null;
+    }
+    case "payload":
+      if (!s.path) throw new Error("Routing key payload path is required");
+      return (req, payload) => {
+        const v = getPath(payload, s.path);
+        return v == null || typeof v === "object" ? null : String(v);
+      };
+    default:
+      throw new Error(`Unknown routing key source "${s.from}" (expected ip, header or payload)`);
+  }
+}
+
+module.exports = { parseKeySpec, createKeyExtractor };
@@ -0,0 +1,252 @@
+// lib/store.js
+// Storage backends for sessions, flows, messages, the sticky `current` pointers
+// and the per-routing-key pointers (`bindings`).
+//
+// Every backend exposes the same live, read-only tree (`state`, `current`, `bindings`) for
+// lookups and funnels every change through a small set of ops, so a backend only
+// has to decide what to do with an op besides applying it in memory.
+const fs = require("fs");
+const path = require("path");
+
+/*
+Ops (one per mutation):
+  { op: "session",       sessionId, data }           create a session
+  { op: "sessionUpdate", sessionId, patch }          e.g. { endedAt }
+  { op: "sessionDelete", sessionId }
+  { op: "flow",          sessionId, flowId, data }   create a flow
+  { op: "flowUpdate",    sessionId, flowId, patch }
+  { op: "message",       sessionId, flowId, message }
+  { op: "messageUpdate", sessionId, flowId, messageId, patch }
+  { op: "messageEvict",  sessionId, flowId, count }  drop the flow's `count` oldest messages (counted in flow.evicted)
+  { op: "current",       current }
+  { op: "binding",       key, pointer }               pointer = { sessionId, flowId } | null
+  { op: "clear" }
+*/
+// `index` (messageId -> { sessionId, flowId, message }) is kept in step with the tree
+function applyOp(state, current, bindings, index, op) {
+  const s = op.sessionId ? state.sessions[op.sessionId] : null;
+  const unindex = (messages) => { for (const m of messages) index.delete(m.messageId); };
+  switch (op.op) {
+    case "session":
+      if (s) for (const f of Object.values(s.flows)) unindex(f.messages);
+      state.sessions[op.sessionId] = { ...op.data, flows: Object.create(null) };
+      break;
+    case "sessionUpdate":
+      if (s) Object.assign(s, op.patch);
+      break;
+    case "sessionDelete":
+      if (s) for (const f of Object.values(s.flows)) unindex(f.messages);
+      delete state.sessions[op.sessionId];
+      break;
+    case "flow":
+      if (!s) break;
+      if (s.flows[op.flowId]) unindex(s.flows[op.flowId].messages);
+      s.flows[op.flowId] = { ...op.data, messages: [] };
+      break;
+    case "flowUpdate":
+      if (s?.flows[op.flowId]) Object.assign(s.flows[op.flowId], op.patch);
+      break;
+    case "message":
+      if (!s?.flows[op.flowId]) break;
+      s.flows[op.flowId].messages.push(op.message);
+      index.set(op.message.messageId, { sessionId: op.sessionId, flowId: op.flowId, message: op.message });
+      break;
+    case "messageUpdate": {
+      const hit = index.get(op.messageId);
+      if (hit && hit.sessionId === op.sessionId && hit.flowId === op.flowId) Object.assign(hit.message, op.patch);
+      break;
+    }
+    case "messageEvict": {
+      const fl = s?.flows[op.flowId];
+      if (!fl) break;
+      const gone = fl.messages.splice(0, op.count);
+      unindex(gone);
+      fl.evicted = (fl.evicted || 0) + gone.length;
+      break;
+    }
+    case "current":
+      current.sessionId = op.current.sessionId || null;
+      current.flowId = op.current.flowId || null;
+      break;
+    case "binding":
+      if (op.pointer) bindings[op.key] = { sessionId: op.pointer.sessionId || null, flowId: op.pointer.flowId || null };
+      else delete bindings[op.key];
+      break;
+    case "clear":
+      state.sessions = Object.create(null);
+      index.clear();
+      current.sessionId = null;
+      current.flowId = null;
+      for (const key of Object.keys(bindings)) delete bindings[key];
+      break;
+    default:
+      throw new Error(`Unknown store op: ${op.op}`);
+  }
+}
+
+// Ops that rebuild the given tree from scratch (used to compact a log)
+function snapshotOps(state, current, bindings) {
+  const ops = [];
+  for (const [sessionId, s] of Object.entries(state.sessions)) {
+    const { flows, ...data } = s;
+    ops.push({ op: "session", sessionId, data });
+    for (const [flowId, f] of Object.entries(flows || {})) {
+      const { messages, ...fdata } = f;
+      ops.push({ op: "flow", sessionId, flowId, data: fdata });
+      for (const message of messages || []) ops.push({ op: "message", sessionId, flowId, message });
+    }
+  }
+  ops.push({ op: "current", current: { ...current } });
+  for (const [key, pointer] of Object.entries(bindings)) ops.push({ op: "binding", key, pointer: { ...pointer } });
+  return ops;
+}
+
+/**
+ * In-memory store (default). `persist(op)` is called after each applied op;
+ * other backends hook in there. `subscribe(fn)` listeners see every op after it
+ * is applied (used for live updates).
+ */
+function createMemoryStore({ persist = () => {} } = {}) {
+  // Keys come from clients (routing keys, flow ids): no prototype, so "__proto__" or
+  // "constructor" are plain keys
+  const state = { sessions: Object.create(null) };
+  const current = { sessionId: null, flowId: null };
+  const bindings = Object.create(null); // key: routing key -> { sessionId, flowId }
+  const index = new Map(); // key: messageId -> { sessionId, flowId, message }
+  const listeners = new Set();
+
+  function commit(op) {
+    applyOp(state, current, bindings, index, op);
+    persist(op);
+    for (const fn of listeners) {
+      try { fn(op); } catch (e) { console.error("Store listener failed", e); }
+    }
+  }
+
+  return {
+    type: "memory",
+    state,
+    current,
+    bindings,
+    commit,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    getSession(sessionId) {
+      return state.sessions[sessionId];
+    },
+    getFlow(sessionId, flowId) {
+      return state.sessions[sessionId]?.flows?.[flowId];
+    },
+    listSessions() {
+      return Object.entries(state.sessions);
+    },
+    /** { sessionId, flowId, message } for a stored message, or null */
+    findMessage(messageId) {
+      return index.get(messageId) || null;
+    },
+    messageCount() {
+      return index.size;
+    },
+
+    createSession(sessionId, data = {}) {
+      commit({ op: "session", sessionId, data: { ...data, createdAt: new Date().toISOString(), endedAt: null } });
+      return state.sessions[sessionId];
+    },
+    updateSession(sessionId, patch) {
+      commit({ op: "sessionUpdate", sessionId, patch });
+    },
+    deleteSession(sessionId) {
+      commit({ op: "sessionDelete", sessionId });
+    },
+    ensureFlow(sessionId, flowId, name) {
+      if (!state.sessions[sessionId]?.flows[flowId]) {
+        commit({
+          op: "flow", sessionId, flowId,
+          data: { name: name || flowId, createdAt: new Date().toISOString(), endedAt: null }
+        });
+      }
+      return state.sessions[sessionId]?.flows[flowId];
+    },
+    updateFlow(sessionId, flowId, patch) {
+      commit({ op: "flowUpdate", sessionId, flowId, patch });
+    },
+    addMessage(sessionId, flowId, message) {
+      commit({ op: "message", sessionId, flowId, message });
+      return message;
+    },
+    updateMessage(sessionId, flowId, messageId, patch) {
+      commit({ op: "messageUpdate", sessionId, flowId, messageId, patch });
+    },
+    evictMessages(sessionId, flowId, count) {
+      commit({ op: "messageEvict", sessionId, flowId, count });
+    },
+    setCurrent(next) {
+      commit({ op: "current", current: { ...current, ...next } });
+    },
+    setBinding(key, next) {
+      commit({ op: "binding", key, pointer: next ? { ...bindings[key], ...next } : null });
+    },
+    clear() {
+      commit({ op: "clear" });
+    }
+  };
+}
+
+/**
+ * File store: the in-memory tree plus an append-only JSONL log of ops.
+ * On startup the log is replayed (restoring sessions, flows, messages and
+ * `current`) and then compacted to one op per live record.
+ */
+function createFileStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let ready = false;
+  const store = createMemoryStore({
+    persist(op) {
+      if (!ready) return;
+      if (op.op === "clear") fs.writeFileSync(file, "");
+      else fs.appendFileSync(file, JSON.stringify(op) + "\n");
+    }
+  });
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        store.commit(JSON.parse(line));
+      } catch (e) {
+        // A crash mid-write can leave a truncated last line; skip it rather than refuse to start
+        console.warn(`Store ${file}: skipping line ${i + 1}: ${e.message}`);
+      }
+    });
+  }
+
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, snapshotOps(store.state, store.current, store.bindings).map(op => JSON.stringify(op) + "\n").join(""));
+  fs.renameSync(tmp, file);
+  ready = true;
+
+  return { ...store, type: "file", file };
+}
+
+const BACKENDS = {
+  memory: () => createMemoryStore(),
+  file: (opts) => createFileStore(opts)
+};
+
+/**
+ * Create the configured store: config.store = { type: "memory" | "file", file? }
+ */
+exports.createStore = function createStore(opts = {}) {
+  const type = opts.type || "memory";
+  const backend = BACKENDS[type];
+  if (!backend) throw new Error(`Unknown store type "${type}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`);
+  return backend(opts);
+};
+
+exports.createMemoryStore = createMemoryStore;
+exports.createFileStore = createFileStore;
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// Headless scenario runner for CI: starts a session, runs each flow of a
+// scenario file (post captured events and/or wait for a device to send them),
+// prints a per-flow summary and exits non-zero if anything is invalid.
+//
+//   node run-scenario.js <scenario.json|.yaml> [--url <validator>] [--embedded]
+//                        [--report <file>] [--format xlsx|xml|html|json|csv]
+//
+// Scenario (paths are relative to the scenario file):
+//   {
+//     "validator": "http://localhost:8000",   // or "embedded" to run the app in-process
+//     "key": "ci-42",                          // optional routing key for the session (ignored when the
+//                                              // validator has no routing.key; unkeyed runs join an active
+//                                              // sticky session and leave it running)
+//     "headers": { "X-Device-Id": "ci-42" },   // added to every posted event
+//     "report": "out/validation.xml",          // format from the extension unless "format" is set
+//     "flows": [
+//       { "flowId": "login", "name": "Login",
+//         "events": "events/login",            // file or directory (.json/.ndjson/.jsonl, name order)
+//         "waitFor": { "events": 3, "timeout": 30000 } }
+//     ]
+//   }
+//
+// Exit codes: 0 every message valid and every verdict Passed, 1 failures, 2 runner error.
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const yaml = require("js-yaml");
+
+const POLL_MS = 500;
+const DEFAULT_TIMEOUT_MS = 30000;
+const FORMATS = ["xlsx", "xml", "html", "json", "csv"];
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".ndjson": "application/x-ndjson",
+  ".jsonl": "application/x-ndjson"
+};
+
+/* ============================================================================
+   Arguments & scenario file
+   ========================================================================== */
+
+function parseArgs(argv) {
+  const args = { file: null, url: null, embedded: false, report: null, format: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "--url") args.url = value();
+    else if (a === "--embedded") args.embedded = true;
+    else if (a === "--report") args.report = value();
+    else if (a === "--format") args.format = value();
+    else if (a === "-h" || a === "--help") args.help = true;
+    else if (a.startsWith("-")) throw new Error(`Unknown option ${a}`);
+    else if (!args.file) args.file = a;
+    else throw new Error(`Unexpected argument ${a}`);
+  }
+  return args;
+}
+
+function loadScenario(file) {
+  let raw;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    raw = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Cannot read scenario ${file}: ${e.message}`);
+  }
+  if (!raw || typeof raw !== "object") throw new Error(`Invalid scenario ${file}: expected an object`);
+  if (!Array.isArray(raw.flows) || !raw.flows.length) throw new Error(`Invalid scenario ${file}: "flows" must be a non-empty array`);
+
+  const dir = path.dirname(path.resolve(file));
+  const flows = raw.flows.map((f, i) => {
+    if (!f || typeof f.flowId !== "string" || !f.flowId) throw new Error(`Invalid scenario ${file}: flows[${i}].flowId is required`);
+    const events = f.events == null ? [] : [].concat(f.events).map(p => path.resolve(dir, p));
+    const waitFor = f.waitFor || null;
+    if (waitFor && waitFor.events != null && !(Number.isInteger(waitFor.events) && waitFor.events > 0)) {
+      throw new Error(`Invalid scenario ${file}: flows[${i}].waitFor.events must be a positive integer`);
+    }
+    return { flowId: f.flowId, name: f.name || f.flowId, events, waitFor };
+  });
+
+  return {
+    validator: raw.validator || null,
+    key: raw.key || null,
+    headers: raw.headers || {},
+    report: raw.report ? path.resolve(dir, raw.report) : null,
+    format: raw.format || null,
+    flows
+  };
+}
+
+// Event files of a flow, expanding directories in name order
+function eventFiles(paths) {
+  const out = [];
+  for (const p of paths) {
+    if (!fs.existsSync(p)) throw new Error(`Events path not found: ${p}`);
+    if (fs.statSync(p).isDirectory()) {
+      fs.readdirSync(p)
+        .filter(f => CONTENT_TYPES[path.extname(f).toLowerCase()])
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .forEach(f => out.push(path.join(p, f)));
+    } else {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+/* ============================================================================
+   Validator client
+   ========================================================================== */
+
+function createClient(baseURL) {
+  const http = axios.create({ baseURL, validateStatus: () => true, maxBodyLength: Infinity, maxContentLength: Infinity });
+
+  async function call(method, url, data, opts = {}) {
+    let res;
+    try {
+      res = await http.request({ method, url, data, ...opts });
+    } catch (e) {
+      throw new Error(`${method.toUpperCase()} ${baseURL}${url} failed: ${e.message}`);
+    }
+    return res;
+  }
+
+  // Orchestration calls must succeed
+  async function expectOk(method, url, data) {
+    const res = await call(method, url, data);
+    if (res.status >= 400) {
+      throw new Error(`${method.toUpperCase()} ${url} -> ${res.status}: ${res.data?.error || JSON.stringify(res.data)}`);
+    }
+    return res.data;
+  }
+
+  return { call, expectOk };
+}
+
+// Run the validator app inside this process on a free port
+function startEmbedded() {
+  const app = require("./validation_server");
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+    server.on("error", reject);
+  });
+}
+
+/* ============================================================================
+   Run
+   ========================================================================== */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function postEvents(client, files, headers) {
+  for (const file of files) {
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/json";
+    const res = await client.call("post", "/", fs.readFileSync(file), { headers: { ...headers, "Content-Type": type } });
+    // 400 = stored but invalid; anything else means the event never reached the flow
+    if (res.status !== 200 && res.status !== 400) {
+      throw new Error(`Posting ${file} -> ${res.status}: ${res.data?.error || JSON.stringify(res.data)}`);
+    }
+  }
+}
+
+// Wait until the flow holds `events` messages or `timeout` ms pass; returns a problem or null
+async function waitForEvents(client, sessionId, flowId, { events, timeout = DEFAULT_TIMEOUT_MS }) {
+  const deadline = Date.now() + timeout;
+  let count = 0;
+  for (;;) {
+    const fl = await client.expectOk("get", `/sessions/${sessionId}/flows/${flowId}`);
+    count = (fl.messages || []).length;
+    if (events && count >= events) return null;
+    if (Date.now() >= deadline) break;
+    await sleep(Math.min(POLL_MS, Math.max(0, deadline - Date.now())));
+  }
+  return events ? `Timed out after ${timeout}ms waiting for ${events} events (got ${count})` : null;
+}
+
+// The report model narrowed to the given flows (a joined session holds other clients' flows too)
+function onlyFlows(model, flowIds) {
+  const sessions = model.sessions.map(s => ({ ...s, flows: s.flows.filter(f => flowIds.includes(f.flowId)) }));
+  const flows = sessions.flatMap(s => s.flows);
+  const totals = {
+    ...model.totals,
+    flows: flows.length,
+    flowsFailed: flows.filter(f => f.verdict && f.verdict.status === "Failed").length,
+    messages: flows.reduce((n, f) => n + f.counts.messages, 0),
+    invalid: flows.reduce((n, f) => n + f.counts.invalid, 0)
+  };
+  totals.valid = totals.messages - totals.invalid;
+  return { ...model, sessions, totals };
+}
+
+function printSummary(model, problems) {
+  for (const s of model.sessions) {
+    console.log(`Session ${s.sessionId}${s.key ? ` (key ${s.key})` : ""}`);
+    for (const f of s.flows) {
+      const extra = problems[f.flowId] || [];
+      const verdict = f.verdict ? f.verdict.status : "No spec";
+      const failed = f.counts.invalid > 0 || (f.verdict && f.verdict.status !== "Passed") || extra.length > 0;
+      console.log(`  ${failed ? "FAIL" : "PASS"}  ${f.flowId} (${f.name}): ${f.counts.messages} messages, ${f.counts.invalid} invalid, verdict ${verdict}`);
+      extra.forEach(p => console.log(`        - ${p}`));
+      (f.verdict?.problems || []).forEach(p => console.log(`        - ${p}`));
+      f.messages.filter(m => m.status !== "Valid").forEach(m => {
+        console.log(`        - message ${m.messageId}:`);
+        m.errors.forEach(e => console.log(`            ${e}`));
+      });
+    }
+  }
+  const t = model.totals;
+  console.log(`Totals: ${t.flows} flows (${t.flowsFailed} failed), ${t.messages} messages (${t.invalid} invalid)`);
+}
+
+async function writeReport(client, sessionId, file, format) {
+  const fmt = format || path.extname(file).slice(1).toLowerCase();
+  if (!FORMATS.includes(fmt)) throw new Error(`Unknown report format "${fmt}" (use ${FORMATS.join(", ")})`);
+  const res = await client.call("get", `/sessions/${sessionId}/export.${fmt}`, undefined, { responseType: "arraybuffer" });
+  if (res.status !== 200) throw new Error(`Report export -> ${res.status}`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, Buffer.from(res.data));
+  console.log(`Report written to ${file}`);
+}
+
+async function run(args) {
+  const scenario = loadScenario(args.file);
+  const embedded = args.embedded || (!args.url && scenario.validator === "embedded");
+  const baseURL = embedded
+    ? await startEmbedded()
+    : (args.url || scenario.validator || process.env.VALIDATOR_URL || "http://localhost:8000").replace(/\/+$/, "");
+  const client = createClient(baseURL);
+  console.log(`Validator: ${baseURL}${embedded ? " (embedded)" : ""}`);
+
+  // A key only routes events when the validator has routing.key configured
+  const info = await client.expectOk("get", "/sessions");
+  let key = scenario.key;
+  if (key && !info.routing?.key) {
+    console.log(`Validator has no routing key configured: running unkeyed (key ${key} ignored)`);
+    key = null;
+  }
+  // Unkeyed runs join an active sticky session instead of ending it for everyone else
+  const joined = !key && info.current?.sessionId ? info.current.sessionId : null;
+  const sessionId = joined || (await client.expectOk("post", "/sessions", key ? { key } : {})).sessionId;
+  if (joined) console.log(`Joining the active session ${joined} (left running afterwards)`);
+  const problems = {};
+  try {
+    for (const flow of scenario.flows) {
+      await client.expectOk("post", "/flows", { flowId: flow.flowId, name: flow.name, sessionId });
+      await postEvents(client, eventFiles(flow.events), scenario.headers);
+      if (flow.waitFor) {
+        const p = await waitForEvents(client, sessionId, flow.flowId, flow.waitFor);
+        if (p) (problems[flow.flowId] = problems[flow.flowId] || []).push(p);
+      }
+      await client.expectOk("post", "/flows/end", { sessionId });
+    }
+  } finally {
+    if (!joined) await client.call("post", "/sessions/end", { sessionId });
+  }
+
+  let model = await client.expectOk("get", `/sessions/${sessionId}/export.json`);
+  if (joined) model = onlyFlows(model, scenario.flows.map(f => f.flowId));
+  printSummary(model, problems);
+
+  const report = args.report || scenario.report;
+  if (report) await writeReport(client, sessionId, path.resolve(report), args.format || scenario.format);
+
+  const failed = model.totals.invalid > 0 ||
+    Object.keys(problems).length > 0 ||
+    model.sessions.some(s => s.flows.some(f => f.verdict && f.verdict.status !== "Passed"));
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (args.help || !args.file) {
+    console.log("Usage: node run-scenario.js <scenario.json|.yaml> [--url <validator>] [--embedded] [--report <file>] [--format xlsx|xml|html|json|csv]");
+    process.exit(args.help ? 0 : 2);
+  }
+  run(args)
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error(`Error: ${e.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { run, loadScenario, parseArgs, createClient, startEmbedded, printSummary, writeReport, FORMATS };
@@ -1,34 +1,150 @@
 // npm i express http-proxy-middleware axios
+//
+// Reverse proxy that forwards app traffic to TARGET and mirrors matching
+// request/response pairs to the validator's POST / as two events sharing a
+// correlationId:
+//   { direction: "request",  correlationId, url, method, headers, body, startedAt }
+//   { direction: "response", correlationId, url, method, status, headers, body, timing: { startedAt, completedAt, durationMs } }
+//
+// Config: tee-proxy.config.json next to this file (or $TEE_CONFIG), overridden by env:
+//   VALIDATOR_URL, TARGET_ORIGIN, LISTEN_HOST, LISTEN_PORT,
+//   INCLUDE / EXCLUDE (comma-separated regexes matched against the request path+query),
+//   CAPTURE_RESPONSES ("false" to mirror requests only)
 const express = require("express");
-const { createProxyMiddleware } = require("http-proxy-middleware");
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { createProxyMiddleware, responseInterceptor } = require("http-proxy-middleware");
 const axios = require("axios");
+const { merge, readConfigFile } = require("./lib/config");
 
-const VALIDATOR_URL = "http://192.168.86.62:8000";
-const TARGET_ORIGIN = "http://192.168.86.62:2000";
+const DEFAULTS = {
+  validatorUrl: "http://localhost:8000",
+  target: "http://localhost:2000",
+  listen: { host: "0.0.0.0", port: 9001 },
+  include: [],              // empty = mirror everything
+  exclude: [],
+  captureResponses: true,
+  maxBodyBytes: 1024 * 1024
+};
 
-const app = express();
-app.use(express.json({ type: "*/*" })); // capture any content-type
-
-app.use(async (req, res, next) => {
-  // Fire-and-forget copy to validator
-  const copy = {
-    direction: "request",
-    url: TARGET_ORIGIN + req.originalUrl,
-    method: req.method,
-    headers: req.headers,
-    body: req.body
+function listFromEnv(v) {
+  return v.split(",").map(x => x.trim()).filter(Boolean);
+}
+
+function loadTeeConfig(env = process.env) {
+  const file = env.TEE_CONFIG ? path.resolve(env.TEE_CONFIG) : path.join(__dirname, "tee-proxy.config.json");
+  const over = {};
+  if (env.VALIDATOR_URL) over.validatorUrl = env.VALIDATOR_URL;
+  if (env.TARGET_ORIGIN) over.target = env.TARGET_ORIGIN;
+  if (env.LISTEN_HOST || env.LISTEN_PORT) {
+    over.listen = {};
+    if (env.LISTEN_HOST) over.listen.host = env.LISTEN_HOST;
+    if (env.LISTEN_PORT) over.listen.port = Number(env.LISTEN_PORT);
+  }
+  if (env.INCLUDE) over.include = listFromEnv(env.INCLUDE);
+  if (env.EXCLUDE) over.exclude = listFromEnv(env.EXCLUDE);
+  if (env.CAPTURE_RESPONSES) over.captureResponses = env.CAPTURE_RESPONSES !== "false";
+  return merge(merge(DEFAULTS, readConfigFile(file)), over);
+}
+
+const config = loadTeeConfig();
+const include = config.include.map(r => new RegExp(r));
+const exclude = config.exclude.map(r => new RegExp(r));
+
+function shouldMirror(req) {
+  const url = req.originalUrl;
+  if (include.length && !include.some(re => re.test(url))) return false;
+  return !exclude.some(re => re.test(url));
+}
+
+// Best-effort body decoding for the validator: JSON, else text, else base64
+function decodeBody(buf, contentType = "") {
+  if (!buf || buf.length === 0) return { body: null };
+  if (buf.length > config.maxBodyBytes) return { body: null, bodyTruncated: true, bodyBytes: buf.length };
+  const text = buf.toString("utf8");
+  if (/json/i.test(contentType) || /^\s*[[{]/.test(text)) {
+    try { return { body: JSON.parse(text) }; } catch (e) { /* fall through to text */ }
+  }
+  if (/^(text\/|application\/(x-www-form-urlencoded|xml|javascript))/i.test(contentType) || !/[\x00-\x08\x0e-\x1f]/.test(text)) {
+    return { body: text };
+  }
+  return { body: buf.toString("base64"), bodyEncoding: "base64" };
+}
+
+// Fire-and-forget copy to validator
+function mirror(req, event) {
+  const headers = {
+    "X-Client-Ip": req.socket.remoteAddress,        // lets the validator route concurrent devices (ROUTING_KEY=header:x-client-ip)
+    "X-Correlation-Id": req.tee.correlationId
   };
-  axios.post(VALIDATOR_URL, copy, { timeout: 2000 }).catch(() => {});
+  axios.post(config.validatorUrl, event, { timeout: 2000, headers }).catch(() => {});
+}
+
+const app = express();
+// Keep the raw body: it is forwarded untouched and decoded only for the copy
+app.use(express.raw({ type: () => true, limit: config.maxBodyBytes * 4 }));
+
+app.use((req, res, next) => {
+  const startedAt = new Date();
+  req.tee = { correlationId: randomUUID(), startedAt, mirrored: shouldMirror(req) };
+  if (req.tee.mirrored) {
+    mirror(req, {
+      direction: "request",
+      correlationId: req.tee.correlationId,
+      url: config.target + req.originalUrl,
+      method: req.method,
+      headers: req.headers,
+      startedAt: startedAt.toISOString(),
+      ...decodeBody(Buffer.isBuffer(req.body) ? req.body : null, req.get("content-type"))
+    });
+  }
   next();
 });
 
-app.use("/", createProxyMiddleware({
-  target: TARGET_ORIGIN,
+// Re-send the buffered body, which express.raw already consumed
+function writeBody(proxyReq, req) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) return;
+  proxyReq.setHeader("Content-Length", req.body.length);
+  proxyReq.write(req.body);
+}
+
+const plainProxy = createProxyMiddleware({
+  target: config.target,
   changeOrigin: true,
-  selfHandleResponse: false,
-  onProxyRes(proxyRes, req, res) {
-    // Optionally, you can tap the response stream here and post to validator
+  on: { proxyReq: writeBody }
+});
+
+const tappedProxy = createProxyMiddleware({
+  target: config.target,
+  changeOrigin: true,
+  selfHandleResponse: true,
+  on: {
+    proxyReq: writeBody,
+    // responseInterceptor decompresses gzip/deflate/br before handing us the body
+    proxyRes: responseInterceptor(async (buf, proxyRes, req) => {
+      const completedAt = new Date();
+      mirror(req, {
+        direction: "response",
+        correlationId: req.tee.correlationId,
+        url: config.target + req.originalUrl,
+        method: req.method,
+        status: proxyRes.statusCode,
+        headers: proxyRes.headers,
+        timing: {
+          startedAt: req.tee.startedAt.toISOString(),
+          completedAt: completedAt.toISOString(),
+          durationMs: completedAt - req.tee.startedAt
+        },
+        ...decodeBody(buf, proxyRes.headers["content-type"])
+      });
+      return buf;
+    })
   }
-}));
+});
+
+app.use("/", (req, res, next) => (
+  req.tee.mirrored && config.captureResponses ? tappedProxy(req, res, next) : plainProxy(req, res, next)
+));
 
-app.listen(9001, "192.168.86.62", () => console.log("tee-proxy on http://192.168.86.62:9001 ->", TARGET_ORIGIN));
+app.listen(config.listen.port, config.listen.host, () =>
+  console.log(`tee-proxy on http://${config.listen.host}:${config.listen.port} -> ${config.target} (mirroring to ${config.validatorUrl})`));
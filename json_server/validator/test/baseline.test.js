@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compareRun, applyBaseline, compileBaselineConfig } = require("../validators/baseline");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const config = compileBaselineConfig({ key: "/event", ignore: ["/at"] });
+const recording = (keys) => ({ name: "b", events: keys.map(event => ({ payload: { event } })) });
+const run = (keys) => keys.map((event, i) => ({ messageId: `m${i}`, payload: { event, at: i } }));
+
+// Longest common subsequence length, the quadratic way
+function lcs(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (const x of a) {
+    const cur = [0];
+    b.forEach((y, j) => cur.push(x === y ? prev[j] + 1 : Math.max(prev[j + 1], cur[j])));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+test("events are aligned on a longest common subsequence", () => {
+  let seed = 7;
+  const rand = (n) => (seed = (seed * 1103515245 + 12345) % 2147483648) % n;
+  for (let round = 0; round < 30; round++) {
+    const a = Array.from({ length: rand(40) }, () => "abcde"[rand(5)]);
+    const b = Array.from({ length: rand(40) }, () => "abcde"[rand(5)]);
+    const { counts, events } = compareRun(recording(a), run(b), config);
+    assert.strictEqual(counts.unchanged, lcs(a, b), `${a.join("")} / ${b.join("")}`);
+    assert.strictEqual(counts.unchanged + counts.added + counts.moved, b.length);
+    assert.strictEqual(counts.unchanged + counts.removed + counts.moved, a.length);
+    const runOrder = events.filter(e => e.runIndex !== null).map(e => e.runIndex);
+    assert.deepStrictEqual(runOrder, runOrder.slice().sort((x, y) => x - y));
+  }
+});
+
+test("moves, field changes and ignored paths", () => {
+  const baseline = { name: "b", events: [{ payload: { event: "a", v: 1 } }, { payload: { event: "b" } }, { payload: { event: "c" } }] };
+  const cmp = compareRun(baseline, [
+    { messageId: "m0", payload: { event: "b", at: 1 } },
+    { messageId: "m1", payload: { event: "a", v: 2, at: 2 } },
+    { messageId: "m2", payload: { event: "c", at: 3 } }
+  ], config);
+  assert.strictEqual(cmp.status, "Different");
+  assert.deepStrictEqual(cmp.events.map(e => [e.kind, e.key]), [["unchanged", "b"], ["moved", "a"], ["unchanged", "c"]]);
+  assert.match(cmp.problems.join("\n"), /Event 'a' moved from #1 to #2 \(m1\)/);
+  const same = compareRun(recording(["a", "b"]), run(["a", "b"]), config);
+  assert.deepStrictEqual([same.status, same.counts.unchanged], ["Same", 2]);
+});
+
+test("long runs are compared in linear space, and hopeless ones are reported as too large", () => {
+  const keys = Array.from({ length: 100000 }, (_, i) => `e${i % 50}`);
+  const changed = keys.slice();
+  changed[50000] = "other";
+  const long = compareRun(recording(keys), run(changed), config);
+  assert.deepStrictEqual([long.counts.unchanged, long.counts.added, long.counts.removed], [99999, 1, 1]);
+
+  const big = compareRun(recording(Array.from({ length: 3000 }, (_, i) => `b${i}`)), run(Array.from({ length: 3000 }, (_, i) => `r${i}`)), config);
+  assert.strictEqual(big.status, "TooLarge");
+  assert.deepStrictEqual(big.events, []);
+  assert.match(big.problems[0], /Too large to compare: 3000 baseline and 3000 run events differ/);
+  assert.strictEqual(applyBaseline(null, big).status, "Incomplete");
+});
+
+test.describe("baseline routes", () => {
+  const TOKEN = "baseline-secret";
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("baseline", { "event.schema.json": { type: "object" } });
+    server = await startServer({ FLOW_FILES_TOKEN: TOKEN });
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("recording and deleting a baseline need the flow files token", async () => {
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    await server.post("/", { event: "open" });
+    await server.post("/", { event: "close" });
+    await server.post("/flows/end", { sessionId });
+
+    const url = `/sessions/${sessionId}/flows/${flowId}/baseline`;
+    assert.strictEqual((await server.post(url, { name: "good" })).status, 401);
+    assert.strictEqual((await server.post(url, { name: "good" }, { Authorization: "Bearer nope" })).status, 401);
+    const saved = await server.post(url, { name: "good" }, auth);
+    assert.strictEqual(saved.status, 201, JSON.stringify(saved.data));
+
+    const list = (await server.get(`/validators/flows/${flowId}/baselines`)).data;
+    assert.deepStrictEqual(list.baselines.map(b => [b.name, b.events]), [["good", 2]]);
+    const cmp = (await server.get(`/sessions/${sessionId}/flows/${flowId}/compare.json`)).data;
+    assert.deepStrictEqual([cmp.baseline, cmp.status, cmp.counts.unchanged], ["good", "Same", 2]);
+
+    const del = `/validators/flows/${flowId}/baselines/good`;
+    assert.strictEqual((await server.delete(del)).status, 401);
+    assert.strictEqual((await server.delete(del, auth)).status, 200);
+    assert.deepStrictEqual((await server.get(`/validators/flows/${flowId}/baselines`)).data.baselines, []);
+  });
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCapture, firstRequestTime } = require("../lib/capture");
+
+const jsonl = (...lines) => Buffer.from(lines.map(l => JSON.stringify(l)).join("\n"));
+
+test("the first request time of a large capture", () => {
+  const base = Date.parse("2025-01-01T00:00:00.000Z");
+  const requests = Array.from({ length: 200000 }, (_, i) => ({ timestamp: new Date(base + 200000 - i).toISOString() }));
+  requests.push({ timestamp: null });
+  assert.strictEqual(firstRequestTime(requests), base + 1);
+  assert.strictEqual(firstRequestTime([{ timestamp: null }]), null);
+});
+
+test("a JSONL event with url and body fields is an event, not a request", () => {
+  const event = { event: "link_clicked", url: "https://shop.example.com/cart", body: "Checkout" };
+  const { requests } = parseCapture(jsonl(event));
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].url, null);
+  assert.deepStrictEqual(JSON.parse(requests[0].body), event);
+});
+
+test("JSONL requests are tee-proxy request events or wrapped in { request }", () => {
+  const { requests } = parseCapture(jsonl(
+    { direction: "request", url: "https://a.example.com/v1/track", method: "post", body: { event: "one" }, startedAt: "2025-01-01T00:00:01.000Z" },
+    { direction: "response", url: "https://a.example.com/v1/track", status: 200, body: { ok: true } },
+    { request: { url: "https://b.example.com/collect", headers: { "Content-Type": "text/plain" }, body: "{\"event\":\"two\"}" }, timestamp: "2025-01-01T00:00:02.000Z" }
+  ));
+  assert.deepStrictEqual(requests.map(r => [r.method, r.url, r.timestamp]), [
+    ["POST", "https://a.example.com/v1/track", "2025-01-01T00:00:01.000Z"],
+    ["POST", "https://b.example.com/collect", "2025-01-01T00:00:02.000Z"]
+  ]);
+  assert.deepStrictEqual(requests.map(r => JSON.parse(r.body).event), ["one", "two"]);
+  assert.strictEqual(requests[1].headers["content-type"], "text/plain");
+});
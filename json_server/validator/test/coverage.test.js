@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { measureCoverage } = require("../lib/coverage");
+const { linkSchemas, registerSchemas } = require("../validators/registry");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const createAjv = () => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+};
+
+const COMMON = {
+  definitions: {
+    contact: {
+      type: "object",
+      properties: {
+        email: { type: "string", format: "email" },
+        channel: { enum: ["sms", "mail"] }
+      },
+      anyOf: [{ required: ["email"] }, { required: ["phone"] }]
+    }
+  }
+};
+const FLOW = {
+  type: "object",
+  properties: {
+    user: { $ref: "@common/user.schema.json#/definitions/contact" },
+    kind: { $ref: "#/definitions/kind" }
+  },
+  definitions: { kind: { enum: ["a", "b"] } }
+};
+
+// The flow's registry as the engine builds it: common and flow schemas linked in one AJV
+function registry() {
+  const dir = path.join(__dirname, "flow");
+  return registerSchemas(createAjv(), linkSchemas([
+    { path: path.join(__dirname, "common", "user.schema.json"), label: "@common/user.schema.json", text: JSON.stringify(COMMON) },
+    { path: path.join(dir, "signup.schema.json"), label: "signup.schema.json", text: JSON.stringify(FLOW) }
+  ]));
+}
+
+const PAYLOADS = [
+  { kind: "a", user: { email: "a@example.com", channel: "sms" } },
+  { kind: "a", user: { phone: "123" } }
+];
+
+test("coverage follows refs into other schema files through the flow's registry", () => {
+  const reg = registry();
+  const entry = reg.entries.find(e => e.label === "signup.schema.json");
+  const [cov] = measureCoverage(PAYLOADS.map(payload => ({ file: "signup.schema.json", schema: entry.linked, ajv: reg.ajv, key: entry.key, payload })), { createAjv });
+
+  const props = Object.fromEntries(cov.properties.map(p => [p.path, [p.seen, p.of]]));
+  assert.deepStrictEqual(props["/user/email"], [1, 2]);
+  assert.deepStrictEqual(props["/user/channel"], [1, 2]);
+
+  const enums = Object.fromEntries(cov.enums.map(e => [e.path, e.values.map(v => v.seen)]));
+  assert.deepStrictEqual(enums["/kind"], [2, 0]);
+  assert.deepStrictEqual(enums["/user/channel"], [1, 0]);
+
+  const [branch] = cov.branches;
+  assert.strictEqual(branch.schemaPath, "@common/user.schema.json#/definitions/contact/anyOf");
+  assert.deepStrictEqual(branch.options.map(o => o.seen), [1, 1]);
+});
+
+test("without a registry, local refs are still followed", () => {
+  const [cov] = measureCoverage([{ file: "x.schema.json", schema: FLOW, payload: PAYLOADS[0] }], { createAjv });
+  assert.deepStrictEqual(cov.enums.map(e => e.path), ["/kind"]);
+  assert.deepStrictEqual(cov.properties.map(p => p.path), ["/user", "/kind"]);
+});
+
+test("branches are evaluated with the registry's keywords and formats", () => {
+  const ajv = createAjv();
+  ajv.addFormat("shout", /^[A-Z]+$/);
+  const reg = registerSchemas(ajv, linkSchemas([{
+    path: path.join(__dirname, "flow", "loud.schema.json"),
+    label: "loud.schema.json",
+    text: JSON.stringify({ type: "object", properties: { word: { anyOf: [{ type: "string", format: "shout" }, { type: "number" }] } } })
+  }]));
+  const [entry] = reg.entries;
+  const [cov] = measureCoverage(["HI", "hi", 3].map(word => ({ file: "loud.schema.json", schema: entry.linked, ajv: reg.ajv, key: entry.key, payload: { word } })), { createAjv });
+  assert.deepStrictEqual(cov.branches[0].options.map(o => o.seen), [1, 1]);
+});
+
+test.describe("coverage routes", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("coverage", {
+      "event.schema.json": { type: "object", properties: { kind: { enum: ["a", "b", "c"] }, note: { type: "string" } }, required: ["kind"] }
+    });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a flow's coverage counts the properties and enum values its messages used", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    await server.post("/", { kind: "a" });
+    await server.post("/", { kind: "b", note: "x" });
+
+    const cov = (await server.get(`/sessions/${sessionId}/flows/${flowId}/coverage.json`)).data;
+    assert.deepStrictEqual([cov.messages, cov.unmatched, cov.schemas.map(s => s.file)], [2, 0, ["event.schema.json"]]);
+    const [schema] = cov.schemas;
+    assert.deepStrictEqual(schema.properties.map(p => [p.path, p.seen, p.of]), [["/kind", 2, 2], ["/note", 1, 2]]);
+    assert.deepStrictEqual(schema.enums[0].values.map(v => [v.value, v.seen]), [["a", 1], ["b", 1], ["c", 0]]);
+
+    const session = (await server.get(`/sessions/${sessionId}/coverage.json`)).data;
+    assert.deepStrictEqual(session.flows.map(f => [f.flowId, f.messages]), [[flowId, 2]]);
+    assert.match((await server.get(`/sessions/${sessionId}/coverage`)).data, /event\.schema\.json/);
+  });
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { renderJsonHtml, nearestPointer } = require("../lib/jsonview");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+test("every rendered value carries its pointer, and marks highlight lines", () => {
+  const html = renderJsonHtml({ a: { "b/c": [1, "<x>"] } }, { marks: new Map([["/a/b~1c/1", { cls: "jv-changed", title: "was \"y\"" }]]) });
+  assert.match(html, /<span class="jv" data-ptr="\/a\/b~1c"><span class="jv-line">    &quot;b\/c&quot;: \[<\/span>/);
+  assert.match(html, /<span class="jv" data-ptr="\/a\/b~1c\/1"><span class="jv-line jv-changed" title="was &quot;y&quot;">      &quot;&lt;x&gt;&quot;<\/span><\/span>/);
+  assert.strictEqual(nearestPointer({ a: { b: [1] } }, "/a/b/0/c"), "/a/b/0");
+  assert.strictEqual(nearestPointer({ a: 1 }, "data.missing"), "");
+});
+
+test.describe("message diff", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("diff", { "event.schema.json": { type: "object" } });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a message is compared with another one or the previous event of its type", async () => {
+    await server.post("/sessions", {});
+    await server.post("/flows", { flowId });
+    const post = async (payload) => (await server.post("/", payload)).data.messageId;
+    const first = await post({ event: "cart", items: ["a"], total: 1, coupon: "X" });
+    const other = await post({ event: "view" });
+    const second = await post({ event: "cart", items: ["a", "b"], total: 2 });
+
+    const diff = (await server.get(`/messages/${second}/diff/previous.json`)).data;
+    assert.deepStrictEqual([diff.left.messageId, diff.right.key, diff.identical], [first, "cart", false]);
+    assert.deepStrictEqual(diff.diffs, [
+      { path: "/items/1", change: "added", right: "b" },
+      { path: "/total", change: "changed", left: 1, right: 2 },
+      { path: "/coupon", change: "removed", left: "X" }
+    ]);
+    assert.strictEqual((await server.get(`/messages/${first}/diff/${first}.json`)).data.identical, true);
+
+    const page = (await server.get(`/messages/${second}/diff/${first}`)).data;
+    assert.match(page, /data-ptr="\/total"><span class="jv-line jv-changed">/);
+    const none = await server.get(`/messages/${other}/diff/previous.json`);
+    assert.deepStrictEqual([none.status, none.data.error], [404, `No earlier 'view' event in session ${diff.right.sessionId}`]);
+    assert.strictEqual((await server.get(`/messages/nope/diff/${first}.json`)).status, 404);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+// Subscribe to GET /events; next(type) resolves with the data of the next event of that type
+function listen(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${url}/events`, (res) => {
+      const seen = [];
+      const waiting = [];
+      let buf = "";
+      const deliver = () => {
+        for (const w of [...waiting]) {
+          const hit = seen.findIndex(e => e.type === w.type);
+          if (hit >= 0) {
+            waiting.splice(waiting.indexOf(w), 1);
+            w.resolve(seen.splice(hit, 1)[0].data);
+          }
+        }
+      };
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buf += chunk;
+        let end;
+        while ((end = buf.indexOf("\n\n")) >= 0) {
+          const block = buf.slice(0, end);
+          buf = buf.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(block)?.[1];
+          const data = /^data: (.*)$/m.exec(block)?.[1];
+          if (type) seen.push({ type, data: JSON.parse(data) });
+        }
+        deliver();
+      });
+      resolve({
+        next: (type) => new Promise((r) => {
+          waiting.push({ type, resolve: r });
+          deliver();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on("error", reject);
+  });
+}
+
+test.describe("live updates", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("events", {
+      "flow.spec.json": { events: [{ name: "start", match: { event: "start" } }, { name: "done", match: { event: "done" } }] },
+      "event.schema.json": { type: "object", required: ["event"] }
+    });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a stored message is pushed with the flow's counts, without recomputing a running flow's verdict", async () => {
+    const stream = await listen(server.url);
+    try {
+      const { sessionId } = (await server.post("/sessions", {})).data;
+      assert.strictEqual((await stream.next("session.started")).sessionId, sessionId);
+      await server.post("/flows", { flowId });
+      await stream.next("flow.started");
+
+      const { messageId } = (await server.post("/", { event: "start" })).data;
+      const ev = await stream.next("message.ingested");
+      assert.strictEqual(ev.message.messageId, messageId);
+      assert.deepStrictEqual([ev.flow.messageCount, ev.flow.validCount, ev.flow.invalidCount], [1, 1, 0]);
+      assert.ok(!("verdict" in ev.flow), "running flow's verdict computed for the event");
+      assert.strictEqual((await server.get(`/sessions/${sessionId}/flows/${flowId}/verdict`)).data.verdict.status, "Incomplete");
+
+      await server.post("/flows/end", { sessionId });
+      const ended = await stream.next("flow.ended");
+      assert.strictEqual(ended.flowId, flowId);
+    } finally {
+      stream.close();
+    }
+  });
+});
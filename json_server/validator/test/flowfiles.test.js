@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFlowFiles } = require("../lib/flowfiles");
+const { removeFlow, startServer } = require("./helpers/server");
+
+const FLOWS_DIR = path.join(__dirname, "..", "validators", "flows");
+
+test("disk-only files can be read but not written, deleted or rolled back", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = createFlowFiles({ baseDir: dir, historyDir: path.join(dir, "history"), check: () => "plugin", diskOnly: ["keywords.js"] });
+  files.createFlow("f1");
+  const kw = path.join(dir, "flows", "f1", "keywords.js");
+  fs.writeFileSync(kw, "module.exports = {};");
+
+  assert.strictEqual(files.readFile("f1", "keywords.js"), "module.exports = {};");
+  for (const change of [
+    () => files.writeFile("f1", "keywords.js", "require('child_process')"),
+    () => files.writeFile("f2", "keywords.js", "module.exports = {};"),
+    () => files.deleteFile("f1", "keywords.js"),
+    () => files.rollback("f1", "keywords.js", "2025-01-01T00-00-00-000Z")
+  ]) {
+    assert.throws(change, (e) => e.status === 403 && /only be changed on disk/.test(e.message));
+  }
+  assert.strictEqual(fs.readFileSync(kw, "utf8"), "module.exports = {};");
+  assert.ok(!fs.existsSync(path.join(dir, "flows", "f2")));
+
+  assert.strictEqual(files.writeFile("f1", "custom.js", "module.exports = {};").created, true);
+});
+
+test("the editor page only renders valid flow ids, and without a token files are read-only", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const res = await server.get(`/validators/edit/${encodeURIComponent("</script><script>alert(1)</script>")}`);
+  assert.strictEqual(res.status, 400);
+  assert.ok(!String(res.data).includes("<script>alert(1)"));
+  const page = await server.get("/validators/edit/new_flow");
+  assert.strictEqual(page.status, 200);
+  assert.match(page.data, /const flowId = "new_flow";/);
+  const denied = await server.put("/validators/flows/new_flow/files/a.schema.json", "{}");
+  assert.deepStrictEqual([denied.status, fs.existsSync(path.join(FLOWS_DIR, "new_flow"))], [403, false]);
+});
+
+test.describe("flow files API", () => {
+  const TOKEN = "files-secret";
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+  const flowId = `zz_files_${process.pid}`;
+  let server;
+
+  test.before(async () => {
+    server = await startServer({ FLOW_FILES_TOKEN: TOKEN });
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("files are checked, versioned on every change and can be rolled back", async () => {
+    assert.strictEqual((await server.post("/validators/flows", { flowId }, auth)).status, 201);
+    assert.strictEqual((await server.post("/validators/flows", { flowId }, auth)).status, 409);
+    assert.strictEqual((await server.post("/validators/flows", { flowId: "bad-id" }, auth)).status, 400);
+
+    const url = `/validators/flows/${flowId}/files/event.schema.json`;
+    const put = (text, query = "") => server.put(url + query, text, { ...auth, "Content-Type": "text/plain" });
+    const v1 = JSON.stringify({ type: "object", required: ["a"] });
+    assert.deepStrictEqual([(await put(v1)).status, (await put(v1, "?overwrite=false")).status], [201, 409]);
+    const broken = await put("{ not json");
+    assert.strictEqual(broken.status, 400, JSON.stringify(broken.data));
+    const second = await put(JSON.stringify({ type: "object" }));
+    assert.deepStrictEqual([second.status, second.data.kind, !!second.data.previousVersion], [200, "schema", true]);
+
+    const { versions } = (await server.get(`${url}/versions`)).data;
+    assert.strictEqual(versions.length, 1);
+    const version = versions[0].version;
+    assert.deepStrictEqual((await server.get(`${url}/versions/${version}`)).data, JSON.parse(v1));
+    assert.strictEqual((await server.post(`${url}/versions/${version}/rollback`, {}, auth)).status, 200);
+    assert.strictEqual(fs.readFileSync(path.join(FLOWS_DIR, flowId, "event.schema.json"), "utf8"), v1);
+
+    const flow = (await server.get(`/validators/flows/${flowId}`)).data;
+    assert.deepStrictEqual(flow.files.map(f => [f.file, f.kind, f.versions]), [["event.schema.json", "schema", 2]]);
+    assert.strictEqual((await server.delete(url, auth)).status, 200);
+    assert.strictEqual((await server.get(url)).status, 404);
+    assert.strictEqual((await server.delete(`/validators/flows/${flowId}`, auth)).status, 200);
+    assert.ok(!fs.existsSync(path.join(FLOWS_DIR, flowId)));
+  });
+});
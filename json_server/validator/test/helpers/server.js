@@ -0,0 +1,116 @@
+// test/helpers/server.js
+// Integration helpers: a throwaway flow folder under validators/flows/ and validation_server.js
+// running in a child process on a free port (tee-proxy.js too).
+//
+//   const flowId = createFlow("redact", { "redact.json": {...}, "rules.yaml": "..." });
+//   const server = await startServer({ FLOW_FILES_TOKEN: "t" });
+//   await server.post("/sessions", {});   -> { status, data }
+//   await server.stop(); removeFlow(flowId);
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const axios = require("axios");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FLOWS_DIR = path.join(ROOT, "validators", "flows");
+const HISTORY_DIR = path.join(ROOT, "data", "history");
+
+/** Create validators/flows/zz_<name>_<pid> with the given files (objects are written as JSON) */
+function createFlow(name, files) {
+  const flowId = `zz_${name}_${process.pid}`;
+  const dir = path.join(FLOWS_DIR, flowId);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), typeof content === "string" ? content : JSON.stringify(content, null, 2));
+  }
+  return flowId;
+}
+
+/** Remove the flow folder and the versions kept of its files */
+function removeFlow(flowId) {
+  fs.rmSync(path.join(FLOWS_DIR, flowId), { recursive: true, force: true });
+  fs.rmSync(path.join(HISTORY_DIR, flowId), { recursive: true, force: true });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on("error", reject);
+  });
+}
+
+// Run a script of this package in a child process; resolves once its output contains `ready`
+async function spawnScript(script, env, ready) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${script} did not start:\n${output}`)), 15000);
+    child.stdout.on("data", (d) => {
+      output += d;
+      if (output.includes(ready)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (d) => { output += d; });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with code ${code}:\n${output}`));
+    });
+  });
+  return {
+    output: () => output,
+    stop: () => new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.removeAllListeners("exit");
+      child.on("exit", () => resolve());
+      child.kill();
+    })
+  };
+}
+
+/** Start the server with extra env vars; resolves once it listens */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const { output, stop } = await spawnScript("validation_server.js", { STORE: "memory", ...env, PORT: String(port) }, "Listening on");
+
+  const http = axios.create({ baseURL: `http://127.0.0.1:${port}`, validateStatus: () => true });
+  const call = async (method, url, data, headers) => {
+    const res = await http.request({ method, url, data, headers });
+    return { status: res.status, data: res.data };
+  };
+  return {
+    url: `http://127.0.0.1:${port}`,
+    get: (url, headers) => call("get", url, undefined, headers),
+    post: (url, data, headers) => call("post", url, data, headers),
+    put: (url, data, headers) => call("put", url, data, headers),
+    delete: (url, headers) => call("delete", url, undefined, headers),
+    output,
+    stop
+  };
+}
+
+/** Start tee-proxy.js in front of `target`, mirroring to `validatorUrl`; resolves with its url */
+async function startTeeProxy({ target, validatorUrl, ...env }) {
+  const port = await freePort();
+  const { output, stop } = await spawnScript("tee-proxy.js", {
+    TEE_CONFIG: path.join(ROOT, "test", "no-such-tee-config.json"),
+    TARGET_ORIGIN: target,
+    VALIDATOR_URL: validatorUrl,
+    LISTEN_HOST: "127.0.0.1",
+    ...env,
+    LISTEN_PORT: String(port)
+  }, "tee-proxy on");
+  return { url: `http://127.0.0.1:${port}`, output, stop };
+}
+
+module.exports = { createFlow, removeFlow, startServer, startTeeProxy };
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { inferSchema } = require("../lib/infer");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const FLOWS_DIR = path.join(__dirname, "..", "validators", "flows");
+
+test("types, required fields, formats and enums are inferred from the samples", () => {
+  const id = (n) => `0000000${n}-0000-4000-8000-000000000000`;
+  const samples = [1, 2, 3, 4].map(n => ({
+    id: id(n),
+    kind: n % 2 ? "a" : "b",
+    amount: n === 1 ? 1.5 : n,
+    at: `2025-01-0${n}T10:00:00Z`,
+    hash: "d41d8cd98f00b204e9800998ecf8427e",
+    tags: n > 2 ? ["x", null] : [],
+    ...(n > 1 ? { note: `free text ${n}` } : {})
+  }));
+  const schema = inferSchema(samples, { title: "t" });
+  assert.match(schema.description, /^Inferred from 4 messages on /);
+  assert.deepStrictEqual(schema.required, ["id", "kind", "amount", "at", "hash", "tags"]);
+  assert.deepStrictEqual(schema.properties, {
+    id: { type: "string", format: "uuid" },
+    kind: { type: "string", enum: ["a", "b"] },
+    amount: { type: "number" },
+    at: { type: "string", format: "date-time" },
+    hash: { type: "string", pattern: "^[a-fA-F0-9]{32}$" },
+    tags: { type: "array", items: { type: ["string", "null"] } },
+    note: { type: "string" }
+  });
+  assert.throws(() => inferSchema([]), (e) => e.status === 400 && /No messages to infer a schema from/.test(e.message));
+});
+
+test.describe("schema drafts", () => {
+  const TOKEN = "draft-secret";
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("draft", {});
+    server = await startServer({ FLOW_FILES_TOKEN: TOKEN });
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a draft is inferred from a flow's messages and saved with the flow files token", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    const ids = [];
+    for (const event of ["open", "open", "close"]) ids.push((await server.post("/", { event, n: ids.length })).data.messageId);
+
+    const draft = (await server.get(`/flows/${flowId}/schema-draft.json?sessionId=${sessionId}`)).data;
+    assert.deepStrictEqual([draft.samples, draft.schema.title, draft.schema.properties.event], [3, `${flowId} (draft)`, { type: "string", enum: ["open", "close"] }]);
+    const picked = (await server.get(`/flows/${flowId}/schema-draft.json?messageIds=${ids[2]}`)).data;
+    assert.deepStrictEqual([picked.samples, picked.schema.properties.event], [1, { type: "string" }]);
+    assert.strictEqual((await server.get("/flows/zz_nothing_here/schema-draft.json")).status, 400);
+
+    const save = { file: "event.schema.json", schema: draft.schema };
+    assert.strictEqual((await server.post(`/flows/${flowId}/schemas`, save)).status, 401);
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+    assert.strictEqual((await server.post(`/flows/${flowId}/schemas`, { ...save, file: "event.json" }, auth)).status, 400);
+    const saved = await server.post(`/flows/${flowId}/schemas`, save, auth);
+    assert.strictEqual(saved.status, 200, JSON.stringify(saved.data));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(FLOWS_DIR, flowId, "event.schema.json"), "utf8")), draft.schema);
+  });
+});
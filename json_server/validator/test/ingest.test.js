@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createDecoder } = require("../lib/ingest");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+// A POST / (or GET /) request as express.raw hands it to the decoder
+function request(body, contentType, method = "POST", query = {}) {
+  return { method, query, body: Buffer.from(body), get: (name) => (name === "content-type" ? contentType : undefined) };
+}
+
+test("bodies decode to one event or a batch", () => {
+  const decode = createDecoder();
+  const single = decode(request("{\"event\":\"a\"}", "application/json"));
+  assert.deepStrictEqual(single, { items: [{ event: "a" }], batchId: null });
+
+  const batches = [
+    decode(request("[{\"event\":\"a\"},{\"event\":\"b\"}]", "application/json")),
+    decode(request("{\"events\":[{\"event\":\"a\"},{\"event\":\"b\"}]}", "text/plain")),
+    decode(request("{\"event\":\"a\"}\n{\"event\":\"b\"}\n", "application/x-ndjson")),
+    decode(request("{\"event\":\"a\"}\r\n{\"event\":\"b\"}", ""))
+  ];
+  for (const b of batches) {
+    assert.deepStrictEqual(b.items, [{ event: "a" }, { event: "b" }]);
+    assert.ok(b.batchId);
+  }
+  assert.deepStrictEqual(decode(request("{\n  \"event\": \"pretty\"\n}", "")).items, [{ event: "pretty" }]);
+
+  const form = decode(request("event=a&tag=x&tag=y&user=%7B%22id%22%3A1%7D", "application/x-www-form-urlencoded"));
+  assert.deepStrictEqual(form.items, [{ event: "a", tag: ["x", "y"], user: { id: 1 } }]);
+  const beacon = decode(request("", "", "GET", { event: "view", n: "1" }));
+  assert.deepStrictEqual(beacon, { items: [{ event: "view", n: "1" }], batchId: null });
+});
+
+test("undecodable bodies are 400s, and disabled decoders refuse their input", () => {
+  const decode = createDecoder({ decoders: ["json"] });
+  for (const [req, message] of [
+    [request("  ", "application/json"), /Empty body/],
+    [request("not json", "text/plain"), /Body is not valid JSON/],
+    [request("[]", "application/json"), /Batch contains no events/],
+    [request("a=1", "application/x-www-form-urlencoded"), /Form-encoded bodies are disabled/],
+    [request("", "", "GET", { a: "1" }), /GET beacons are disabled/]
+  ]) {
+    assert.throws(() => decode(req), (e) => e.status === 400 && message.test(e.message));
+  }
+  assert.throws(() => createDecoder()(request("{\"a\":1}\nnope", "application/jsonl")), /Invalid NDJSON/);
+  assert.throws(() => createDecoder({ decoders: ["xml"] }), /Unknown ingest decoder "xml"/);
+});
+
+test.describe("batch ingest", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("ingest", { "event.schema.json": { type: "object", required: ["event"] } });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a batch is stored item by item with per-item results, and a beacon is one event", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    const batch = await server.post("/", "{\"event\":\"a\"}\n{\"other\":1}\n", { "Content-Type": "application/x-ndjson" });
+    assert.strictEqual(batch.status, 400);
+    assert.deepStrictEqual([batch.data.count, batch.data.results.map(r => [r.index, r.ok])], [2, [[0, true], [1, false]]]);
+    assert.strictEqual((await server.get("/?event=view")).status, 200);
+
+    const { messages } = (await server.get(`/sessions/${sessionId}/flows/${flowId}`)).data;
+    assert.deepStrictEqual(messages.map(m => [m.batchId || null, m.batchIndex ?? null, m.ValidationStatus]), [
+      [batch.data.batchId, 0, "Valid"],
+      [batch.data.batchId, 1, "Invalid"],
+      [null, null, "Valid"]
+    ]);
+  });
+});
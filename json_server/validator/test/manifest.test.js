@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileManifest, readSelectors, matchManifest, compileRange } = require("../validators/manifest");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+test("version ranges", () => {
+  const accepts = (range, versions) => versions.filter(compileRange(range, "t"));
+  const versions = ["4.9.9", "5.0.0", "5.3.2", "5.4.0", "5.12.1 (3401)", "6.0"];
+  assert.deepStrictEqual(accepts(">=5.0.0 <5.4.0 || 6.x", versions), ["5.0.0", "5.3.2", "6.0"]);
+  assert.deepStrictEqual(accepts("^5.3", versions), ["5.3.2", "5.4.0", "5.12.1 (3401)"]);
+  assert.deepStrictEqual(accepts("~5.3.0", versions), ["5.3.2"]);
+  assert.deepStrictEqual(accepts(">= 5.12", versions), ["5.12.1 (3401)", "6.0"]);
+  assert.deepStrictEqual(accepts("*", [...versions, "beta"]), versions);
+  assert.throws(() => compileRange(">=five", "schemas[0].appVersion"), /^Error: Invalid manifest\.json: schemas\[0\]\.appVersion: cannot read version range part ">=five"/);
+});
+
+test("the schemas of a build are picked by its selector values", () => {
+  const manifest = compileManifest({
+    selectors: { appVersion: ["header:X-App-Version", "/app/version"] },
+    schemas: [
+      { file: "v2.schema.json", version: 2, appVersion: ">=5.4", platform: ["ios", "android"] },
+      { file: "v1.schema.json", version: "1", appVersion: "<5.4" },
+      { file: "any.schema.json" }
+    ]
+  });
+  const values = readSelectors(manifest, { app: { version: "5.3" }, platform: "iOS" }, { "x-app-version": "5.5.0" });
+  assert.deepStrictEqual(values, { appVersion: "5.5.0", platform: "iOS", contract: null });
+  assert.deepStrictEqual(matchManifest(manifest, values).map(e => [e.file, e.version]), [["v2.schema.json", "2"], ["any.schema.json", null]]);
+  assert.deepStrictEqual(readSelectors(manifest, {}, {}, { appVersion: "5.0" }).appVersion, "5.0");
+  assert.deepStrictEqual(matchManifest(manifest, readSelectors(manifest, { app: { version: "5.3" } })).map(e => e.file), ["v1.schema.json", "any.schema.json"]);
+
+  assert.throws(() => compileManifest({ schemas: [] }), /"schemas" must be a non-empty array/);
+  assert.throws(() => compileManifest({ selectors: { build: "/b" }, schemas: [{ file: "a.schema.json" }] }), /unknown selector "build"/);
+});
+
+test.describe("manifest selection", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("manifest", {
+      "manifest.json": {
+        schemas: [
+          { file: "login.v2.schema.json", version: "2", appVersion: ">=5.4" },
+          { file: "login.v1.schema.json", version: "1", appVersion: "<5.4" }
+        ]
+      },
+      "login.v1.schema.json": { type: "object", required: ["user"] },
+      "login.v2.schema.json": { type: "object", required: ["userId"] }
+    });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("each event is validated against the schema of its app version, which is recorded", async () => {
+    await server.post("/sessions", {});
+    await server.post("/flows", { flowId });
+    const old = await server.post("/", { user: "a" }, { "X-App-Version": "5.3.1" });
+    const current = await server.post("/", { userId: 1, app_version: "5.4.0" });
+    const wrong = await server.post("/", { user: "a" }, { "X-App-Version": "5.4.0" });
+    const unknown = await server.post("/", { user: "a" });
+    assert.deepStrictEqual([old.status, current.status, wrong.status, unknown.status], [200, 200, 400, 400]);
+    assert.match(unknown.data.errors.join("\n"), /No schema in manifest\.json applies to appVersion \(none\), platform \(none\), contract \(none\)/);
+
+    const schemaOf = async ({ data }) => (await server.get(`/messages/${data.messageId}.json`)).data.message.schema;
+    assert.deepStrictEqual(await schemaOf(old), { file: "login.v1.schema.json", version: "1", selectors: { appVersion: "5.3.1", platform: null, contract: null } });
+    assert.deepStrictEqual((await schemaOf(wrong)).file, "login.v2.schema.json");
+  });
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createNotifier } = require("../lib/notify");
+
+const RULE = { on: "invalid", url: "https://hooks.example.com/secret" };
+const EVENT = { sessionId: "s1", flowId: "f1", messageId: "m1", errors: "1. bad", path: "/messages/m1" };
+
+// A notifier whose post() fails `failures` times, then succeeds; resolves with the settled delivery
+function deliverOnce(options, failures) {
+  let calls = 0;
+  const alive = setInterval(() => {}, 1000); // retry timers are unref'd
+  return new Promise((resolve) => {
+    const notifier = createNotifier({
+      rules: [RULE],
+      backoff: 0,
+      ...options,
+      post: async () => {
+        calls += 1;
+        if (calls <= failures) {
+          const e = new Error("Request failed with status code 503");
+          e.response = { status: 503 };
+          throw e;
+        }
+        return { status: 200 };
+      },
+      onDelivery: (entry) => {
+        if (entry.status === "pending") return;
+        clearInterval(alive);
+        resolve({ entry: { ...entry }, calls, notifier });
+      }
+    });
+    notifier.emit("invalid", EVENT);
+  });
+}
+
+test("retries and keep must be non-negative integers", () => {
+  for (const retries of [-1, 1.5, "3", true]) {
+    assert.throws(() => createNotifier({ retries }), /notifications\.retries: expected a non-negative integer/);
+  }
+  for (const keep of [-5, 2.5, "200"]) {
+    assert.throws(() => createNotifier({ keep }), /notifications\.keep: expected a non-negative integer/);
+  }
+  assert.doesNotThrow(() => createNotifier({ retries: 0, keep: 0 }));
+  assert.doesNotThrow(() => createNotifier({}));
+});
+
+test("a failed delivery is retried until it succeeds", async () => {
+  const { entry, calls } = await deliverOnce({ retries: 3 }, 2);
+  assert.deepStrictEqual([entry.status, entry.attempts, entry.responseStatus, calls], ["delivered", 3, 200, 3]);
+});
+
+test("a delivery fails after 1 + retries attempts", async () => {
+  const { entry, calls } = await deliverOnce({ retries: 2 }, 10);
+  assert.deepStrictEqual([entry.status, entry.attempts, entry.responseStatus, calls], ["failed", 3, 503, 3]);
+  assert.match(entry.error, /503/);
+});
+
+test("retries: 0 still delivers once", async () => {
+  const { entry, calls } = await deliverOnce({ retries: 0 }, 0);
+  assert.deepStrictEqual([entry.status, entry.attempts, calls], ["delivered", 1, 1]);
+});
+
+test("the delivery log keeps the newest `keep` entries and hides webhook paths", async () => {
+  const { notifier } = await deliverOnce({ keep: 1 }, 0);
+  notifier.emit("invalid", { ...EVENT, messageId: "m2" });
+  const log = notifier.deliveries();
+  assert.strictEqual(log.length, 1);
+  assert.strictEqual(log[0].target, "hooks.example.com");
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createStore } = require("../lib/store");
+const { parseMessageQuery, searchMessages } = require("../lib/query");
+
+function storeWith(now) {
+  const store = createStore();
+  store.createSession("s1", {});
+  store.ensureFlow("s1", "login");
+  store.ensureFlow("s1", "cart");
+  const add = (flowId, i, minutesAgo, event, valid) => store.addMessage("s1", flowId, {
+    messageId: `m${i}`,
+    timestamp: new Date(now - minutesAgo * 60000).toISOString(),
+    payload: { data: { event_name: event, n: i } },
+    ValidationStatus: valid ? "Valid" : "Invalid",
+    formattedErrorList: valid ? [] : ["1. data/n must be string."]
+  });
+  add("login", 1, 90, "Login", true);
+  add("login", 2, 30, "Login", false);
+  add("cart", 3, 20, "AddToCart", true);
+  add("cart", 4, 5, "AddToCart", false);
+  add("cart", 5, 1, "Checkout", true);
+  return store;
+}
+
+const search = (store, q) => searchMessages(store, parseMessageQuery(q));
+
+test("filters combine with AND and project fields", () => {
+  const store = storeWith(Date.now());
+  const ids = (res) => res.items.map(r => r.messageId);
+  assert.deepStrictEqual(ids(search(store, { flowId: "cart", status: "Invalid" })), ["m4"]);
+  assert.deepStrictEqual(ids(search(store, { since: "45m", sort: "timestamp" })), ["m2", "m3", "m4", "m5"]);
+  assert.deepStrictEqual(ids(search(store, { where: "data.event_name~=^Add", error: "MUST BE" })), ["m4"]);
+  assert.deepStrictEqual(ids(search(store, { match: JSON.stringify({ "data.event_name": "Login" }), sort: "messageId" })), ["m1", "m2"]);
+  assert.deepStrictEqual(search(store, { flowId: "login,cart", status: "Valid", fields: "messageId,payload.data.n", sort: "timestamp" }).items,
+    [{ messageId: "m1", "payload.data.n": 1 }, { messageId: "m3", "payload.data.n": 3 }, { messageId: "m5", "payload.data.n": 5 }]);
+});
+
+test("pages follow the cursor until every match was returned once", () => {
+  const store = storeWith(Date.now());
+  const seen = [];
+  let cursor;
+  do {
+    const page = search(store, { limit: "2", sort: "-timestamp", cursor });
+    assert.strictEqual(page.total, 5);
+    seen.push(...page.items.map(r => r.messageId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(seen, ["m5", "m4", "m3", "m2", "m1"]);
+  const first = search(store, { limit: "2" });
+  assert.throws(() => parseMessageQuery({ cursor: first.nextCursor, sort: "timestamp" }), /cursor: was issued for sort=-timestamp/);
+});
+
+test("since takes the durations the config does, and bad input is a 400", () => {
+  const before = Date.now();
+  assert.ok(Math.abs(parseMessageQuery({ since: "1500ms" }).from - (before - 1500)) < 1000);
+  assert.ok(Math.abs(parseMessageQuery({ since: "2h" }).from - (before - 7200000)) < 1000);
+  for (const q of [{ since: "2 weeks" }, { status: "ok" }, { limit: "0" }, { sort: "size" }, { where: "nothing" }, { from: "yesterday" }]) {
+    assert.throws(() => parseMessageQuery(q), (e) => e.status === 400, JSON.stringify(q));
+  }
+  assert.throws(() => parseMessageQuery({ since: "5w" }), /since: expected a duration like 30s, 10m, 2h or 1d/);
+});
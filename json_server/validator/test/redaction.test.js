@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { compileRedaction, redactPayload, redactErrors, skipRedactedErrors } = require("../lib/redact");
+const { inferSchema } = require("../lib/infer");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const EMAIL = "jane.doe@example.com";
+
+test("redactErrors replaces quoted and bare raw values with the stored ones", () => {
+  const raw = { user: { email: EMAIL, card: "4111111111112345" }, token: "tok-secret" };
+  const rules = compileRedaction([
+    { path: "/user/email", action: "mask" },
+    { path: "/user/card", action: "mask", keepLast: 4 },
+    { path: "/token", action: "drop" }
+  ]);
+  const { payload, redacted } = redactPayload(raw, rules);
+  const errors = redactErrors([
+    `1. /user/email value ${JSON.stringify(EMAIL)} must be unique across the flow (rule unique#1).`,
+    "2. card 4111111111112345 was declined",
+    "3. token tok-secret expired"
+  ], raw, { payload, redacted });
+  assert.deepStrictEqual(errors, [
+    '1. /user/email value "***" must be unique across the flow (rule unique#1).',
+    "2. card ***2345 was declined",
+    "3. token *** expired"
+  ]);
+});
+
+test("redactErrors covers values inside a redacted object and leaves other text alone", () => {
+  const raw = { address: { street: "1 Main Street", zip: 12345 }, n: 1 };
+  const { payload, redacted } = redactPayload(raw, compileRedaction([{ path: "/address", action: "hash" }]));
+  const [text] = redactErrors([`1. address ${JSON.stringify(raw.address)} at 1 Main Street (12345), n = 1`], raw, { payload, redacted });
+  assert.ok(!text.includes("Main Street") && !text.includes("12345"), text);
+  assert.ok(text.includes(JSON.stringify(payload.address)), text);
+  assert.ok(text.endsWith("n = 1"), text);
+});
+
+test("skipRedactedErrors drops errors at or under redacted paths and renumbers the rest", () => {
+  const result = {
+    valid: false,
+    formattedErrorList: ["1. user/email must match format \"email\"", "2. user/phone must be string", "3. Plugin says no"],
+    errorPaths: ["/user/email", "/user/phone", null]
+  };
+  const out = skipRedactedErrors(result, [{ path: "/user/email", action: "mask" }]);
+  assert.strictEqual(out.skipped, 1);
+  assert.strictEqual(out.valid, false);
+  assert.deepStrictEqual(out.formattedErrorList, ["1. user/phone must be string", "2. Plugin says no"]);
+  assert.deepStrictEqual(out.errorPaths, ["/user/phone", null]);
+
+  const only = skipRedactedErrors({ valid: false, formattedErrorList: ["1. user/email/0 bad"], errorPaths: ["/user/email/0"] }, [{ path: "/user/email" }]);
+  assert.deepStrictEqual([only.valid, only.formattedErrorList, only.skipped], [true, [], 1]);
+});
+
+test("inferSchema never turns a redacted field into an enum", () => {
+  const samples = [1, 2, 3].map(() => ({ kind: "a", email: "***" }));
+  const schema = inferSchema(samples, { redacted: samples.map(() => ["/email"]) });
+  assert.deepStrictEqual(schema.properties.kind.enum, ["a"]);
+  assert.deepStrictEqual(schema.properties.email, { type: "string" });
+});
+
+test.describe("validation against redacted fields", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("redact", {
+      "redact.json": { rules: [{ path: "/user/email", action: "mask" }] },
+      "rules.json": {
+        rules: [
+          { id: "one-signup", when: { type: "signup" }, unique: { field: "/user/email" } },
+          { id: "same-user", when: { type: "login" }, fieldEquals: { field: "/user/email", latest: { match: { type: "signup" } } } }
+        ]
+      },
+      "event.schema.json": {
+        type: "object",
+        required: ["type", "user"],
+        properties: { type: { type: "string" }, user: { type: "object", required: ["email"], properties: { email: { type: "string", format: "email" } } } }
+      }
+    });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("rules compare received values, error texts and revalidation stay redacted", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+
+    const signup = await server.post("/", { type: "signup", user: { email: EMAIL } });
+    assert.strictEqual(signup.status, 200, JSON.stringify(signup.data));
+    const login = await server.post("/", { type: "login", user: { email: EMAIL } });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.data));
+
+    const again = await server.post("/", { type: "signup", user: { email: EMAIL } });
+    assert.strictEqual(again.status, 400);
+    assert.match(again.data.errors.join("\n"), /must be unique/);
+    const stored = (await server.get(`/messages/${again.data.messageId}.json`)).data.message;
+    for (const text of [JSON.stringify(again.data.errors), JSON.stringify(stored)]) {
+      assert.ok(!text.includes(EMAIL), `raw value leaked: ${text}`);
+    }
+
+    const report = (await server.post(`/sessions/${sessionId}/revalidate`)).data;
+    assert.deepStrictEqual(report.totals, { messages: 3, toValid: 0, toInvalid: 0, errorsChanged: 0, unchanged: 3 });
+  });
+});
+
+test("after a restart, revalidation skips errors at redacted paths", async () => {
+  const flowId = createFlow("restart", {
+    "redact.json": { rules: [{ path: "/email", action: "mask" }] },
+    "schema.schema.json": { type: "object", required: ["email"], properties: { email: { type: "string", format: "email" } } }
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+  const env = { STORE: "file", STORE_FILE: path.join(dir, "store.jsonl") };
+  let server;
+  try {
+    server = await startServer(env);
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    assert.strictEqual((await server.post("/", { email: EMAIL })).status, 200);
+    await server.stop();
+
+    server = await startServer(env);
+    const report = (await server.post(`/sessions/${sessionId}/revalidate`)).data;
+    assert.strictEqual(report.totals.toInvalid, 0, JSON.stringify(report));
+    const [item] = (await server.get(`/messages?sessionId=${sessionId}`)).data.items;
+    const { message } = (await server.get(`/messages/${item.messageId}.json`)).data;
+    assert.strictEqual(message.revalidations[0].skippedRedacted, 1);
+  } finally {
+    await server?.stop();
+    removeFlow(flowId);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const FLOWS_DIR = path.join(__dirname, "..", "validators", "flows");
+
+// Poll fn() until it returns something truthy (file watchers report changes asynchronously)
+async function waitFor(fn, what) {
+  const until = Date.now() + 5000;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+test.describe("hot reload", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("reload", { "event.schema.json": { type: "object", required: ["event"] } });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("an edited schema applies to the next event, and a broken one is reported per flow", async () => {
+    const schemaFile = path.join(FLOWS_DIR, flowId, "event.schema.json");
+    await server.post("/sessions", {});
+    await server.post("/flows", { flowId });
+    assert.strictEqual((await server.post("/", { name: "x" })).status, 400);
+
+    fs.writeFileSync(schemaFile, JSON.stringify({ type: "object", required: ["name"] }));
+    await waitFor(async () => (await server.post("/", { name: "x" })).status === 200, "the edited schema");
+    assert.match(server.output(), new RegExp(`Validator reload: flow ${flowId} \\(event\\.schema\\.json\\)`));
+
+    fs.writeFileSync(schemaFile, "{ not json");
+    const errors = await waitFor(async () => {
+      const flow = (await server.get("/validators")).data.flows[flowId];
+      return flow?.errors.length && flow.errors;
+    }, "the load error");
+    assert.strictEqual(errors[0].file, "event.schema.json");
+
+    fs.writeFileSync(schemaFile, JSON.stringify({ type: "object" }));
+    await waitFor(async () => !(await server.get("/validators")).data.flows[flowId].errors.length, "the error to clear");
+    assert.ok((await server.get("/validators")).data.flows[flowId].loadedAt);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createStore } = require("../lib/store");
+const { buildReportModel, toCsv, toJUnit } = require("../lib/report");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+function sampleStore() {
+  const store = createStore();
+  store.createSession("s1", { key: "device-1" });
+  store.ensureFlow("s1", "login");
+  store.addMessage("s1", "login", {
+    messageId: "m1", timestamp: "2025-01-01T00:00:01.000Z", ValidationStatus: "Valid", formattedErrorList: [], payload: { note: "a, b" }
+  });
+  store.addMessage("s1", "login", {
+    messageId: "m2", timestamp: "2025-01-01T00:00:02.000Z", ValidationStatus: "Invalid", formattedErrorList: ["1. <name> must be string."], payload: {}
+  });
+  store.ensureFlow("s1", "cart");
+  return store;
+}
+
+const failed = { status: "Failed", missing: [{ event: "done" }], unexpected: [], outOfOrder: [], problems: ["Missing event 'done'."] };
+
+test("the report model counts messages and takes verdicts for running flows", () => {
+  const model = buildReportModel(sampleStore(), {}, { verdictFor: (flowId) => (flowId === "login" ? failed : null) });
+  assert.deepStrictEqual(model.totals, { sessions: 1, flows: 2, flowsFailed: 1, messages: 2, valid: 1, invalid: 1 });
+  assert.deepStrictEqual(model.sessions[0].flows.map(f => [f.flowId, f.verdict?.status ?? null]), [["login", "Failed"], ["cart", null]]);
+
+  const filtered = buildReportModel(sampleStore(), { sessionId: "s1" }, { filter: (m) => m.ValidationStatus === "Invalid" });
+  assert.deepStrictEqual([filtered.filtered, filtered.totals.flows, filtered.sessions[0].flows[0].messages.map(m => m.messageId)], [true, 1, ["m2"]]);
+});
+
+test("CSV quotes cells and JUnit escapes and counts failures", () => {
+  const model = buildReportModel(sampleStore(), { sessionId: "s1", flowId: "login" }, { verdictFor: () => failed });
+  const csv = toCsv(model).split("\r\n");
+  assert.match(csv[0], /^Message ID,Session ID,Flow ID,/);
+  assert.ok(csv[1].includes('"{""note"":""a, b""}"'), csv[1]);
+
+  const xml = toJUnit(model);
+  assert.match(xml, /<testsuites name="validation" tests="3" failures="2"/);
+  assert.match(xml, /<testsuite name="login" package="s1" id="s1\.login" tests="3" failures="2"/);
+  assert.match(xml, /<failure message="1\. &lt;name&gt; must be string\." type="ValidationError">/);
+  assert.match(xml, /<testcase name="verdict" classname="s1\.login" time="0">\n {6}<failure message="Flow Failed" type="FlowVerdict">/);
+  assert.match(xml, /<property name="sessionKey" value="device-1"\/>/);
+});
+
+test.describe("export routes", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("report", { "event.schema.json": { type: "object", required: ["event"] } });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("every format downloads, filtered by the message query", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    await server.post("/", { event: "a" });
+    await server.post("/", { other: 1 });
+    const base = `/sessions/${sessionId}/flows/${flowId}/export`;
+
+    const json = (await server.get(`${base}.json?status=Invalid`)).data;
+    assert.deepStrictEqual([json.filtered, json.totals.messages, json.totals.invalid], [true, 1, 1]);
+    assert.strictEqual((await server.get(`${base}.csv`)).data.trim().split("\r\n").length, 3);
+    assert.match((await server.get(`/sessions/${sessionId}/export.xml`)).data, /<testsuites name="validation" tests="2" failures="1"/);
+    assert.match((await server.get("/export/all.html")).data, new RegExp(flowId));
+    const xlsx = await server.get(`${base}.xlsx`);
+    assert.strictEqual(xlsx.status, 200);
+
+    assert.strictEqual((await server.get(`${base}.pdf`)).status, 400);
+    assert.strictEqual((await server.get("/sessions/nope/export.json")).status, 404);
+  });
+});
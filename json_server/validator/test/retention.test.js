@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createStore } = require("../lib/store");
+const { createRetention } = require("../lib/retention");
+const { compileSpec, evaluateFlow } = require("../validators/sequence");
+const { compareRun, compileBaselineConfig } = require("../validators/baseline");
+
+const message = (i, payload = { event: `e${i}` }) => ({ messageId: `m${i}`, timestamp: new Date(1700000000000 + i).toISOString(), payload });
+
+function flowWith(store, count) {
+  store.createSession("s1", {});
+  store.ensureFlow("s1", "f1");
+  for (let i = 0; i < count; i++) store.addMessage("s1", "f1", message(i));
+  return store.getFlow("s1", "f1");
+}
+
+test("a running flow in the pinned session is trimmed as messages arrive, and counts what it lost", () => {
+  const store = createStore();
+  const retention = createRetention(store, { maxMessagesPerFlow: 3, maxSessions: 1, isPinned: (sid) => sid === "s1" });
+  retention.start();
+  const fl = flowWith(store, 10);
+
+  assert.strictEqual(fl.endedAt, null);
+  assert.deepStrictEqual(fl.messages.map(m => m.messageId), ["m7", "m8", "m9"]);
+  assert.strictEqual(fl.evicted, 7);
+  assert.ok(!store.findMessage("m0"));
+
+  store.addMessage("s1", "f1", message(10));
+  assert.strictEqual(fl.messages.length, 3);
+  assert.strictEqual(fl.evicted, 8);
+  assert.ok(store.getSession("s1"), "the pinned session itself is kept");
+  assert.deepStrictEqual(retention.stats().evicted, { messages: 8, sessions: 0 });
+  retention.stop();
+});
+
+test("a sweep trims flows that grew past the limit while it was off", () => {
+  const store = createStore();
+  const fl = flowWith(store, 5);
+  const retention = createRetention(store, { maxMessagesPerFlow: 2 });
+  retention.sweep();
+  assert.deepStrictEqual([fl.messages.length, fl.evicted], [2, 3]);
+});
+
+test("verdicts don't fail a trimmed flow on events that may have been evicted", () => {
+  const spec = compileSpec({
+    events: [
+      { name: "start", match: { event: "start" } },
+      { name: "step", match: { event: "step" } },
+      { name: "done", match: { event: "done" } }
+    ]
+  });
+  const kept = [message(1, { event: "step" }), message(2, { event: "done" })];
+
+  assert.strictEqual(evaluateFlow(spec, kept, { ended: true }).status, "Failed");
+  const verdict = evaluateFlow(spec, kept, { ended: true, evicted: 1 });
+  assert.strictEqual(verdict.status, "Incomplete");
+  assert.strictEqual(verdict.evicted, 1);
+  assert.match(verdict.problems.join("\n"), /evicted/);
+
+  // What is still stored can fail it
+  const twice = evaluateFlow(compileSpec({ events: [{ name: "done", match: { event: "done" }, max: 1 }] }),
+    [message(1, { event: "done" }), message(2, { event: "done" })], { ended: true, evicted: 5 });
+  assert.strictEqual(twice.status, "Failed");
+});
+
+test("baseline comparison counts events missing at the start of a trimmed run as evicted", () => {
+  const baseline = { name: "b", events: ["a", "b", "c", "d"].map(event => ({ payload: { event } })) };
+  const config = compileBaselineConfig({ keys: ["event"] });
+  const run = [message(3, { event: "c" }), message(4, { event: "d" })];
+
+  const plain = compareRun(baseline, run, config);
+  assert.strictEqual(plain.counts.removed, 2);
+  assert.strictEqual(plain.status, "Different");
+
+  const trimmed = compareRun(baseline, run, config, { evicted: 2 });
+  assert.deepStrictEqual([trimmed.counts.removed, trimmed.counts.evicted, trimmed.status], [0, 2, "Same"]);
+
+  // A missing event after the first one kept is still missing
+  const gap = compareRun(baseline, [message(2, { event: "b" }), message(4, { event: "d" })], config, { evicted: 5 });
+  assert.deepStrictEqual([gap.counts.removed, gap.counts.evicted], [1, 1]);
+});
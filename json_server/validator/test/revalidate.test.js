@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { diffOutcome, buildReport } = require("../lib/revalidate");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+const FLOWS_DIR = path.join(__dirname, "..", "validators", "flows");
+
+test("outcomes are compared without the error numbering", () => {
+  const before = { ValidationStatus: "Invalid", formattedErrorList: ["1. a must be string.", "2. b is required."] };
+  assert.deepStrictEqual(diffOutcome(before, { ValidationStatus: "Invalid", formattedErrorList: ["1. b is required.", "2. c is required."] }), {
+    flipped: null, errorsAdded: ["c is required."], errorsRemoved: ["a must be string."]
+  });
+  assert.strictEqual(diffOutcome(before, { ValidationStatus: "Valid", formattedErrorList: [] }).flipped, "toValid");
+
+  const entry = (messageId, after) => ({ sessionId: "s", flowId: "f", messageId, before, after });
+  const report = buildReport({ runId: "r1" }, [
+    entry("m1", { ValidationStatus: "Valid" }),
+    entry("m2", { ValidationStatus: "Invalid", formattedErrorList: ["a must be string."] }),
+    entry("m3", before)
+  ]);
+  assert.deepStrictEqual(report.totals, { messages: 3, toValid: 1, toInvalid: 0, errorsChanged: 1, unchanged: 1 });
+  assert.deepStrictEqual(report.changed.map(c => [c.messageId, c.before, c.after]), [["m1", "Invalid", "Valid"], ["m2", "Invalid", "Invalid"]]);
+});
+
+test.describe("revalidation runs", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("revalidate", { "event.schema.json": { type: "object", required: ["event"] } });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("stored messages are validated again against the edited schema and the run is kept", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+    const { messageId } = (await server.post("/", { name: "x" })).data;
+    await server.post("/", { event: "a" });
+
+    fs.writeFileSync(path.join(FLOWS_DIR, flowId, "event.schema.json"), JSON.stringify({ type: "object", required: ["name"] }));
+    for (let i = 0; i < 50 && !server.output().includes(`Validator reload: flow ${flowId}`); i++) await new Promise(r => setTimeout(r, 100));
+
+    const run = (await server.post(`/sessions/${sessionId}/flows/${flowId}/revalidate`)).data;
+    assert.deepStrictEqual(run.totals, { messages: 2, toValid: 1, toInvalid: 1, errorsChanged: 0, unchanged: 0 });
+    assert.deepStrictEqual(run.scope, { sessionId, flowId });
+
+    const message = (await server.get(`/messages/${messageId}.json`)).data.message;
+    assert.deepStrictEqual([message.ValidationStatus, message.revalidations.map(r => [r.runId, r.ValidationStatus])], ["Invalid", [[run.runId, "Valid"]]]);
+
+    const runs = (await server.get("/revalidations")).data.runs;
+    assert.deepStrictEqual(runs.map(r => [r.runId, "changed" in r]), [[run.runId, false]]);
+    assert.strictEqual((await server.get(`/revalidations/${run.runId}.json`)).data.changed.length, 2);
+    assert.strictEqual((await server.get("/revalidations/nope.json")).status, 404);
+  });
+});
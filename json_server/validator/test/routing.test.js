@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseKeySpec, createKeyExtractor } = require("../lib/routing");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+test("routing keys come from the ip, a header or a payload path", () => {
+  assert.deepStrictEqual(parseKeySpec("header:x-device-id"), { from: "header", name: "x-device-id" });
+  assert.deepStrictEqual(parseKeySpec("payload:/data/a:b"), { from: "payload", path: "/data/a:b" });
+  assert.throws(() => parseKeySpec("cookie:id"), /Invalid routing key "cookie:id"/);
+
+  const req = { ip: "10.0.0.1", get: (name) => ({ "x-device-id": "d1" })[name] };
+  assert.strictEqual(createKeyExtractor("ip")(req), "10.0.0.1");
+  assert.strictEqual(createKeyExtractor({ from: "header", name: "X-Device-Id" })(req), "d1");
+  const fromPayload = createKeyExtractor("payload:/user/id");
+  assert.strictEqual(fromPayload(req, { user: { id: 42 } }), "42");
+  assert.strictEqual(fromPayload(req, { user: { id: { nested: true } } }), null);
+  assert.strictEqual(createKeyExtractor(null)(req, {}), null);
+});
+
+test.describe("keyed sessions", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("routing", { "event.schema.json": { type: "object" } });
+    server = await startServer({ ROUTING_KEY: "header:x-device-id" });
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("events go to the session bound to their key, the rest to the sticky one", async () => {
+    const sessions = {};
+    for (const key of ["phone", "tablet", null]) {
+      const { sessionId } = (await server.post("/sessions", key ? { key } : {})).data;
+      sessions[key] = sessionId;
+      assert.strictEqual((await server.post("/flows", key ? { flowId, key } : { flowId })).status, 200);
+    }
+    await server.post("/", { n: 1 }, { "x-device-id": "phone" });
+    await server.post("/", { n: 2 }, { "x-device-id": "tablet" });
+    await server.post("/", { n: 3 }, { "x-device-id": "phone" });
+    await server.post("/", { n: 4 });
+
+    const counts = {};
+    for (const [key, sessionId] of Object.entries(sessions)) {
+      const flow = (await server.get(`/sessions/${sessionId}/flows/${flowId}`)).data;
+      counts[key] = flow.messages.map(m => m.payload.n);
+    }
+    assert.deepStrictEqual(counts, { phone: [1, 3], tablet: [2], null: [4] });
+
+    assert.strictEqual((await server.post("/flows/end", { key: "phone" })).status, 200);
+    const unrouted = await server.post("/", { n: 5 }, { "x-device-id": "phone" });
+    assert.deepStrictEqual([unrouted.status, unrouted.data.error], [409, "No active flow. Start a flow."]);
+  });
+});
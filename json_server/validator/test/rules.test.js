@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileRules, runRules } = require("../validators/rules");
+const { createFlow, removeFlow, startServer } = require("./helpers/server");
+
+// The cross-message context rules see: earlier messages of the flow ("f1") and of the session
+function context(prior) {
+  const all = prior.map(([flowId, payload]) => ({ flowId, payload }));
+  return { flowId: "f1", findMessages: ({ flowId } = {}) => all.filter(m => !flowId || m.flowId === flowId) };
+}
+
+test("each rule kind checks the earlier events of its scope", () => {
+  const rules = compileRules({
+    rules: [
+      { id: "consent", when: { type: "login" }, precededBy: { match: { type: "consent" }, scope: "session" } },
+      { when: { type: "payment" }, fieldEquals: { field: "orderId", latest: { match: { type: "order" } } } },
+      { when: { eventId: { exists: true } }, unique: { field: "eventId" } },
+      { when: { type: "login" }, maxOccurrences: { count: 1 }, message: "Only one login per flow." }
+    ]
+  });
+  const ctx = context([["f0", { type: "consent" }], ["f1", { type: "order", orderId: 7 }], ["f1", { type: "login", eventId: "e1" }]]);
+  assert.deepStrictEqual(runRules(rules, { type: "payment", orderId: 7 }, ctx), []);
+  assert.deepStrictEqual(runRules(rules, { type: "payment", orderId: 8 }, ctx), [
+    "orderId (8) must equal orderId (7) of the latest matching event (rule fieldEquals#2)."
+  ]);
+  assert.deepStrictEqual(runRules(rules, { type: "login", eventId: "e1" }, ctx), [
+    "eventId value \"e1\" must be unique across the flow (rule unique#3).",
+    "Only one login per flow."
+  ]);
+  assert.deepStrictEqual(runRules(rules, { type: "login" }, context([])), [
+    "Event must be preceded by a matching event in this session (rule consent)."
+  ]);
+});
+
+test("malformed rules files are rejected with the offending rule", () => {
+  for (const [raw, message] of [
+    [{}, /expected an object with a "rules" array/],
+    [{ rules: [{ when: { a: 1 } }] }, /rules\[0\] must have exactly one of: precededBy, fieldEquals, unique, maxOccurrences/],
+    [{ rules: [{ unique: { field: "a", scope: "global" } }] }, /rules\[0\]\.unique\.scope must be one of: flow, session/],
+    [{ rules: [{ maxOccurrences: { count: -1 } }] }, /rules\[0\]\.maxOccurrences\.count must be a non-negative integer/],
+    [{ rules: [{ id: "x", unique: { field: "a" } }, { id: "x", unique: { field: "b" } }] }, /duplicate rule id "x"/]
+  ]) {
+    assert.throws(() => compileRules(raw), (e) => /^Invalid rules file: /.test(e.message) && message.test(e.message), JSON.stringify(raw));
+  }
+});
+
+test.describe("rules files", () => {
+  let flowId;
+  let server;
+
+  test.before(async () => {
+    flowId = createFlow("rules", {
+      "event.schema.json": { type: "object" },
+      "rules.yaml": "rules:\n  - when: { type: login }\n    maxOccurrences: { count: 1 }\n    message: Only one login per flow.\n"
+    });
+    server = await startServer();
+  });
+
+  test.after(async () => {
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a YAML rules file adds its errors to the message", async () => {
+    await server.post("/sessions", {});
+    await server.post("/flows", { flowId });
+    assert.strictEqual((await server.post("/", { type: "login" })).status, 200);
+    const second = await server.post("/", { type: "login" });
+    assert.strictEqual(second.status, 400);
+    assert.match(second.data.errors.join("\n"), /Only one login per flow\./);
+  });
+});
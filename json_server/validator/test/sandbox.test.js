@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const v8 = require("v8");
+const { createStore } = require("../lib/store");
+const { createSandbox, syncSession, createSync } = require("../validators/sandbox");
+
+const message = (i) => ({ messageId: `m${i}`, timestamp: new Date(1700000000000 + i).toISOString(), payload: { n: i } });
+
+function sessionWith(count) {
+  const store = createStore();
+  store.createSession("s1", {});
+  store.ensureFlow("s1", "f1");
+  for (let i = 0; i < count; i++) store.addMessage("s1", "f1", message(i));
+  return store;
+}
+
+test("a worker is sent each message once, however long the session grows", () => {
+  // Bytes posted for `count` calls, one new message before each
+  const posted = (count) => {
+    const store = createStore();
+    store.createSession("s1", {});
+    store.ensureFlow("s1", "f1");
+    const known = createSync();
+    let bytes = 0;
+    for (let i = 0; i < count; i++) {
+      store.addMessage("s1", "f1", message(i));
+      const delta = syncSession(known, { sessionId: "s1", session: store.state.sessions.s1 });
+      assert.strictEqual(delta.flows.f1.append.length, 1);
+      bytes += v8.serialize(delta).length;
+    }
+    return bytes;
+  };
+  const ratio = posted(1000) / posted(500);
+  assert.ok(ratio < 2.5, `posting 1000 calls cost ${ratio.toFixed(1)}x posting 500`);
+});
+
+test("only what changed is sent: evictions, updates and flow metadata", () => {
+  const store = sessionWith(5);
+  const session = store.state.sessions.s1;
+  const known = createSync();
+  const sync = (updates) => syncSession(known, { sessionId: "s1", session, updates });
+
+  const first = sync();
+  assert.deepStrictEqual([first.clear, first.reset, first.flows.f1.append.length], [true, true, 5]);
+  assert.deepStrictEqual(sync().flows, {});
+
+  store.evictMessages("s1", "f1", 2);
+  store.updateFlow("s1", "f1", { endedAt: "2025-01-01T00:00:00.000Z" });
+  const { flows } = sync();
+  assert.deepStrictEqual([flows.f1.from, flows.f1.append, flows.f1.meta.endedAt], [2, undefined, "2025-01-01T00:00:00.000Z"]);
+
+  const m3 = store.findMessage("m3").message;
+  store.updateMessage("s1", "f1", "m3", { note: "x" });
+  assert.deepStrictEqual(sync({ offset: 0, messages: [m3] }).updates.map(m => m.note), ["x"]);
+  // An update log that was trimmed past what the worker saw resends the session
+  assert.strictEqual(sync({ offset: 5, messages: [] }).reset, true);
+});
+
+test.describe("plugin ctx in the worker", () => {
+  let dir;
+  let sandbox;
+
+  test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+    const file = path.join(dir, "index.js");
+    fs.writeFileSync(file, `
+      exports.validate = (payload, ctx) => ({
+        seen: ctx.findMessages({ flowId: "f1" }).map(m => m.payload.n),
+        notes: ctx.getFlow("f1").messages.map(m => m.note || null),
+        flows: Object.keys(ctx.getSession().flows),
+        frozen: Object.isFrozen(ctx.getSession().flows.f1.messages)
+      });
+    `);
+    sandbox = createSandbox(file);
+  });
+
+  test.after(() => {
+    sandbox.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("findMessages, getFlow and getSession follow the session across calls", async () => {
+    const store = sessionWith(3);
+    const session = store.state.sessions.s1;
+    const raw = new WeakMap([[store.findMessage("m1").message, { n: 100 }]]);
+    const received = (m) => (raw.has(m) ? { ...m, payload: raw.get(m) } : m);
+    const updates = { offset: 0, messages: [] };
+    const call = (cut) => sandbox.call("validate", {}, { sessionId: "s1", flowId: "f1", session, received, updates, cut });
+
+    assert.deepStrictEqual(await call(), { seen: [0, 100, 2], notes: [null, null, null], flows: ["f1"], frozen: true });
+
+    store.addMessage("s1", "f1", message(3));
+    store.evictMessages("s1", "f1", 1);
+    store.ensureFlow("s1", "f2");
+    store.updateMessage("s1", "f1", "m2", { note: "again" });
+    updates.messages.push(store.findMessage("m2").message);
+    assert.deepStrictEqual(await call(), { seen: [100, 2, 3], notes: [null, "again", null], flows: ["f1", "f2"], frozen: true });
+
+    // The cut counts evicted messages: index 3 hides m3 and later
+    const cut = { flowId: "f1", index: 3, timestamp: message(3).timestamp };
+    assert.deepStrictEqual((await call(cut)).seen, [100, 2]);
+
+    // A recreated session replaces the worker's copy
+    store.createSession("s1", {});
+    store.ensureFlow("s1", "f1");
+    store.addMessage("s1", "f1", message(9));
+    const fresh = store.state.sessions.s1;
+    const res = await sandbox.call("validate", {}, { sessionId: "s1", flowId: "f1", session: fresh });
+    assert.deepStrictEqual([res.seen, res.flows], [[9], ["f1"]]);
+  });
+});
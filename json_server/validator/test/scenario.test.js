@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { parseArgs, loadScenario } = require("../run-scenario");
+const { createFlow, removeFlow } = require("./helpers/server");
+
+const SCRIPT = path.join(__dirname, "..", "run-scenario.js");
+
+// Run the CLI with an embedded validator; resolves with { code, stdout, stderr }
+function runScenario(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], { cwd: path.dirname(SCRIPT), env: { ...process.env, STORE: "memory" }, timeout: 60000 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+test("arguments and scenario files are checked before anything runs", (t) => {
+  assert.deepStrictEqual(parseArgs(["s.yaml", "--embedded", "--report", "out.xml"]), { file: "s.yaml", url: null, embedded: true, report: "out.xml", format: null });
+  assert.throws(() => parseArgs(["--url"]), /--url needs a value/);
+  assert.throws(() => parseArgs(["a.json", "b.json"]), /Unexpected argument b\.json/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "scenario.yaml");
+  fs.writeFileSync(file, "report: out/r.xml\nflows:\n  - flowId: login\n    events: events\n");
+  const scenario = loadScenario(file);
+  assert.deepStrictEqual([scenario.report, scenario.flows[0].events], [path.join(dir, "out", "r.xml"), [path.join(dir, "events")]]);
+  fs.writeFileSync(file, "flows:\n  - flowId: login\n    waitFor: { events: 0 }\n");
+  assert.throws(() => loadScenario(file), /flows\[0\]\.waitFor\.events must be a positive integer/);
+});
+
+test.describe("run-scenario", () => {
+  let flowId;
+  let dir;
+
+  test.before(() => {
+    flowId = createFlow("scenario", {
+      "flow.spec.json": { events: [{ name: "open", match: { event: "open" } }, { name: "close", match: { event: "close" } }] },
+      "event.schema.json": { type: "object", required: ["event"] }
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+    fs.mkdirSync(path.join(dir, "events"));
+    fs.writeFileSync(path.join(dir, "events", "1.json"), JSON.stringify({ event: "open" }));
+    fs.writeFileSync(path.join(dir, "events", "2.ndjson"), JSON.stringify({ event: "close" }) + "\n");
+    fs.writeFileSync(path.join(dir, "invalid.json"), JSON.stringify({ other: 1 }));
+  });
+
+  test.after(() => {
+    removeFlow(flowId);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const scenario = (name, flow) => {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({ validator: "embedded", flows: [{ flowId, ...flow }] }));
+    return file;
+  };
+
+  test("exits 0 when every message is valid and the verdict passed, and writes the report", async () => {
+    const report = path.join(dir, "out", "report.xml");
+    const res = await runScenario([scenario("pass", { events: "events", waitFor: { events: 2, timeout: 5000 } }), "--report", report]);
+    assert.strictEqual(res.code, 0, res.stdout + res.stderr);
+    assert.match(res.stdout, new RegExp(`PASS {2}${flowId} \\(${flowId}\\): 2 messages, 0 invalid, verdict Passed`));
+    assert.match(fs.readFileSync(report, "utf8"), /<testsuites name="validation" tests="3" failures="0"/);
+  });
+
+  test("exits 1 on invalid messages or a failed verdict, and 2 on runner errors", async () => {
+    const failed = await runScenario([scenario("fail", { events: "invalid.json" })]);
+    assert.strictEqual(failed.code, 1, failed.stdout + failed.stderr);
+    assert.match(failed.stdout, /FAIL .*1 messages, 1 invalid, verdict Failed/);
+
+    const broken = await runScenario([scenario("broken", { events: "missing.json" })]);
+    assert.strictEqual(broken.code, 2);
+    assert.match(broken.stderr, /Error: Events path not found: .*missing\.json/);
+    assert.strictEqual((await runScenario(["--format"])).code, 2);
+  });
+});
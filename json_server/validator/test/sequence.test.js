@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileSpec, evaluateFlow } = require("../validators/sequence");
+
+const spec = compileSpec({
+  events: [
+    { name: "login", type: "login" },
+    { name: "payment", match: { "/data/event_name": "Payment", "data.amount": { gt: 0 } }, max: 1 },
+    { name: "promo", match: { promoId: { exists: true } }, optional: true }
+  ],
+  forbidden: [{ name: "error", match: { "data.event_name": { regex: "Error$" } } }]
+});
+const messages = (...payloads) => payloads.map((payload, i) => ({ messageId: `m${i}`, payload }));
+const login = { type: "login" };
+const payment = { data: { event_name: "Payment", amount: 5 } };
+
+test("a flow passes once every expected event arrived in order", () => {
+  const v = evaluateFlow(spec, messages(login, { other: true }, payment));
+  assert.strictEqual(v.status, "Passed");
+  assert.deepStrictEqual(v.counts, { login: 1, payment: 1, promo: 0 });
+  assert.deepStrictEqual(v.unexpected, [{ messageId: "m1" }]);
+});
+
+test("missing events leave a running flow Incomplete and fail an ended one", () => {
+  assert.strictEqual(evaluateFlow(spec, messages(login)).status, "Incomplete");
+  const ended = evaluateFlow(spec, messages(login), { ended: true });
+  assert.strictEqual(ended.status, "Failed");
+  assert.deepStrictEqual(ended.problems, ["Missing event 'payment' (expected 1, seen 0)."]);
+  const evicted = evaluateFlow(spec, messages(login), { ended: true, evicted: 3 });
+  assert.deepStrictEqual([evicted.status, evicted.evicted], ["Incomplete", 3]);
+});
+
+test("order, counts, forbidden and unexpected events fail the flow", () => {
+  assert.deepStrictEqual(evaluateFlow(spec, messages(payment, login)).problems, ["Event 'login' arrived after 'payment' (m1)."]);
+  assert.deepStrictEqual(evaluateFlow(spec, messages(login, payment, payment)).problems, ["Event 'payment' seen 2 times, at most 1 allowed."]);
+  const banned = evaluateFlow(spec, messages(login, { data: { event_name: "PaymentError" } }, payment));
+  assert.deepStrictEqual([banned.status, banned.forbidden], ["Failed", [{ event: "error", messageId: "m1" }]]);
+  const strict = compileSpec({ allowUnexpected: false, ordered: false, events: [{ type: "login" }] });
+  assert.deepStrictEqual(evaluateFlow(strict, messages({ type: "x" }, login)).problems, ["Unexpected event m0."]);
+});
+
+test("malformed specs are rejected with the offending entry", () => {
+  for (const [raw, message] of [
+    [[], /must be a JSON object/],
+    [{ events: {} }, /"events" must be an array/],
+    [{ events: [{ name: "x" }] }, /events\[0\] needs "type" or "match"/],
+    [{ events: [{ type: "a", min: 2, max: 1 }] }, /events\[0\]\.max must be an integer >= min/],
+    [{ events: [{ type: "a" }, { name: "a", match: { x: 1 } }] }, /duplicate event name "a"/]
+  ]) {
+    assert.throws(() => compileSpec(raw), (e) => /^Invalid flow spec: /.test(e.message) && message.test(e.message), JSON.stringify(raw));
+  }
+});
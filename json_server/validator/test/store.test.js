@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validator-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "data", "store.jsonl");
+}
+
+test("the file store replays its log on restart and compacts it", (t) => {
+  const file = tempFile(t);
+  const first = createStore({ type: "file", file });
+  first.createSession("s1", { key: "device-1" });
+  first.ensureFlow("s1", "login");
+  for (let i = 0; i < 3; i++) first.addMessage("s1", "login", { messageId: `m${i}`, ValidationStatus: "Valid", payload: { i } });
+  first.updateMessage("s1", "login", "m1", { ValidationStatus: "Invalid" });
+  first.evictMessages("s1", "login", 1);
+  first.updateFlow("s1", "login", { endedAt: "2025-01-01T00:00:00.000Z" });
+  first.createSession("s2");
+  first.deleteSession("s2");
+  first.setCurrent({ sessionId: "s1", flowId: "login" });
+  first.setBinding("device-1", { sessionId: "s1", flowId: "login" });
+  const logged = fs.readFileSync(file, "utf8").trim().split("\n").length;
+
+  const second = createStore({ type: "file", file });
+  assert.strictEqual(second.type, "file");
+  assert.deepStrictEqual(second.getFlow("s1", "login").messages.map(m => [m.messageId, m.ValidationStatus]), [["m1", "Invalid"], ["m2", "Valid"]]);
+  assert.deepStrictEqual([second.getFlow("s1", "login").evicted, second.getFlow("s1", "login").endedAt], [1, "2025-01-01T00:00:00.000Z"]);
+  assert.strictEqual(second.getSession("s1").key, "device-1");
+  assert.strictEqual(second.getSession("s2"), undefined);
+  assert.deepStrictEqual({ ...second.current }, { sessionId: "s1", flowId: "login" });
+  assert.deepStrictEqual({ ...second.bindings }, { "device-1": { sessionId: "s1", flowId: "login" } });
+  assert.strictEqual(second.findMessage("m2").flowId, "login");
+  assert.ok(fs.readFileSync(file, "utf8").trim().split("\n").length < logged, "log was not compacted");
+});
+
+test("a truncated last line is skipped, and clear empties the log", (t) => {
+  const file = tempFile(t);
+  const store = createStore({ type: "file", file });
+  store.createSession("s1");
+  fs.appendFileSync(file, "{\"op\":\"session\",\"sessionId\":\"s2\"");
+
+  const warn = t.mock.method(console, "warn", () => {});
+  const restarted = createStore({ type: "file", file });
+  assert.deepStrictEqual(restarted.listSessions().map(([id]) => id), ["s1"]);
+  assert.match(warn.mock.calls[0].arguments[0], /skipping line 3: /);
+
+  restarted.clear();
+  assert.deepStrictEqual(createStore({ type: "file", file }).listSessions(), []);
+  assert.throws(() => createStore({ type: "redis" }), /Unknown store type "redis"/);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const axios = require("axios");
+const { createFlow, removeFlow, startServer, startTeeProxy } = require("./helpers/server");
+
+// The app behind the proxy: echoes the request as JSON
+function startTarget() {
+  const srv = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => { body += d; });
+    req.on("end", () => {
+      res.writeHead(201, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ path: req.url, received: body ? JSON.parse(body) : null }));
+    });
+  });
+  return new Promise((resolve) => srv.listen(0, "127.0.0.1", () => resolve(srv)));
+}
+
+test.describe("tee-proxy", () => {
+  let flowId;
+  let server;
+  let target;
+  let proxy;
+
+  test.before(async () => {
+    flowId = createFlow("tee", { "event.schema.json": { type: "object", required: ["direction"] } });
+    server = await startServer();
+    target = await startTarget();
+    proxy = await startTeeProxy({ target: `http://127.0.0.1:${target.address().port}`, validatorUrl: server.url, EXCLUDE: "^/health" });
+  });
+
+  test.after(async () => {
+    await proxy?.stop();
+    target?.close();
+    await server?.stop();
+    removeFlow(flowId);
+  });
+
+  test("a request and its response are mirrored as two events sharing a correlation id", async () => {
+    const { sessionId } = (await server.post("/sessions", {})).data;
+    await server.post("/flows", { flowId });
+
+    await axios.get(`${proxy.url}/health`);
+    const res = await axios.post(`${proxy.url}/api/order?x=1`, { item: "book" });
+    assert.deepStrictEqual([res.status, res.data], [201, { path: "/api/order?x=1", received: { item: "book" } }]);
+
+    let messages = [];
+    for (let i = 0; i < 50 && messages.length < 2; i++) {
+      await new Promise(r => setTimeout(r, 100));
+      messages = (await server.get(`/sessions/${sessionId}/flows/${flowId}`)).data.messages;
+    }
+    const [request, response] = ["request", "response"].map(d => messages.find(m => m.payload.direction === d));
+    assert.strictEqual(messages.length, 2);
+    assert.deepStrictEqual([request.payload.method, request.payload.body], ["POST", { item: "book" }]);
+    assert.deepStrictEqual([response.payload.status, response.payload.body.received], [201, { item: "book" }]);
+    assert.ok(response.payload.timing.durationMs >= 0);
+    assert.ok(request.correlationId && request.correlationId === response.correlationId);
+
+    const detail = (await server.get(`/messages/${request.messageId}.json`)).data;
+    assert.deepStrictEqual(detail.correlated.map(c => [c.messageId, c.direction]), [[response.messageId, "response"]]);
+  });
+});
@@ -2,22 +2,87 @@ const express = require("express");
 const Ajv = require("ajv");
 const addFormats = require("ajv-formats");
 const path = require("path");
-const { getValidatorForFlow, ValidationError } = require("./validators");
-const { randomUUID } = require("crypto");
-const ExcelJS = require("exceljs");
+const fs = require("fs");
+const {
+  getValidatorForFlow, getValidatorStatus, listSchemas, getFlowSpec, evaluateFlow, watchValidators, checkFlowFile, flowFileKind, ValidationError,
+  getBaselineConfig, compareRun, applyBaseline, eventKey, diffPayloads, DEFAULT_BASELINE_CONFIG, getRedactionRules
+} = require("./validators");
+const { randomUUID, createHash, timingSafeEqual } = require("crypto");
+const { loadConfig, parseDuration } = require("./lib/config");
+const { createStore } = require("./lib/store");
+const { createKeyExtractor } = require("./lib/routing");
+const { createEventHub } = require("./lib/events");
+const { createDecoder } = require("./lib/ingest");
+const { parseCapture, compileImport, firstRequestTime } = require("./lib/capture");
+const { buildReport } = require("./lib/revalidate");
+const { buildReportModel, toCsv, toJUnit, writeXlsx } = require("./lib/report");
+const { inferSchema } = require("./lib/infer");
+const { createFlowFiles } = require("./lib/flowfiles");
+const { measureCoverage } = require("./lib/coverage");
+const { parseMessageQuery, messageFilter, searchMessages } = require("./lib/query");
+const { createBaselineStore } = require("./lib/baselines");
+const { renderJsonHtml, nearestPointer } = require("./lib/jsonview");
+const { toPointer } = require("./lib/paths");
+const { compileRedaction, redactPayload, redactErrors, skipRedactedErrors } = require("./lib/redact");
+const { createRetention } = require("./lib/retention");
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./lib/metrics");
+const { createNotifier, displayUrl } = require("./lib/notify");
+const axios = require("axios");
+
+const config = loadConfig();
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+// POST / brings its own body decoders (batches, NDJSON, form bodies; see lib/ingest.js);
+// flow-file uploads (PUT /validators/flows/…) keep the raw text so formatting survives;
+// POST /imports takes a capture file as is
+const jsonBody = express.json({ limit: "1mb" });
+const ownBody = (req) => (req.method === "POST" && (req.path === "/" || req.path === "/imports")) ||
+  (req.method === "PUT" && req.path.startsWith("/validators/flows/"));
+app.use((req, res, next) => (ownBody(req) ? next() : jsonBody(req, res, next)));
 
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use(express.static(path.join(__dirname, "public")));
 
-const ajv = new Ajv({ allErrors: true, strict: false });
-addFormats(ajv);
+// Every AJV instance (validation and upload checks) is configured the same way
+function createAjv() {
+  const instance = new Ajv({ allErrors: true, strict: false });
+  addFormats(instance);
+  return instance;
+}
+
+const VALIDATORS_DIR = path.join(__dirname, "validators");
+
+// Flow folders managed over HTTP (GET/PUT/DELETE /validators/flows/…), with version history
+const flowFiles = createFlowFiles({
+  baseDir: VALIDATORS_DIR,
+  historyDir: config.history.dir,
+  keep: config.history.keep,
+  check: (file, text, flowId) => checkFlowFile(file, text, { baseDir: VALIDATORS_DIR, createAjv, flowId }),
+  diskOnly: ["keywords.js"]
+});
+
+// Recorded flow runs (validators/flows/<flowId>/baselines/) that later runs are compared with
+const baselines = createBaselineStore({ baseDir: VALIDATORS_DIR });
+
+// Live updates pushed to the dashboard and other subscribers (GET /events)
+const events = createEventHub();
+
+// Hot reload: edited schemas recompile and flow plugins reload on the next request
+watchValidators({
+  baseDir: VALIDATORS_DIR,
+  createAjv,
+  onReload: ({ flowId, file }) => {
+    console.log(`Validator reload: ${flowId ? `flow ${flowId}` : "common"}${file ? ` (${file})` : ""}`);
+    events.publish("validators.reloaded", { flowId, file });
+  }
+});
+
+// PII redaction: global rules from the config, per-flow rules from validators/flows/<flowId>/redact.json
+const globalRedaction = compileRedaction(config.redaction, "config redaction");
 
 /* ============================
-   In-memory model (no PII)
+   Data model (no PII: payloads are stored redacted, see redactFor)
    ============================ */
 /*
 state = {
@@ -31,10 +96,70 @@ state = {
   }
 }
 */
-const state = { sessions: {} };
+// Storage backend (memory by default, or file-backed; see lib/store.js).
+// `state` and `current` are live read-only views; all changes go through the store.
+const store = createStore(config.store);
+const { state } = store;
 
 // NEW (sticky): single active pointers
-const current = { sessionId: null, flowId: null };       // NEW (sticky)
+const current = store.current;                           // NEW (sticky)
+
+// Concurrent sessions: { [routingKey]: { sessionId, flowId } }, one pointer per device/tester.
+// Events whose routing key has no binding fall back to the sticky `current` pointers.
+const bindings = store.bindings;
+const extractRoutingKey = createKeyExtractor(config.routing.key);
+const decodeIngest = createDecoder(config.ingest);
+
+store.subscribe(publishChange);
+
+// Memory bounds: oldest messages/sessions are evicted past the configured limits (see lib/retention.js).
+// Sessions still in use (current, or bound to a routing key) are never evicted.
+const retention = createRetention(store, {
+  ...config.retention,
+  isPinned: (sid) => current.sessionId === sid || Object.values(bindings).some(p => p.sessionId === sid)
+});
+retention.start();
+
+// Webhook notifications (config `notifications`, see lib/notify.js); idle checks watch the active flows
+const notifier = createNotifier({
+  ...config.notifications,
+  post: (url, body, opts) => axios.post(url, body, opts),
+  listActive: () => [current, ...Object.values(bindings)]
+    .filter(p => p.sessionId && p.flowId)
+    .map(p => ({ ...p, fl: store.getFlow(p.sessionId, p.flowId) }))
+    .filter(({ fl }) => fl && !fl.endedAt)
+    .map(({ sessionId, flowId, fl }) => ({ sessionId, flowId, lastEventAt: fl.messages.at(-1)?.timestamp || fl.createdAt })),
+  onDelivery: (entry) => events.publish("notification.updated", { id: entry.id, status: entry.status, rule: entry.rule })
+});
+notifier.start();
+
+// Flow plugins run in worker threads with these limits (config `plugins`, see validators/sandbox.js)
+const pluginLimits = {
+  timeout: parseDuration(config.plugins.timeout, "plugins.timeout") || 2000,
+  memoryMb: config.plugins.memoryMb
+};
+
+/* ============================
+   Metrics (GET /metrics, Prometheus text format)
+   ============================ */
+const metrics = createMetrics();
+const ingestedTotal = metrics.counter("validator_messages_ingested_total", "Messages validated and stored, by flow and validation status", ["flow", "status"]);
+const validationSeconds = metrics.histogram("validator_validation_duration_seconds", "Time spent validating one ingested message", ["flow"]);
+metrics.counter("validator_evicted_total", "Records removed by the retention limits since startup", ["kind"], (set) => {
+  const { evicted } = retention.stats();
+  set({ kind: "message" }, evicted.messages);
+  set({ kind: "session" }, evicted.sessions);
+});
+metrics.gauge("validator_stored_messages", "Messages currently held in the store", [], (set) => set({}, store.messageCount()));
+metrics.gauge("validator_sessions", "Sessions currently held in the store, by state", ["state"], (set) => {
+  const sessions = store.listSessions();
+  const ended = sessions.filter(([, s]) => s.endedAt).length;
+  set({ state: "active" }, sessions.length - ended);
+  set({ state: "ended" }, ended);
+});
+metrics.gauge("process_resident_memory_bytes", "Resident memory size in bytes", [], (set) => set({}, process.memoryUsage().rss));
+metrics.gauge("nodejs_heap_used_bytes", "V8 heap in use in bytes", [], (set) => set({}, process.memoryUsage().heapUsed));
+metrics.gauge("nodejs_heap_total_bytes", "V8 heap allocated in bytes", [], (set) => set({}, process.memoryUsage().heapTotal));
 
 /* ============================
    Helpers
@@ -47,7 +172,7 @@ function assertFlowId(str) {
   }
 }
 function getSession(sessionId, mustExist = true) {
-  const s = state.sessions[sessionId];
+  const s = store.getSession(sessionId);
   if (!s && mustExist) {
     const e = new Error(`Unknown sessionId: ${sessionId}`);
     e.status = 404;
@@ -56,8 +181,8 @@ function getSession(sessionId, mustExist = true) {
   return s;
 }
 function getFlow(sessionId, flowId, mustExist = true) {
-  const s = getSession(sessionId, mustExist);
-  const f = s?.flows?.[flowId];
+  getSession(sessionId, mustExist);
+  const f = store.getFlow(sessionId, flowId);
   if (!f && mustExist) {
     const e = new Error(`Unknown flowId: ${flowId} in session ${sessionId}`);
     e.status = 404;
@@ -66,69 +191,140 @@ function getFlow(sessionId, flowId, mustExist = true) {
   return f;
 }
 function ensureFlow(sessionId, flowId, name) {
-  const s = getSession(sessionId, true);
-  if (!s.flows[flowId]) {
-    s.flows[flowId] = {
-      name: name || flowId,
-      createdAt: new Date().toISOString(),
-      endedAt: null,
-      messages: []
-    };
+  getSession(sessionId, true);
+  return store.ensureFlow(sessionId, flowId, name);
+}
+
+// A "target" is the pointer pair a route operates on: the sticky `current`,
+// or the pointer bound to a routing key. Chosen by `key`, or by `sessionId`
+// of an active session; defaults to the sticky pointer.
+function resolveTarget({ key, sessionId } = {}) {
+  if (key) return { key: String(key), pointer: bindings[key] || { sessionId: null, flowId: null } };
+  if (sessionId && current.sessionId !== sessionId) {
+    const found = Object.entries(bindings).find(([, p]) => p.sessionId === sessionId);
+    if (!found) {
+      const e = new Error(`Session ${sessionId} is not active`);
+      e.status = 409;
+      throw e;
+    }
+    return { key: found[0], pointer: found[1] };
   }
-  return s.flows[flowId];
+  return { key: null, pointer: current };
+}
+function targetFromRequest(req) {
+  const body = req.body || {};
+  return resolveTarget({ key: body.key ?? req.query.key, sessionId: body.sessionId ?? req.query.sessionId });
+}
+function movePointer(target, next) {
+  if (target.key) store.setBinding(target.key, next);
+  else store.setCurrent(next || { sessionId: null, flowId: null });
+}
+function isActiveSession(sessionId) {
+  return current.sessionId === sessionId || Object.values(bindings).some(p => p.sessionId === sessionId);
+}
+function isActiveFlow(sessionId, flowId) {
+  return [current, ...Object.values(bindings)].some(p => p.sessionId === sessionId && p.flowId === flowId);
+}
+
+// Flow verdict against validators/flows/<flowId>/flow.spec.json, plus the baseline
+// comparison when baseline.json sets failOnDiff (null when neither applies)
+function computeVerdict(flowId, fl) {
+  const spec = getFlowSpec(flowId, { baseDir: VALIDATORS_DIR });
+  const evicted = fl.evicted || 0; // oldest messages removed by retention
+  const verdict = spec ? evaluateFlow(spec, fl.messages, { ended: !!fl.endedAt, evicted }) : null;
+  if (!getBaselineConfig(flowId, { baseDir: VALIDATORS_DIR })?.failOnDiff) return verdict;
+  let picked = null;
+  try {
+    picked = pickBaseline(flowId);
+  } catch (e) {
+    console.error(`Baseline for flow ${flowId} unreadable:`, e.message);
+  }
+  if (!picked) return verdict;
+  return applyBaseline(verdict, compareRun(picked.baseline, fl.messages, picked.config, { evicted }), { ended: !!fl.endedAt });
+}
+
+// The baseline a flow is compared with: `name`, else baseline.json "active", else the newest recording
+function pickBaseline(flowId, name) {
+  const config = getBaselineConfig(flowId, { baseDir: VALIDATORS_DIR }) || DEFAULT_BASELINE_CONFIG;
+  const chosen = name || config.active || baselines.list(flowId)[0]?.name;
+  return chosen ? { baseline: baselines.read(flowId, chosen), config } : null;
+}
+
+// End a flow and record its verdict
+function endFlow(sessionId, flowId) {
+  store.updateFlow(sessionId, flowId, { endedAt: new Date().toISOString() });
+  const fl = store.getFlow(sessionId, flowId);
+  const verdict = computeVerdict(flowId, fl);
+  store.updateFlow(sessionId, flowId, { verdict });
+  notifier.emit("flowEnded", flowOutcome(sessionId, flowId, fl, verdict));
+  return verdict;
+}
+
+// End a session and notify its outcome
+function endSession(sessionId) {
+  const s = getSession(sessionId);
+  store.updateSession(sessionId, { endedAt: new Date().toISOString() });
+  const flows = Object.entries(s.flows).map(([fid, fl]) => flowOutcome(sessionId, fid, fl, fl.verdict || computeVerdict(fid, fl)));
+  const failedFlows = flows.filter(f => f.failed).map(f => f.flowId);
+  notifier.emit("sessionEnded", {
+    sessionId,
+    failed: failedFlows.length > 0,
+    outcome: failedFlows.length ? `failures in ${failedFlows.join(", ")}` : `${flows.length} flow${flows.length === 1 ? "" : "s"} without failures`,
+    flows: flows.map(({ flowId, outcome, invalidCount, verdict }) => ({ flowId, outcome, invalidCount, verdict: verdict?.status || null })),
+    invalidCount: flows.reduce((n, f) => n + f.invalidCount, 0),
+    path: `/sessions/${sessionId}/export.html`
+  });
+}
+
+// What flowEnded / sessionEnded notifications report about a flow
+function flowOutcome(sessionId, flowId, fl, verdict) {
+  const invalidCount = fl.messages.filter(m => m.ValidationStatus !== "Valid").length;
+  const failed = invalidCount > 0 || verdict?.status === "Failed";
+  const reasons = [
+    verdict?.status === "Failed" ? "verdict Failed" : null,
+    invalidCount ? `${invalidCount} invalid event${invalidCount === 1 ? "" : "s"}` : null
+  ].filter(Boolean);
+  return {
+    sessionId, flowId, failed,
+    outcome: failed ? reasons.join(", ") : (verdict?.status || "no invalid events"),
+    verdict: verdict || null,
+    messageCount: fl.messages.length,
+    invalidCount,
+    path: `/sessions/${sessionId}/flows/${flowId}/export.html`
+  };
 }
 
 // Find a captured message anywhere by messageId
 function findByMessageId(messageId) {
-  if (state.sessions) {
-    for (const [sid, s] of Object.entries(state.sessions)) {
-      for (const [fid, f] of Object.entries(s.flows || {})) {
-        const m = (f.messages || []).find(e => e.messageId === messageId);
-        if (m) return { sessionId: sid, flowId: fid, message: m };
+  return store.findMessage(messageId) || { sessionId: null, flowId: null, message: null };
+}
+
+// Other messages mirrored from the same request/response exchange (tee-proxy)
+function findCorrelated(message) {
+  if (!message?.correlationId) return [];
+  const out = [];
+  for (const [sid, s] of store.listSessions()) {
+    for (const [fid, f] of Object.entries(s.flows || {})) {
+      for (const m of f.messages || []) {
+        if (m.correlationId === message.correlationId && m.messageId !== message.messageId) {
+          out.push({ sessionId: sid, flowId: fid, messageId: m.messageId, direction: m.payload?.direction || null, ValidationStatus: m.ValidationStatus });
+        }
       }
     }
-    return { sessionId: null, flowId: null, message: null };
   }
+  return out;
 }
 
-// Collect rows for export
-function collectMessages(scope) {
-  // returns array of {sessionId, flowId, messageId, timestamp, ValidationStatus, formattedErrorList, payload}
-  const rows = [];
-  if (!state.sessions) return rows;
-
-  const pushMessage = (sid, fid, m) => rows.push({
-    sessionId: sid,
-    flowId: fid,
-    messageId: m.messageId,
-    timestamp: m.timestamp,
-    status: m.ValidationStatus,
-    errors: (m.formattedErrorList || []).join(" | "),
-    payload: JSON.stringify(m.payload ?? {})
-  });
-
-  const { sessionId, flowId } = scope;
-  if (sessionId && flowId) {
-    const fl = state.sessions[sessionId]?.flows?.[flowId];
-    if (fl) fl.messages.forEach(m => pushMessage(sessionId, flowId, m));
-    return rows;
-  }
-  if (sessionId) {
-    const s = state.sessions[sessionId];
-    if (s) Object.entries(s.flows || {}).forEach(([fid, fl]) => fl.messages.forEach(m => pushMessage(sessionId, fid, m)));
-    return rows;
-  }
-  // global
-  Object.entries(state.sessions).forEach(([sid, s]) => {
-    Object.entries(s.flows || {}).forEach(([fid, fl]) => {
-      fl.messages.forEach(m => pushMessage(sid, fid, m));
-    });
-  });
-  return rows;
+// Payload location an AJV error is about (JSON pointer): the instance, or the
+// missing/unexpected property under it
+function errorPointer(e) {
+  const child = e.params?.missingProperty ?? e.params?.additionalProperty;
+  return (e.instancePath || "") + (child != null ? toPointer([child]) : "");
 }
 
-// Numbered-sentence formatter (kept)
-function formatErrorsAsSentences(errors = []) {
+// Numbered-sentence formatter (kept). `messages` come from schema plugins (keywords.js):
+// { [keyword | "format:<name>"]: (error) => text } completes "<path> …" for their errors.
+function formatErrorsAsSentences(errors = [], messages = {}) {
   const rmSlash = (p) => (p || "").replace(/^\/+/, "");
   const cap = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : s);
   return errors.map((e, idx) => {
@@ -137,6 +333,14 @@ function formatErrorsAsSentences(errors = []) {
     const combinedPath = inst + (missing ? `/${missing}` : "");
     const path = rmSlash(combinedPath);
     const atPath = path ? `${path} ` : "";
+    const custom = messages[e.keyword === "format" ? `format:${e.params?.format}` : e.keyword];
+    if (custom) {
+      try {
+        return `${idx + 1}. ${atPath}${custom(e)}.`;
+      } catch (err) {
+        console.error(`Error message for "${e.keyword}" failed:`, err.message); // falls back to the default sentence
+      }
+    }
     switch (e.keyword) {
       case "required":
         return `${idx + 1}. ${inst ? `${rmSlash(inst)} is missing required property '${missing}'.` : `Missing required property '${missing}'.`}`;
@@ -175,92 +379,126 @@ app.get("/test", (req, res) => {
   res.send("Validator OK");
 });
 
+// Prometheus scrape target (see Metrics section above)
+app.get("/metrics", (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Per-flow validator reload times and load errors
+app.get("/validators", (req, res) => {
+  res.json({ ok: true, flows: getValidatorStatus() });
+});
+
+// Schema registry: every common and flow schema, its $id and $ref dependencies
+app.get("/schemas", (req, res) => {
+  res.json({ ok: true, schemas: listSchemas({ baseDir: VALIDATORS_DIR, createAjv }) });
+});
+
 /* =====================================================
-   SESSIONS (single active)
+   SESSIONS (one sticky + one per routing key)
    ===================================================== */
 
-
-app.post("/sessions", (req, res) => {                    
-  if (current.sessionId) {
-    // auto end current session
-    const s = getSession(current.sessionId);
-    if (!s.endedAt) s.endedAt = new Date().toISOString();
+// Start a session. Body/query `key` binds it to a routing key (device/tester);
+// without it the sticky session is (re)started. Auto-ends the previous one for that target.
+app.post("/sessions", (req, res) => {
+  const key = req.body?.key ?? req.query.key;
+  const target = resolveTarget({ key });
+  const { pointer } = target;
+  if (pointer.sessionId) {
+    // auto end previous session for this target
+    const s = getSession(pointer.sessionId, false);
+    if (s && !s.endedAt) store.updateSession(pointer.sessionId, { endedAt: new Date().toISOString() });
   }
   const sessionId = randomUUID();
-  state.sessions[sessionId] = {
-    createdAt: new Date().toISOString(),
-    endedAt: null,
-    flows: {}
-  };
-  current.sessionId = sessionId;                         
-  current.flowId = null;                                 
-  res.json({ ok: true, sessionId, note: "Previous session auto-ended (if any)" });
+  store.createSession(sessionId, target.key ? { key: target.key } : {});
+  movePointer(target, { sessionId, flowId: null });
+  res.json({ ok: true, sessionId, key: target.key, note: "Previous session auto-ended (if any)" });
 });
 
-// NEW (sticky): explicit end of current session
+// NEW (sticky): explicit end of current session (or the one chosen by key/sessionId)
 app.post("/sessions/end", (req, res) => {                // NEW (sticky)
-  if (!current.sessionId) return res.status(409).json({ ok: false, error: "No active session" });
-  const s = getSession(current.sessionId);
-  s.endedAt = new Date().toISOString();
-  current.sessionId = null;
-  current.flowId = null;
-  res.json({ ok: true });
+  const target = targetFromRequest(req);
+  const { sessionId } = target.pointer;
+  if (!sessionId) return res.status(409).json({ ok: false, error: "No active session" });
+  getSession(sessionId);
+  endSession(sessionId);
+  movePointer(target, null);
+  res.json({ ok: true, sessionId });
 });
 
 // Keep JSON list (unchanged)
 app.get("/sessions", (req, res) => {
-  const out = Object.entries(state.sessions).map(([id, s]) => ({
+  const out = store.listSessions().map(([id, s]) => ({
     sessionId: id,
+    key: s.key || null,
+    import: s.import || null,
+    active: isActiveSession(id),
     createdAt: s.createdAt,
     endedAt: s.endedAt,
     flowCount: Object.keys(s.flows).length,
     messageCount: Object.values(s.flows).reduce((n, f) => n + f.messages.length, 0)
   }));
-  res.json({ ok: true, sessions: out, current });
+  res.json({ ok: true, sessions: out, current, bindings, routing: { key: config.routing.key || null } });
 });
 
 // Delete a session by id (unchanged)
 app.delete("/sessions/:sessionId", (req, res) => {
   const { sessionId } = req.params;
-  if (state.sessions[sessionId]) delete state.sessions[sessionId];
+  if (store.getSession(sessionId)) store.deleteSession(sessionId);
   if (current.sessionId === sessionId) {                 // NEW (sticky)
-    current.sessionId = null;
-    current.flowId = null;
+    store.setCurrent({ sessionId: null, flowId: null });
+  }
+  for (const [key, p] of Object.entries(bindings)) {
+    if (p.sessionId === sessionId) store.setBinding(key, null);
   }
   res.json({ ok: true, deleted: true });
 });
 
 /* =====================================================
-   FLOWS (single active per current session)
+   FLOWS (single active per active session)
    ===================================================== */
 
-// CHANGED (sticky): Start flow — requires active session; auto-end previous flow; sets current.flowId
+// CHANGED (sticky): Start flow — requires active session; auto-end previous flow; sets the target's flowId.
+// Body `key`/`sessionId` choose the session (default: the sticky current session).
 app.post("/flows", (req, res) => {                       // CHANGED (sticky)
   const { flowId, name } = req.body || {};
-  if (!current.sessionId) return res.status(409).json({ ok: false, error: "No active session. Start a session first." });
+  const target = targetFromRequest(req);
+  const { pointer } = target;
+  if (!pointer.sessionId) return res.status(409).json({ ok: false, error: "No active session. Start a session first." });
   if (!flowId) return res.status(400).json({ ok: false, error: "flowId required" });
   assertFlowId(flowId);
 
-  // auto end previous flow in the current session
-  if (current.flowId) {
-    const prev = getFlow(current.sessionId, current.flowId);
-    if (!prev.endedAt) prev.endedAt = new Date().toISOString();
+  // auto end previous flow in the target session
+  if (pointer.flowId) {
+    const prev = getFlow(pointer.sessionId, pointer.flowId);
+    if (!prev.endedAt) endFlow(pointer.sessionId, pointer.flowId);
   }
 
-  ensureFlow(current.sessionId, flowId, name);
-  current.flowId = flowId;                               // NEW (sticky)
+  ensureFlow(pointer.sessionId, flowId, name);
+  movePointer(target, { flowId });                       // NEW (sticky)
 
-  res.json({ ok: true, sessionId: current.sessionId, flowId, note: "Previous flow auto-ended (if any)" });
+  res.json({ ok: true, sessionId: pointer.sessionId, flowId, key: target.key, note: "Previous flow auto-ended (if any)" });
 });
 
-// NEW (sticky): End current flow in current session
+// NEW (sticky): End current flow in the target session
 app.post("/flows/end", (req, res) => {                   // NEW (sticky)
-  if (!current.sessionId) return res.status(409).json({ ok: false, error: "No active session" });
-  if (!current.flowId) return res.status(409).json({ ok: false, error: "No active flow" });
-  const f = getFlow(current.sessionId, current.flowId);
-  f.endedAt = new Date().toISOString();
-  current.flowId = null;
-  res.json({ ok: true });
+  const target = targetFromRequest(req);
+  const { sessionId, flowId } = target.pointer;
+  if (!sessionId) return res.status(409).json({ ok: false, error: "No active session" });
+  if (!flowId) return res.status(409).json({ ok: false, error: "No active flow" });
+  getFlow(sessionId, flowId);
+  const verdict = endFlow(sessionId, flowId);
+  movePointer(target, { flowId: null });
+  res.json({ ok: true, sessionId, flowId, verdict });
+});
+
+// Flow verdict on demand (computed now from the current flow spec; not stored)
+app.get("/sessions/:sessionId/flows/:flowId/verdict", (req, res) => {
+  const { sessionId, flowId } = req.params;
+  const f = getFlow(sessionId, flowId);
+  const verdict = computeVerdict(flowId, f);
+  if (!verdict) return res.status(404).json({ ok: false, error: `No flow spec for ${flowId}` });
+  res.json({ ok: true, sessionId, flowId, verdict });
 });
 
 // Flow detail (JSON, unchanged except uses explicit ids)
@@ -271,92 +509,722 @@ app.get("/sessions/:sessionId/flows/:flowId", (req, res) => {
 });
 
 /* =====================================================
-   MESSAGE INGEST (POST /) — now uses sticky current session/flow
+   MESSAGE INGEST (POST /, GET /) — routed by routing key, else sticky current session/flow
    ===================================================== */
-   app.post("/", async (req, res) => {
-    console.log("Received JSON:", req.body);
-    // No headers needed; we route to current pointers
-    if (!current.sessionId) return res.status(409).json({ ok: false, error: "No active session. Start a session." });
-    if (!current.flowId)    return res.status(409).json({ ok: false, error: "No active flow. Start a flow." });
-  
-    const sessionId = current.sessionId;
-    const flowId    = current.flowId;
-    const payload   = req.body;
-  
-    const s = getSession(sessionId);
-    const f = getFlow(sessionId, flowId);
-  
-    // Build cross-message context
-    const ctx = {
-      sessionId, flowId, state,
-      findMessages: ({ flowId: fid, where } = {}) => {
-        const flows = fid ? [getFlow(sessionId, fid)] : Object.values(s.flows);
-        const out = [];
-        for (const fl of flows) {
-          for (const m of fl.messages) {
-            if (!where || where(m)) out.push(m);
-          }
-        }
-        return out;
-      },
-      getFlow: (fid) => getFlow(sessionId, fid),
-      getSession: () => getSession(sessionId)
-    };
-  
-    // Resolve validator for current flow (per-flow schemas + optional custom)
-    const validator = await getValidatorForFlow(flowId, {
-      ajv,
-      baseDir: path.join(__dirname, "validators")
+
+// Cross-message context handed to flow plugins and rules.
+// `before` (a stored message) limits lookups to what had arrived before it — used when re-validating.
+// `headers` are the ingest request's headers; a stored message has none, so its recorded schema
+// selectors (manifest.json app version / platform / contract) stand in for them.
+// Flow plugins run in a worker and get `snapshot()` instead: the live session, which the worker's
+// copy is brought up to date from before ctx is rebuilt there.
+// Payloads of stored messages as received, before redaction: in memory only (never persisted,
+// exported or served), so cross-event rules, plugins, re-validation and coverage see real values.
+// Messages restored from the file store after a restart only have their redacted payload.
+const rawPayloads = new WeakMap(); // stored message -> received payload
+const asReceived = (m) => (rawPayloads.has(m) ? { ...m, payload: rawPayloads.get(m) } : m);
+const flowAsReceived = (fl) => ({ ...fl, messages: fl.messages.map(asReceived) });
+const sessionAsReceived = (s) => ({
+  ...s,
+  flows: Object.fromEntries(Object.entries(s.flows).map(([fid, fl]) => [fid, flowAsReceived(fl)]))
+});
+
+// Messages changed in place (messageUpdate), per session and in order, so plugin workers can
+// refresh their copies (see validators/sandbox.js). Only the newest are kept: a worker that fell
+// further behind gets the whole session again.
+const MAX_MESSAGE_UPDATES = 1000;
+const messageUpdates = new WeakMap(); // stored session -> { offset, messages }
+store.subscribe((op) => {
+  if (op.op !== "messageUpdate") return;
+  const s = state.sessions[op.sessionId];
+  const hit = store.findMessage(op.messageId);
+  if (!s || !hit) return;
+  if (!messageUpdates.has(s)) messageUpdates.set(s, { offset: 0, messages: [] });
+  const log = messageUpdates.get(s);
+  log.messages.push(hit.message);
+  if (log.messages.length > MAX_MESSAGE_UPDATES) {
+    const drop = log.messages.length - MAX_MESSAGE_UPDATES / 2;
+    log.messages.splice(0, drop);
+    log.offset += drop;
+  }
+});
+
+function buildContext(sessionId, flowId, { before, headers } = {}) {
+  const s = getSession(sessionId);
+  const cutFlow = before ? s.flows[flowId] : null;
+  const cutIndex = before ? cutFlow.messages.indexOf(before) : -1;
+  const visible = (fl, m, i) => !before ||
+    (fl === cutFlow ? i < cutIndex : m.timestamp < before.timestamp);
+  const ctx = {
+    sessionId, flowId, state,
+    headers: headers || {},
+    schemaSelectors: before?.schema?.selectors || null,
+    findMessages: ({ flowId: fid, where } = {}) => {
+      const flows = fid ? [getFlow(sessionId, fid)] : Object.values(s.flows);
+      const out = [];
+      for (const fl of flows) {
+        fl.messages.forEach((m, i) => {
+          if (!visible(fl, m, i)) return;
+          const received = asReceived(m);
+          if (!where || where(received)) out.push(received);
+        });
+      }
+      return out;
+    },
+    getFlow: (fid) => flowAsReceived(getFlow(sessionId, fid)),
+    getSession: () => sessionAsReceived(s),
+    snapshot: () => ({
+      sessionId, flowId, headers: ctx.headers, schemaSelectors: ctx.schemaSelectors,
+      session: s, received: asReceived, updates: messageUpdates.get(s),
+      cut: before ? { flowId, index: (cutFlow.evicted || 0) + cutIndex, timestamp: before.timestamp } : null
+    })
+  };
+  ctx.findEvents = ctx.findMessages; // documented name used by flow plugins
+  return ctx;
+}
+
+// Run schema + custom validation for one payload in a flow.
+// Returns { valid, formattedErrorList, errorPaths, schema } (errorPaths[i]: JSON pointer of
+// formattedErrorList[i], null for plugin/rule errors; schema: { file, version, selectors } or null)
+async function validatePayload(sessionId, flowId, payload, ctxOpts) {
+  const ctx = buildContext(sessionId, flowId, ctxOpts);
+
+  // Resolve validator for the flow (per-flow schemas + optional custom)
+  const validator = await getValidatorForFlow(flowId, {
+    createAjv,
+    baseDir: VALIDATORS_DIR,
+    plugins: pluginLimits
+  });
+
+  // Execute validations
+  let schemaErrors = [];
+  let customErrors = [];
+  let valid = true;
+  let schema = null;
+  try {
+    const result = await validator.validate(payload, ctx);
+    valid         = result.valid;
+    schemaErrors  = result.schemaErrors || [];
+    customErrors  = result.customErrors || [];
+    schema        = result.schema || null;
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      valid = false;
+      customErrors = [err.message];
+    } else {
+      console.error("Validator error", err);
+      valid = false;
+      customErrors = ["Internal validator error"];
+    }
+  }
+
+  const formattedErrorList = valid
+    ? []
+    : [
+        ...formatErrorsAsSentences(schemaErrors, validator.messages()),
+        ...customErrors.map((m, i) => `${i + 1 + schemaErrors.length}. ${m}`)
+      ];
+  const errorPaths = valid ? [] : [...schemaErrors.map(errorPointer), ...customErrors.map(() => null)];
+  return { valid, formattedErrorList, errorPaths, schema };
+}
+
+// Redact a payload with the flow's rules, then the global ones (a flow-less payload gets the global ones)
+function redactFor(flowId, payload) {
+  const flowRules = flowId ? getRedactionRules(flowId, { baseDir: VALIDATORS_DIR }) || [] : [];
+  return redactPayload(payload, [...flowRules, ...globalRedaction], { salt: config.redaction.salt });
+}
+
+// Route, validate and store one decoded payload.
+// Validation sees the raw payload; only the redacted one is logged and stored (the raw one is
+// kept in memory for later validation, see rawPayloads).
+// Returns { status, body } for that item (status 409 when there is nowhere to route it).
+async function ingestPayload(req, payload, batch) {
+  // No headers needed; a bound routing key wins, otherwise we route to current pointers
+  const routingKey = extractRoutingKey(req, payload);
+  const pointer    = (routingKey && bindings[routingKey]) || current;
+  if (!pointer.sessionId || !pointer.flowId) console.log("Received event (not routed):", redactFor(null, payload).payload);
+  if (!pointer.sessionId) return { status: 409, body: { ok: false, error: "No active session. Start a session." } };
+  if (!pointer.flowId)    return { status: 409, body: { ok: false, error: "No active flow. Start a flow." } };
+
+  const sessionId = pointer.sessionId;
+  const flowId    = pointer.flowId;
+  getFlow(sessionId, flowId);
+
+  const { valid, record } = await storePayload(req, sessionId, flowId, payload, { routingKey, batch });
+  if (valid) return { status: 200, body: { ok: true,  messageId: record.messageId } };
+  return { status: 400, body: { ok: false, messageId: record.messageId, errors: record.formattedErrorList } };
+}
+
+// Validate and store one payload in a flow. `req` is the ingest request (or a captured one: see
+// importCapture); `timestamp` defaults to now. Returns { valid, record }.
+async function storePayload(req, sessionId, flowId, payload, { routingKey = null, batch = null, timestamp } = {}) {
+  const started = process.hrtime.bigint();
+  const result = await validatePayload(sessionId, flowId, payload, { headers: req.headers });
+  validationSeconds.observe({ flow: flowId }, Number(process.hrtime.bigint() - started) / 1e9);
+  const { payload: stored, redacted } = redactFor(flowId, payload);
+  const { valid, errorPaths, schema } = result;
+  const formattedErrorList = redactErrors(result.formattedErrorList, payload, { payload: stored, redacted });
+  console.log(`Received event${batch ? ` ${batch.index + 1} of batch ${batch.batchId}` : ""}:`, stored);
+
+  const record = {
+    messageId: randomUUID(),                              
+    timestamp: timestamp || new Date().toISOString(),
+    ValidationStatus: valid ? "Valid" : "Invalid",
+    formattedErrorList,
+    errorPaths,
+    schema,                                            // { file, version, selectors } it was validated against
+    routingKey: routingKey || null,
+    // request/response pairs mirrored by tee-proxy share one id
+    correlationId: req.get("x-correlation-id") || (typeof payload?.correlationId === "string" ? payload.correlationId : null),
+    ...(batch ? { batchId: batch.batchId, batchIndex: batch.index } : {}),
+    redacted,                                          // [{ path, action }] applied before storing
+    payload: stored
+  };
+  if (redacted.length) rawPayloads.set(record, payload);
+  store.addMessage(sessionId, flowId, record);
+  ingestedTotal.inc({ flow: flowId, status: valid ? "valid" : "invalid" });
+  if (!valid) {
+    notifier.emit("invalid", {
+      sessionId, flowId,
+      messageId: record.messageId,
+      timestamp: record.timestamp,
+      errors: formattedErrorList.join("\n"),
+      path: `/messages/${record.messageId}`
     });
-  
-    // Execute validations
-    let schemaErrors = [];
-    let customErrors = [];
-    let valid = true;
-    try {
-      const result = await validator.validate(payload, ctx);
-      valid         = result.valid;
-      schemaErrors  = result.schemaErrors || [];
-      customErrors  = result.customErrors || [];
-    } catch (err) {
-      if (err instanceof ValidationError) {
-        valid = false;
-        customErrors = [err.message];
-      } else {
-        console.error("Validator error", err);
-        valid = false;
-        customErrors = ["Internal validator error"];
+  }
+  return { valid, record };
+}
+
+async function ingest(req, res) {
+  const { items, batchId } = decodeIngest(req);
+  if (batchId) console.log(`Received batch ${batchId} of ${items.length}`);
+
+  // A single event keeps the original response shape
+  if (!batchId) {
+    const { status, body } = await ingestPayload(req, items[0], null);
+    return res.status(status).json(body);
+  }
+
+  // Batches: items are validated in order (so cross-event rules see earlier items); results per item
+  const results = [];
+  for (let index = 0; index < items.length; index++) {
+    const { body } = await ingestPayload(req, items[index], { batchId, index });
+    results.push({ index, ...body });
+  }
+  const ok = results.every(r => r.ok);
+  res.status(ok ? 200 : (results.every(r => !r.messageId) ? 409 : 400)).json({ ok, batchId, count: items.length, results });
+}
+
+app.post("/", express.raw({ type: () => true, limit: config.ingest.limit }), ingest);
+// Pixel beacons: GET /?event=…
+app.get("/", (req, res, next) => (Object.keys(req.query).length ? ingest(req, res) : next()));
+
+/* =====================================================
+   IMPORTS — validate a HAR / mitmproxy / JSONL capture offline (see lib/capture.js)
+   ===================================================== */
+
+// A captured request as the ingest decoders see it: its body, or the query of a body-less beacon.
+// null when it carries neither.
+function capturedRequest(r) {
+  let query = {};
+  try {
+    if (r.url) {
+      for (const [k, v] of new URL(r.url).searchParams) query[k] = k in query ? [].concat(query[k], v) : v;
+    }
+  } catch (e) {
+    query = {};
+  }
+  if (!r.body.length && !Object.keys(query).length) return null;
+  return {
+    method: r.body.length ? "POST" : "GET",
+    query,
+    body: r.body,
+    headers: r.headers,
+    ip: null,
+    get: (name) => r.headers[String(name).toLowerCase()]
+  };
+}
+
+// Import a capture into a new, ended session. Selected requests are decoded like POST / (batches,
+// NDJSON, form bodies, query beacons); each event gets a flow from the rules and is validated and
+// stored in capture order with the time it was captured. Flows and the session end afterwards
+// (verdicts, notifications). Returns a summary.
+async function importCapture(buf, options) {
+  const { format, requests } = parseCapture(buf, { format: options.format });
+  const plan = compileImport(options);
+  const selected = requests.filter(r => plan.selects(r));
+  const start = firstRequestTime(selected) ?? Date.now();
+
+  const sessionId = randomUUID();
+  store.createSession(sessionId, { import: { file: options.file || null, format } });
+  const summary = { ok: true, sessionId, format, requests: requests.length, selected: selected.length, events: 0, invalid: 0, unassigned: 0, skipped: [], flows: [] };
+  const flowIds = [];
+  try {
+    for (const r of selected) {
+      const req = capturedRequest(r);
+      let decoded;
+      try {
+        if (!req) throw new Error("no payload (empty body, no query)");
+        decoded = decodeIngest(req);
+      } catch (e) {
+        summary.skipped.push({ index: r.index, url: r.url, reason: e.message });
+        continue;
+      }
+      const { items, batchId } = decoded;
+      for (let index = 0; index < items.length; index++) {
+        const target = plan.assign(r, items[index], start);
+        if (!target) {
+          summary.unassigned += 1;
+          continue;
+        }
+        if (!flowIds.includes(target.flowId)) flowIds.push(target.flowId);
+        ensureFlow(sessionId, target.flowId, target.name);
+        const { valid } = await storePayload(req, sessionId, target.flowId, items[index], {
+          batch: batchId ? { batchId, index } : null,
+          timestamp: r.timestamp || undefined
+        });
+        summary.events += 1;
+        if (!valid) summary.invalid += 1;
       }
     }
-  
-    const formattedErrorList = valid
-      ? []
-      : [
-          ...formatErrorsAsSentences(schemaErrors),
-          ...customErrors.map((m, i) => `${i + 1 + schemaErrors.length}. ${m}`)
-        ];
-  
-    const record = {
-      messageId: randomUUID(),                              
-      timestamp: new Date().toISOString(),
-      ValidationStatus: valid ? "Valid" : "Invalid",
-      formattedErrorList,
-      payload                                            
+  } finally {
+    for (const flowId of flowIds) endFlow(sessionId, flowId);
+    endSession(sessionId);
+  }
+
+  for (const flowId of flowIds) {
+    const fl = getFlow(sessionId, flowId);
+    summary.flows.push({
+      flowId,
+      name: fl.name,
+      messages: fl.messages.length,
+      invalid: fl.messages.filter(m => m.ValidationStatus !== "Valid").length,
+      verdict: fl.verdict?.status || null
+    });
+  }
+  return summary;
+}
+
+// Body: the capture file. Query: format, file (name to record), include / exclude (repeatable
+// regexes on the URL), flows (JSON array of rules), defaultFlow
+app.post("/imports", express.raw({ type: () => true, limit: config.imports.limit }), async (req, res) => {
+  const q = req.query;
+  let flows;
+  try {
+    flows = q.flows ? JSON.parse(q.flows) : undefined;
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: `flows is not valid JSON: ${e.message}` });
+  }
+  const buf = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+  const summary = await importCapture(buf, {
+    format: q.format || undefined,
+    file: q.file || null,
+    include: q.include,
+    exclude: q.exclude,
+    flows,
+    defaultFlow: q.defaultFlow || undefined
+  });
+  res.json(summary);
+});
+
+/* =====================================================
+   RE-VALIDATION — run stored messages through the current schemas/plugins
+   ===================================================== */
+
+// Recent run reports, newest last (kept in memory; the per-message results are stored)
+const revalidationRuns = new Map();
+const MAX_RUNS = 20;
+
+// Re-run every message in scope in arrival order; each message only "sees" what came before it.
+// The new outcome is appended to message.revalidations; the original result is untouched.
+// Validate a stored message again: its payload as received when still in memory (error texts
+// redacted as at ingest), otherwise the redacted one without the errors at redacted paths
+async function revalidateMessage(sessionId, flowId, message) {
+  const redacted = message.redacted || [];
+  if (!redacted.length || rawPayloads.has(message)) {
+    const raw = rawPayloads.get(message) ?? message.payload;
+    const result = await validatePayload(sessionId, flowId, raw, { before: message });
+    return { ...result, formattedErrorList: redactErrors(result.formattedErrorList, raw, { payload: message.payload, redacted }) };
+  }
+  return skipRedactedErrors(await validatePayload(sessionId, flowId, message.payload, { before: message }), redacted);
+}
+
+async function revalidate(scope) {
+  const run = { runId: randomUUID(), at: new Date().toISOString(), scope };
+  const targets = [];
+  for (const [sid, s] of store.listSessions()) {
+    if (scope.sessionId && sid !== scope.sessionId) continue;
+    for (const [fid, fl] of Object.entries(s.flows || {})) {
+      if (scope.flowId && fid !== scope.flowId) continue;
+      fl.messages.forEach(m => targets.push({ sessionId: sid, flowId: fid, message: m }));
+    }
+  }
+  targets.sort((a, b) => (a.message.timestamp || "").localeCompare(b.message.timestamp || ""));
+
+  const entries = [];
+  for (const { sessionId, flowId, message } of targets) {
+    const { valid, formattedErrorList, errorPaths, schema, skipped } = await revalidateMessage(sessionId, flowId, message);
+    const after = {
+      runId: run.runId, at: run.at, ValidationStatus: valid ? "Valid" : "Invalid", formattedErrorList, errorPaths, schema,
+      ...(skipped ? { skippedRedacted: skipped } : {})
     };
-    f.messages.push(record)
-  
-    // Respond with messageId
-    if (valid) return res.json({ ok: true,  messageId: record.messageId });
-    return res.status(400).json({ ok: false, messageId: record.messageId, errors: formattedErrorList });
+    store.updateMessage(sessionId, flowId, message.messageId, { revalidations: [...(message.revalidations || []), after] });
+    entries.push({ sessionId, flowId, messageId: message.messageId, before: message, after });
+  }
+
+  const report = buildReport(run, entries);
+  revalidationRuns.set(run.runId, report);
+  if (revalidationRuns.size > MAX_RUNS) revalidationRuns.delete(revalidationRuns.keys().next().value);
+  return report;
+}
+
+app.post("/sessions/:sessionId/revalidate", async (req, res) => {
+  const { sessionId } = req.params;
+  getSession(sessionId);
+  res.json({ ok: true, ...(await revalidate({ sessionId })) });
+});
+
+app.post("/sessions/:sessionId/flows/:flowId/revalidate", async (req, res) => {
+  const { sessionId, flowId } = req.params;
+  getFlow(sessionId, flowId);
+  res.json({ ok: true, ...(await revalidate({ sessionId, flowId })) });
+});
+
+app.get("/revalidations", (req, res) => {
+  const runs = [...revalidationRuns.values()].reverse().map(({ changed, ...r }) => r);
+  res.json({ ok: true, runs });
+});
+
+app.get("/revalidations/:runId.json", (req, res) => {
+  const report = revalidationRuns.get(req.params.runId);
+  if (!report) return res.status(404).json({ ok: false, error: "Unknown run" });
+  res.json({ ok: true, ...report });
+});
+
+app.get("/revalidations/:runId", (req, res) => {
+  const report = revalidationRuns.get(req.params.runId);
+  if (!report) return res.status(404).send("Unknown run");
+  res.render("revalidation", { report });
+});
+
+/* =====================================================
+   COVERAGE — which schema fields/enums/branches the captured messages exercised
+   ===================================================== */
+
+// Pair each message with the schema(s) the current validators pick for it, with the context it had at ingest.
+// `filter` (optional, see lib/query.js) limits it to the messages an export keeps.
+async function flowCoverage(sessionId, flowId, filter) {
+  const fl = getFlow(sessionId, flowId);
+  const messages = filter ? fl.messages.filter(m => filter({ sessionId, flowId, ...m })) : fl.messages;
+  const validator = await getValidatorForFlow(flowId, { createAjv, baseDir: VALIDATORS_DIR, plugins: pluginLimits });
+  const entries = [];
+  let unmatched = 0;
+  for (const m of messages) {
+    const payload = rawPayloads.get(m) ?? m.payload;
+    let schemas = [];
+    try {
+      schemas = await validator.schemasFor(payload, buildContext(sessionId, flowId, { before: m }));
+    } catch (e) {
+      console.error("Coverage: schema selection failed", e);
+    }
+    if (!schemas.length) unmatched += 1;
+    schemas.forEach(({ file, schema, ajv, key }) => entries.push({ file, schema, ajv, key, payload }));
+  }
+  return { sessionId, flowId, messages: messages.length, unmatched, schemas: measureCoverage(entries, { createAjv }) };
+}
+
+// Coverage for every flow in scope, keyed "<sessionId>/<flowId>" (used by exports); with a
+// filter, flows without a matching message are left out as the report drops them
+async function coverageForScope({ sessionId, flowId } = {}, filter) {
+  const out = new Map();
+  for (const [sid, s] of store.listSessions()) {
+    if (sessionId && sid !== sessionId) continue;
+    for (const [fid, fl] of Object.entries(s.flows || {})) {
+      if (flowId && fid !== flowId) continue;
+      if (filter && !fl.messages.some(m => filter({ sessionId: sid, flowId: fid, ...m }))) continue;
+      out.set(`${sid}/${fid}`, await flowCoverage(sid, fid, filter));
+    }
+  }
+  return out;
+}
+
+async function sessionCoverage(sessionId) {
+  getSession(sessionId);
+  return { sessionId, flows: [...(await coverageForScope({ sessionId })).values()] };
+}
+
+app.get("/sessions/:sessionId/coverage.json", async (req, res) => {
+  res.json({ ok: true, ...(await sessionCoverage(req.params.sessionId)) });
+});
+
+app.get("/sessions/:sessionId/coverage", async (req, res) => {
+  const { sessionId } = req.params;
+  res.render("coverage", { ...(await sessionCoverage(sessionId)), jsonUrl: `/sessions/${sessionId}/coverage.json` });
+});
+
+app.get("/sessions/:sessionId/flows/:flowId/coverage.json", async (req, res) => {
+  res.json({ ok: true, ...(await flowCoverage(req.params.sessionId, req.params.flowId)) });
+});
+
+app.get("/sessions/:sessionId/flows/:flowId/coverage", async (req, res) => {
+  const { sessionId, flowId } = req.params;
+  res.render("coverage", {
+    sessionId,
+    flows: [await flowCoverage(sessionId, flowId)],
+    jsonUrl: `/sessions/${sessionId}/flows/${flowId}/coverage.json`
+  });
+});
+
+/* =====================================================
+   BASELINES — record a flow run, compare later runs with it
+   ===================================================== */
+
+function compareFlow(sessionId, flowId, name) {
+  const fl = getFlow(sessionId, flowId);
+  const picked = pickBaseline(flowId, name);
+  if (!picked) {
+    const e = new Error(`No baseline recorded for flow ${flowId} yet`);
+    e.status = 404;
+    throw e;
+  }
+  return { sessionId, flowId, ...compareRun(picked.baseline, fl.messages, picked.config, { evicted: fl.evicted || 0 }) };
+}
+
+// Promote a completed run: body { name, overwrite? }
+app.post("/sessions/:sessionId/flows/:flowId/baseline", requireFlowFilesToken, (req, res) => {
+  const { sessionId, flowId } = req.params;
+  const fl = getFlow(sessionId, flowId);
+  if (!fl.endedAt) return res.status(409).json({ ok: false, error: "End the flow before recording it as a baseline" });
+  if (fl.evicted) return res.status(409).json({ ok: false, error: `The ${fl.evicted} oldest message(s) of this flow were evicted (retention): it can't be recorded as a baseline` });
+  const { name, overwrite } = req.body || {};
+  if (!name) return res.status(400).json({ ok: false, error: "name is required" });
+  const baseline = baselines.save(flowId, name, {
+    source: { sessionId, flowId, name: fl.name || flowId },
+    messages: fl.messages
+  }, { overwrite: !!overwrite });
+  res.status(201).json({ ok: true, flowId, name: baseline.name, recordedAt: baseline.recordedAt, events: baseline.events.length });
+});
+
+app.get("/validators/flows/:flowId/baselines", (req, res) => {
+  const { flowId } = req.params;
+  const config = getBaselineConfig(flowId, { baseDir: VALIDATORS_DIR }) || DEFAULT_BASELINE_CONFIG;
+  const list = baselines.list(flowId);
+  res.json({
+    ok: true,
+    flowId,
+    active: config.active || list[0]?.name || null,
+    config: { key: config.keys, ignore: config.ignore, failOnDiff: config.failOnDiff },
+    baselines: list
   });
-  
+});
+
+app.get("/validators/flows/:flowId/baselines/:name", (req, res) => {
+  res.json(baselines.read(req.params.flowId, req.params.name));
+});
+
+app.delete("/validators/flows/:flowId/baselines/:name", requireFlowFilesToken, (req, res) => {
+  baselines.remove(req.params.flowId, req.params.name);
+  res.json({ ok: true });
+});
+
+app.get("/sessions/:sessionId/flows/:flowId/compare.json", (req, res) => {
+  const { sessionId, flowId } = req.params;
+  res.json({ ok: true, ...compareFlow(sessionId, flowId, req.query.baseline) });
+});
+
+app.get("/sessions/:sessionId/flows/:flowId/compare", (req, res) => {
+  const { sessionId, flowId } = req.params;
+  getFlow(sessionId, flowId);
+  const list = baselines.list(flowId);
+  const comparison = list.length ? compareFlow(sessionId, flowId, req.query.baseline) : null;
+  res.render("compare", { sessionId, flowId, comparison, baselines: list });
+});
+
+/* =====================================================
+   SCHEMA DRAFTS — infer a first schema from captured messages
+   ===================================================== */
+
+// Payloads of a flow across all sessions, or narrowed to one session / chosen messages, as
+// received when still in memory (types and formats of redacted fields), with their redacted paths
+function draftSamples(flowId, { sessionId, messageIds } = {}) {
+  const wanted = messageIds && messageIds.length ? new Set(messageIds) : null;
+  const samples = [];
+  const redacted = [];
+  for (const [sid, s] of store.listSessions()) {
+    if (sessionId && sid !== sessionId) continue;
+    const fl = s.flows?.[flowId];
+    if (!fl) continue;
+    fl.messages.forEach(m => {
+      if (wanted && !wanted.has(m.messageId)) return;
+      samples.push(rawPayloads.get(m) ?? m.payload ?? {});
+      redacted.push((m.redacted || []).map(r => r.path));
+    });
+  }
+  return { samples, redacted };
+}
+
+function draftFromQuery(req) {
+  const { flowId } = req.params;
+  assertFlowId(flowId);
+  const { sessionId } = req.query;
+  const messageIds = req.query.messageIds ? String(req.query.messageIds).split(",").filter(Boolean) : [];
+  const { samples, redacted } = draftSamples(flowId, { sessionId, messageIds });
+  const enumMax = req.query.enumMax != null ? parseInt(req.query.enumMax, 10) : undefined;
+  const schema = inferSchema(samples, { title: `${flowId} (draft)`, enumMax, redacted });
+  return { flowId, sessionId: sessionId || null, messageIds, samples: samples.length, schema };
+}
+
+app.get("/flows/:flowId/schema-draft.json", (req, res) => {
+  res.json({ ok: true, ...draftFromQuery(req) });
+});
+
+app.get("/flows/:flowId/schema-draft", (req, res) => {
+  const draft = draftFromQuery(req);
+  const flowDir = path.join(VALIDATORS_DIR, "flows", draft.flowId);
+  const existing = fs.existsSync(flowDir) ? fs.readdirSync(flowDir).filter(f => f.endsWith(".schema.json")) : [];
+  res.render("schema-draft", { draft, existing, schemaPretty: JSON.stringify(draft.schema, null, 2), writable: !!config.flowFiles.token });
+});
+
+/* =====================================================
+   FLOW MANAGEMENT — flow folders and their schemas, specs, rules and plugins
+   ===================================================== */
+
+// Flow files include plugin code the validator runs, so changing them over HTTP is off unless
+// flowFiles.token is set, and then needs "Authorization: Bearer <token>". Reads stay open.
+const sha256 = (text) => createHash("sha256").update(String(text)).digest();
+function requireFlowFilesToken(req, res, next) {
+  const token = config.flowFiles.token;
+  if (!token) {
+    return res.status(403).json({ ok: false, error: "Changing flow files over HTTP is disabled: set flowFiles.token (FLOW_FILES_TOKEN) to enable it" });
+  }
+  const given = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1] || "";
+  if (!timingSafeEqual(sha256(given), sha256(token))) {
+    return res.status(401).json({ ok: false, error: "Flow file changes need the flowFiles token (Authorization: Bearer <token>)" });
+  }
+  next();
+}
+
+// Save a (reviewed) schema into validators/flows/<flowId>/ (checked and versioned like any
+// upload, see FLOW MANAGEMENT); picked up by hot reload
+app.post("/flows/:flowId/schemas", requireFlowFilesToken, (req, res) => {
+  const { flowId } = req.params;
+  assertFlowId(flowId);
+  const { file, schema, overwrite } = req.body || {};
+  if (!/^[A-Za-z0-9_.-]+\.schema\.json$/.test(file || "")) {
+    return res.status(400).json({ ok: false, error: "file must be a name ending in .schema.json" });
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return res.status(400).json({ ok: false, error: "schema must be a JSON object" });
+  }
+  const saved = flowFiles.writeFile(flowId, file, JSON.stringify(schema, null, 2) + "\n", { overwrite: !!overwrite });
+  res.json({ ok: true, flowId, ...saved, path: path.relative(__dirname, path.join(VALIDATORS_DIR, "flows", flowId, file)) });
+});
+
+const FILE_TYPES = { ".json": "application/json", ".yaml": "text/yaml", ".yml": "text/yaml", ".js": "text/javascript" };
+const fileText = express.text({ type: () => true, limit: "1mb" });
+
+// Attach what the engine makes of each file plus its current load errors and warnings
+function withStatus(flow) {
+  const status = getValidatorStatus()[flow.flowId] || { loadedAt: null, errors: [], warnings: [] };
+  return {
+    ...flow,
+    files: flow.files.map(f => ({ ...f, kind: flowFileKind(f.file) })),
+    validator: status
+  };
+}
+
+app.get("/validators/flows", (req, res) => {
+  res.json({ ok: true, flows: flowFiles.listFlows().map(withStatus) });
+});
+
+app.post("/validators/flows", requireFlowFilesToken, (req, res) => {
+  const flow = flowFiles.createFlow(req.body?.flowId);
+  res.status(201).json({ ok: true, ...withStatus(flow) });
+});
+
+app.get("/validators/flows/:flowId", (req, res) => {
+  res.json({ ok: true, ...withStatus(flowFiles.getFlow(req.params.flowId)) });
+});
+
+app.delete("/validators/flows/:flowId", requireFlowFilesToken, (req, res) => {
+  flowFiles.deleteFlow(req.params.flowId);
+  res.json({ ok: true, flowId: req.params.flowId, deleted: true });
+});
+
+app.get("/validators/flows/:flowId/files/:file", (req, res) => {
+  const { flowId, file } = req.params;
+  const text = flowFiles.readFile(flowId, file);
+  res.type(FILE_TYPES[path.extname(file)] || "text/plain");
+  if (req.query.download !== undefined) res.attachment(file);
+  res.send(text);
+});
+
+// Upload/update: the raw body is the file. Checked before saving; ?overwrite=false refuses to replace.
+app.put("/validators/flows/:flowId/files/:file", requireFlowFilesToken, fileText, (req, res) => {
+  const { flowId, file } = req.params;
+  const text = typeof req.body === "string" ? req.body : "";
+  const saved = flowFiles.writeFile(flowId, file, text, { overwrite: req.query.overwrite !== "false" });
+  res.status(saved.created ? 201 : 200).json({ ok: true, flowId, ...saved });
+});
+
+app.delete("/validators/flows/:flowId/files/:file", requireFlowFilesToken, (req, res) => {
+  const { flowId, file } = req.params;
+  res.json({ ok: true, flowId, ...flowFiles.deleteFile(flowId, file), deleted: true });
+});
+
+app.get("/validators/flows/:flowId/files/:file/versions", (req, res) => {
+  const { flowId, file } = req.params;
+  res.json({ ok: true, flowId, file, versions: flowFiles.listVersions(flowId, file) });
+});
+
+app.get("/validators/flows/:flowId/files/:file/versions/:version", (req, res) => {
+  const { flowId, file, version } = req.params;
+  res.type(FILE_TYPES[path.extname(file)] || "text/plain").send(flowFiles.readVersion(flowId, file, version));
+});
+
+app.post("/validators/flows/:flowId/files/:file/versions/:version/rollback", requireFlowFilesToken, (req, res) => {
+  const { flowId, file, version } = req.params;
+  res.json({ ok: true, flowId, ...flowFiles.rollback(flowId, file, version) });
+});
+
+// Pages: flow list and the file editor (?file= opens an existing file; without it, a new one)
+app.get("/validators/html", (req, res) => {
+  res.render("flows", { flows: flowFiles.listFlows().map(withStatus), writable: !!config.flowFiles.token });
+});
+
+app.get("/validators/edit/:flowId", (req, res) => {
+  const { flowId } = req.params;
+  assertFlowId(flowId);
+  const file = req.query.file || "";
+  const text = file ? flowFiles.readFile(flowId, file) : "";
+  const versions = file ? flowFiles.listVersions(flowId, file) : [];
+  res.render("editor", { flowId, file, text, versions, writable: !!config.flowFiles.token });
+});
+
+/* =====================================================
+   NOTIFICATIONS — webhook rules (config) and the delivery log
+   ===================================================== */
+function notificationsModel() {
+  return {
+    rules: notifier.rules.map(r => ({ name: r.name, on: r.on, flowId: r.flowId, seconds: r.seconds, always: r.always, targets: r.urls.map(displayUrl) })),
+    deliveries: notifier.deliveries()
+  };
+}
+
+app.get("/notifications.json", (req, res) => {
+  res.json({ ok: true, ...notificationsModel() });
+});
+
+app.get("/notifications", (req, res) => {
+  res.render("notifications", notificationsModel());
+});
 
 /* =====================================================
    Global rollup & clearing (kept)
    ===================================================== */
 app.get("/state", (req, res) => {
   const records = [];
-  for (const [sid, s] of Object.entries(state.sessions)) {
+  for (const [sid, s] of store.listSessions()) {
     for (const [fid, f] of Object.entries(s.flows)) {
       for (const m of f.messages) {
         records.push({ sessionId: sid, flowId: fid, ...m });
@@ -366,10 +1234,13 @@ app.get("/state", (req, res) => {
   res.json({ count: records.length, current, records });
 });
 
+// Filtered, sorted, paged search over all messages (parameters: lib/query.js)
+app.get("/messages", (req, res) => {
+  res.json({ ok: true, ...searchMessages(store, parseMessageQuery(req.query)) });
+});
+
 app.delete("/state", (req, res) => {
-  state.sessions = {};
-  current.sessionId = null;                               // NEW (sticky)
-  current.flowId = null;                                  // NEW (sticky)
+  store.clear();                                          // also resets current (sticky)
   res.json({ ok: true, cleared: true });
 });
 
@@ -378,12 +1249,25 @@ app.delete("/state", (req, res) => {
    ===================================================== */
 
 // ---------- Dashboard model builders (use messages in the JSON) ----------
-function summarizeFlow(sessionId, flowId, fl, isCurrent) {
+// One dashboard row
+function messageRow(m) {
+  return {
+    messageId: m.messageId,
+    timestamp: m.timestamp,
+    ValidationStatus: m.ValidationStatus,
+    formattedErrorList: m.formattedErrorList || [],
+  };
+}
+
+// Flow header (counts, validator status, verdict) without its rows
+// `liveVerdict: false` leaves out the verdict of a running flow (its spec and baseline comparison
+// run over every message); a recorded verdict is always included.
+function flowSummary(sessionId, flowId, fl, isCurrent, validators = getValidatorStatus(), { liveVerdict = true } = {}) {
   const list = fl.messages || [];
   const validCount = list.filter(e => e.ValidationStatus === "Valid").length;
   const invalidCount = list.length - validCount;
 
-  return {
+  const summary = {
     flowId,
     name: fl.name || flowId,
     createdAt: fl.createdAt,
@@ -392,20 +1276,24 @@ function summarizeFlow(sessionId, flowId, fl, isCurrent) {
     messageCount: list.length,
     validCount,
     invalidCount,
+    validator: validators[flowId] || { loadedAt: null, errors: [], warnings: [] },
+  };
+  if (fl.verdict || liveVerdict) summary.verdict = fl.verdict || computeVerdict(flowId, fl);
+  return summary;
+}
+
+function summarizeFlow(sessionId, flowId, fl, isCurrent, validators = getValidatorStatus()) {
+  return {
+    ...flowSummary(sessionId, flowId, fl, isCurrent, validators),
     // What the dashboard renders as rows:
-    messages: list.map(m => ({
-      messageId: m.messageId,
-      timestamp: m.timestamp,
-      ValidationStatus: m.ValidationStatus,
-      formattedErrorList: m.formattedErrorList || [],
-    })),
+    messages: (fl.messages || []).map(messageRow),
   };
 }
 
-function summarizeSession(sessionId, s) {
+function summarizeSession(sessionId, s, validators = getValidatorStatus()) {
   const flows = s.flows || {};
   const flowObjs = Object.entries(flows).map(([fid, fl]) =>
-    summarizeFlow(sessionId, fid, fl, current.sessionId === sessionId && current.flowId === fid)
+    summarizeFlow(sessionId, fid, fl, isActiveFlow(sessionId, fid), validators)
   );
 
   const messageCount = flowObjs.reduce((n, f) => n + (f.messageCount || 0), 0);
@@ -416,7 +1304,10 @@ function summarizeSession(sessionId, s) {
     sessionId,
     createdAt: s.createdAt,
     endedAt: s.endedAt || null,
-    isCurrent: current.sessionId === sessionId,
+    key: s.key || null,
+    import: s.import || null,                         // { file, format } for sessions from POST /imports
+    isCurrent: isActiveSession(sessionId),
+    isSticky: current.sessionId === sessionId,
     flowCount: Object.keys(flows).length,
     messageCount,
     validCount,
@@ -427,7 +1318,8 @@ function summarizeSession(sessionId, s) {
 
 function buildDashboardModel() {
   const sessions = state.sessions || {};
-  const sessionObjs = Object.entries(sessions).map(([sid, s]) => summarizeSession(sid, s));
+  const validators = getValidatorStatus();
+  const sessionObjs = store.listSessions().map(([sid, s]) => summarizeSession(sid, s, validators));
 
   const totals = sessionObjs.reduce(
     (acc, ss) => {
@@ -442,44 +1334,169 @@ function buildDashboardModel() {
 
   return {
     current: { sessionId: current.sessionId || null, flowId: current.flowId || null },
+    bindings,
     totals,
+    validators,
     sessions: sessionObjs.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || "")),
   };
 }
 
-async function exportXlsx(res, filename, rows) {
-  const wb = new ExcelJS.Workbook();
-  const ws = wb.addWorksheet("Messages");
-  ws.columns = [
-    { header: "Message ID", key: "messageId", width: 40 },
-    { header: "Session ID", key: "sessionId", width: 38 },
-    { header: "Flow ID",    key: "flowId",    width: 24 },
-    { header: "Timestamp",  key: "timestamp", width: 24 },
-    { header: "Status",     key: "status",    width: 10 },
-    { header: "Errors",     key: "errors",    width: 60 },
-    { header: "Payload (JSON)", key: "payload", width: 80 },
-  ];
-  ws.addRows(rows);
-
-  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-  await wb.xlsx.write(res);
-  res.end();
+// ---------- Live updates (SSE) ----------
+// Map store ops to stream events. A new message carries what the dashboard needs
+// to add its row and refresh the flow header in place; the other events are
+// rarer and clients typically refetch /dashboard/data for them.
+function publishChange(op) {
+  if (!events.clientCount()) return; // nobody listening: don't build the events
+  const { sessionId, flowId } = op;
+  switch (op.op) {
+    case "message": {
+      const fl = store.getFlow(sessionId, flowId);
+      if (!fl) return;
+      events.publish("message.ingested", {
+        sessionId, flowId,
+        message: messageRow(op.message),
+        // without the live verdict: clients ask GET …/verdict for it when they show it
+        flow: flowSummary(sessionId, flowId, fl, isActiveFlow(sessionId, flowId), undefined, { liveVerdict: false })
+      });
+      return;
+    }
+    case "session":
+      events.publish("session.started", { sessionId, key: op.data.key || null });
+      return;
+    case "sessionUpdate":
+      events.publish(op.patch.endedAt ? "session.ended" : "session.updated", { sessionId, ...op.patch });
+      return;
+    case "sessionDelete":
+      events.publish("session.deleted", { sessionId });
+      return;
+    case "flow":
+      events.publish("flow.started", { sessionId, flowId, name: op.data.name });
+      return;
+    case "flowUpdate":
+      events.publish(op.patch.endedAt ? "flow.ended" : "flow.updated", { sessionId, flowId, ...op.patch });
+      return;
+    case "messageUpdate":
+      events.publish("message.updated", { sessionId, flowId, messageId: op.messageId });
+      return;
+    case "messageEvict":
+      events.publish("messages.evicted", { sessionId, flowId, count: op.count });
+      return;
+    case "current":
+    case "binding":
+      events.publish("pointers.changed", { current, bindings });
+      return;
+    case "clear":
+      events.publish("state.cleared", {});
+      return;
+    default:
+  }
 }
 
 // JSON detail
 app.get("/messages/:messageId.json", (req, res) => {
   const { message, sessionId, flowId } = findByMessageId(req.params.messageId);
   if (!message) return res.status(404).json({ error: "Not found" });
-  res.json({ sessionId, flowId, message });
+  res.json({ sessionId, flowId, message, correlated: findCorrelated(message) });
 });
 
-// HTML detail
+// HTML detail: the payload with the location of each error highlighted
 app.get("/messages/:messageId", (req, res) => {
   const { message, sessionId, flowId } = findByMessageId(req.params.messageId);
   if (!message) return res.status(404).send("Not found");
-  const payloadPretty = JSON.stringify(message.payload ?? {}, null, 2);
-  res.render("message", { message, sessionId, flowId, payloadPretty });
+  const payload = message.payload ?? {};
+  const errors = message.formattedErrorList || [];
+  // Missing properties point below an existing object: highlight that object
+  const errorTargets = errors.map((e, i) => (message.errorPaths?.[i] == null ? null : nearestPointer(payload, message.errorPaths[i])));
+  const marks = new Map((message.redacted || []).map(r => [r.path, { cls: "jv-redacted", title: `Redacted (${r.action})` }]));
+  errorTargets.forEach((ptr, i) => {
+    if (ptr == null) return;
+    const mark = marks.get(ptr) || { cls: "", title: "" };
+    if (!mark.cls.includes("jv-error")) mark.cls = `jv-error ${mark.cls}`.trim();
+    mark.title = mark.title ? `${mark.title}\n${errors[i]}` : errors[i];
+    marks.set(ptr, mark);
+  });
+  res.render("message", {
+    message, sessionId, flowId,
+    errorTargets,
+    payloadHtml: renderJsonHtml(payload, { marks }),
+    correlated: findCorrelated(message)
+  });
+});
+
+// ---------- Message diff ----------
+function findMessageOr404(messageId) {
+  const found = findByMessageId(messageId);
+  if (!found.message) {
+    const e = new Error(`Unknown messageId: ${messageId}`);
+    e.status = 404;
+    throw e;
+  }
+  return found;
+}
+
+// Event type of a message, by its flow's baseline.json key (see validators/baseline.js)
+function messageKey({ flowId, message }) {
+  const config = getBaselineConfig(flowId, { baseDir: VALIDATORS_DIR }) || DEFAULT_BASELINE_CONFIG;
+  return eventKey(message.payload, config.keys);
+}
+
+// The latest earlier message of the same session with the same event type
+function findPrevious(found) {
+  const key = messageKey(found);
+  const { timestamp } = found.message;
+  let best = null;
+  for (const [fid, fl] of Object.entries(getSession(found.sessionId).flows || {})) {
+    const self = fid === found.flowId ? fl.messages.indexOf(found.message) : -1;
+    fl.messages.forEach((m, i) => {
+      const earlier = m.timestamp < timestamp || (self >= 0 && i < self && m.timestamp === timestamp);
+      if (!earlier || (best && m.timestamp < best.message.timestamp)) return;
+      if (messageKey({ flowId: fid, message: m }) === key) best = { sessionId: found.sessionId, flowId: fid, message: m };
+    });
+  }
+  if (!best) {
+    const e = new Error(`No earlier '${key}' event in session ${found.sessionId}`);
+    e.status = 404;
+    throw e;
+  }
+  return best;
+}
+
+// How `messageId` differs from `otherId` ("previous": the previous event of its type)
+function messageDiff(messageId, otherId) {
+  const right = findMessageOr404(messageId);
+  const left = otherId === "previous" ? findPrevious(right) : findMessageOr404(otherId);
+  const side = (f) => ({
+    messageId: f.message.messageId,
+    sessionId: f.sessionId,
+    flowId: f.flowId,
+    timestamp: f.message.timestamp,
+    key: messageKey(f),
+    ValidationStatus: f.message.ValidationStatus
+  });
+  const diffs = diffPayloads(left.message.payload ?? {}, right.message.payload ?? {})
+    .map(d => ({ path: d.path, change: d.change, left: d.baseline, right: d.actual }));
+  return { left: side(left), right: side(right), identical: !diffs.length, diffs, payloads: [left.message.payload ?? {}, right.message.payload ?? {}] };
+}
+
+app.get("/messages/:messageId/diff/:otherId.json", (req, res) => {
+  const { payloads, ...diff } = messageDiff(req.params.messageId, req.params.otherId);
+  res.json({ ok: true, ...diff });
+});
+
+app.get("/messages/:messageId/diff/:otherId", (req, res) => {
+  const { payloads, ...diff } = messageDiff(req.params.messageId, req.params.otherId);
+  const marks = [new Map(), new Map()];
+  for (const d of diff.diffs) {
+    const ptr = d.path === "/" ? "" : d.path;
+    if (d.change !== "added") marks[0].set(ptr, { cls: `jv-${d.change}` });
+    if (d.change !== "removed") marks[1].set(ptr, { cls: `jv-${d.change}` });
+  }
+  res.render("message-diff", {
+    ...diff,
+    otherId: req.params.otherId,
+    leftHtml: renderJsonHtml(payloads[0], { marks: marks[0] }),
+    rightHtml: renderJsonHtml(payloads[1], { marks: marks[1] })
+  });
 });
 
 // Render initial HTML (no meta refresh anymore)
@@ -492,23 +1509,68 @@ app.get("/dashboard/data", (req, res) => {
   res.json(buildDashboardModel());
 });
 
-app.get("/export/all.xlsx", async (req, res) => {
-  const rows = collectMessages({});
-  await exportXlsx(res, "validation-all.xlsx", rows);
+// Live change stream (Server-Sent Events); see publishChange for event types
+app.get("/events", (req, res) => events.handler(req, res));
+
+/* ============================================================================
+   Report exports: xlsx | xml (JUnit) | html | json | csv
+   ========================================================================== */
+
+const REPORT_CSS = fs.readFileSync(path.join(__dirname, "public", "state.css"), "utf8");
+
+const REPORT_FORMATS = ["xlsx", "xml", "html", "json", "csv"];
+const COVERAGE_FORMATS = new Set(["xlsx", "json"]); // the only formats that show schema coverage
+
+// Coverage re-runs schema selection for every message, so only formats that show it pay for it
+async function reportModel(scope, filter, { coverage = false } = {}) {
+  return buildReportModel(store, scope, {
+    verdictFor: computeVerdict,
+    coverage: coverage ? await coverageForScope(scope, filter) : null,
+    filter
+  });
+}
+
+// Exports take the /messages filters (status, from/to/since, error, where, match, …) from the query string
+async function sendReport(req, res, basename, scope) {
+  const format = req.params.format;
+  if (!REPORT_FORMATS.includes(format)) {
+    const e = new Error(`Unknown export format "${format}" (use ${REPORT_FORMATS.join(", ")})`);
+    e.status = 400;
+    throw e;
+  }
+  const filter = messageFilter(parseMessageQuery(req.query));
+  const model = await reportModel(scope, filter, { coverage: COVERAGE_FORMATS.has(format) });
+  const filename = `${basename}.${format}`;
+  switch (format) {
+    case "xlsx":
+      res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").attachment(filename);
+      await writeXlsx(model, res);
+      return res.end();
+    case "xml":
+      return res.type("application/xml").attachment(filename).send(toJUnit(model));
+    case "csv":
+      return res.type("text/csv; charset=utf-8").attachment(filename).send(toCsv(model));
+    case "json":
+      return res.attachment(filename).json(model);
+    case "html":
+      return res.attachment(filename).render("report", { model, css: REPORT_CSS });
+  }
+}
+
+app.get("/export/all.:format", async (req, res) => {
+  await sendReport(req, res, "validation-all", {});
 });
 
-app.get("/sessions/:sessionId/export.xlsx", async (req, res) => {
+app.get("/sessions/:sessionId/export.:format", async (req, res) => {
   const { sessionId } = req.params;
-  if (!state.sessions?.[sessionId]) return res.status(404).send("Session not found");
-  const rows = collectMessages({ sessionId });
-  await exportXlsx(res, `validation-session-${sessionId}.xlsx`, rows);
+  if (!store.getSession(sessionId)) return res.status(404).send("Session not found");
+  await sendReport(req, res, `validation-session-${sessionId}`, { sessionId });
 });
 
-app.get("/sessions/:sessionId/flows/:flowId/export.xlsx", async (req, res) => {
+app.get("/sessions/:sessionId/flows/:flowId/export.:format", async (req, res) => {
   const { sessionId, flowId } = req.params;
-  if (!state.sessions?.[sessionId]?.flows?.[flowId]) return res.status(404).send("Flow not found");
-  const rows = collectMessages({ sessionId, flowId });
-  await exportXlsx(res, `validation-session-${sessionId}-flow-${flowId}.xlsx`, rows);
+  if (!store.getFlow(sessionId, flowId)) return res.status(404).send("Flow not found");
+  await sendReport(req, res, `validation-session-${sessionId}-flow-${flowId}`, { sessionId, flowId });
 });
 
 // Basic error handler
@@ -517,4 +1579,9 @@ app.use((err, req, res, next) => {
   res.status(status).json({ ok: false, error: err.message || "Server error" });
 });
 
-app.listen(8000, () => console.log("Listening on http://localhost:8000"));
+// `node validation_server.js` listens; require() (e.g. run-scenario.js --embedded) gets the app
+if (require.main === module) {
+  app.listen(config.port, () => console.log(`Listening on http://localhost:${config.port} (store: ${store.type})`));
+}
+
+module.exports = app;
@@ -0,0 +1,280 @@
+// validators/baseline.js
+// Golden baselines: compare a flow run with a recorded run of the same flow.
+//
+// validators/flows/<flowId>/baseline.json (optional)
+// {
+//   "active": "build_412",                  // baseline to compare with (default: the newest recording)
+//   "key": "/data/event_name",              // what identifies an event (path or list of paths)
+//   "ignore": [                             // volatile paths, not compared
+//     "/data/timestamp_unixtime_ms",
+//     "/data/*_id",                          // "*" inside a segment: any text
+//     "**/session_uuid"                      // "**": any number of segments
+//   ],
+//   "failOnDiff": true                      // differences fail the flow verdict
+// }
+// Recordings live in validators/flows/<flowId>/baselines/<name>.json (see lib/baselines.js).
+//
+// Events are aligned by key in order (longest common subsequence, in linear space): events only
+// in the run are "added", only in the baseline "removed", present in both but
+// out of sequence "moved"; aligned events are diffed field by field.
+const { getPath, toPointer, compilePathPattern } = require("../lib/paths");
+
+const DEFAULT_KEYS = ["/data/event_name", "/event_name", "/type", "/event_type", "/event", "/name"];
+
+function fail(msg) {
+  throw new Error(`Invalid baseline.json: ${msg}`);
+}
+
+function compileIgnore(pattern, where) {
+  if (typeof pattern !== "string" || !pattern) fail(`${where} must be a non-empty string`);
+  return compilePathPattern(pattern);
+}
+
+/**
+ * Check a parsed baseline.json and compile it. Throws (prefixed "Invalid
+ * baseline.json:") on the first problem.
+ */
+function compileBaselineConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail("must be a JSON object");
+  if (raw.active !== undefined && typeof raw.active !== "string") fail(`"active" must be a baseline name`);
+  const keys = raw.key === undefined ? DEFAULT_KEYS : [].concat(raw.key);
+  if (!keys.length || keys.some(k => typeof k !== "string" || !k)) fail(`"key" must be a path or a list of paths`);
+  if (raw.ignore !== undefined && !Array.isArray(raw.ignore)) fail(`"ignore" must be an array of paths`);
+  const ignore = raw.ignore || [];
+
+  return {
+    active: raw.active || null,
+    keys,
+    ignore,
+    ignored: ignore.map((p, i) => compileIgnore(p, `ignore[${i}]`)),
+    failOnDiff: raw.failOnDiff === true
+  };
+}
+
+// Defaults for flows without a baseline.json
+const DEFAULT_CONFIG = compileBaselineConfig({});
+
+function eventKey(payload, keys) {
+  for (const k of keys) {
+    const v = getPath(payload, k);
+    if (v != null && typeof v !== "object") return String(v);
+  }
+  return "(event)";
+}
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Field differences between two payloads (a = baseline, b = actual), skipping
+ * paths matched by `ignored`: [{ path, change: "changed" | "added" | "removed", baseline, actual }]
+ */
+function diffPayloads(a, b, ignored = [], segs = [], out = []) {
+  if (segs.length && ignored.some(test => test(segs))) return out;
+  const missing = (k, inA) => {
+    const at = [...segs, k];
+    if (ignored.some(test => test(at))) return;
+    if (inA) out.push({ path: toPointer(at), change: "removed", baseline: a[k] });
+    else out.push({ path: toPointer(at), change: "added", actual: b[k] });
+  };
+  if (isObj(a) && isObj(b)) {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (k in a && k in b) diffPayloads(a[k], b[k], ignored, [...segs, k], out);
+      else missing(k, k in a);
+    }
+    return out;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if (i < a.length && i < b.length) diffPayloads(a[i], b[i], ignored, [...segs, String(i)], out);
+      else missing(String(i), i < a.length);
+    }
+    return out;
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ path: toPointer(segs) || "/", change: "changed", baseline: a, actual: b });
+  return out;
+}
+
+// Beyond this many (baseline event, run event) pairs left to align once the equal start and end
+// are matched, runs aren't compared: the alignment is on the verdict path of every flow
+const MAX_ALIGN_PAIRS = 1000000;
+
+// How far two key sequences are equal from the start, and from the end:
+// { start, bEnd, rEnd } (bKeys[start, bEnd) and rKeys[start, rEnd) are left to align)
+function commonEnds(bKeys, rKeys) {
+  let start = 0;
+  let bEnd = bKeys.length;
+  let rEnd = rKeys.length;
+  while (start < bEnd && start < rEnd && bKeys[start] === rKeys[start]) start++;
+  while (bEnd > start && rEnd > start && bKeys[bEnd - 1] === rKeys[rEnd - 1]) {
+    bEnd--;
+    rEnd--;
+  }
+  return { start, bEnd, rEnd };
+}
+
+// Longest common subsequence lengths of b[b0, b1) with the first (or, fromEnd, the last) k keys of
+// r[r0, r1), for every k. Two rows at a time: linear space.
+function lcsLengths(b, b0, b1, r, r0, r1, fromEnd) {
+  const m = r1 - r0;
+  let prev = new Uint32Array(m + 1);
+  let cur = new Uint32Array(m + 1);
+  for (let x = 0; x < b1 - b0; x++) {
+    const key = fromEnd ? b[b1 - 1 - x] : b[b0 + x];
+    for (let k = 1; k <= m; k++) {
+      cur[k] = key === (fromEnd ? r[r1 - k] : r[r0 + k - 1]) ? prev[k - 1] + 1 : Math.max(prev[k], cur[k - 1]);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev;
+}
+
+// Hirschberg: split b in half, find where the alignment crosses r, align both halves
+function alignRange(b, b0, b1, r, r0, r1, ops) {
+  if (b1 - b0 <= 1 || r0 === r1) {
+    let hit = -1;
+    for (let j = r0; b1 > b0 && j < r1 && hit < 0; j++) if (r[j] === b[b0]) hit = j;
+    for (let j = r0; j < r1; j++) {
+      if (j === hit) ops.push({ op: "same", b: b0, r: j });
+      else ops.push({ op: "added", r: j });
+    }
+    if (hit < 0) for (let i = b0; i < b1; i++) ops.push({ op: "removed", b: i });
+    return;
+  }
+  const mid = (b0 + b1) >> 1;
+  const head = lcsLengths(b, b0, mid, r, r0, r1, false);
+  const tail = lcsLengths(b, mid, b1, r, r0, r1, true);
+  const m = r1 - r0;
+  let split = 0;
+  for (let k = 1; k <= m; k++) if (head[k] + tail[m - k] > head[split] + tail[m - split]) split = k;
+  alignRange(b, b0, mid, r, r0, r0 + split, ops);
+  alignRange(b, mid, b1, r, r0 + split, r1, ops);
+}
+
+// Align two key sequences: [{ op: "same", b, r } | { op: "removed", b } | { op: "added", r }] in order
+function align(bKeys, rKeys, { start, bEnd, rEnd } = commonEnds(bKeys, rKeys)) {
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: "same", b: i, r: i });
+  alignRange(bKeys, start, bEnd, rKeys, start, rEnd, ops);
+  for (let i = bEnd, j = rEnd; i < bKeys.length; i++, j++) ops.push({ op: "same", b: i, r: j });
+  return ops;
+}
+
+const show = (v) => {
+  const s = v === undefined ? "(none)" : JSON.stringify(v);
+  return s.length > 60 ? `${s.slice(0, 57)}…` : s;
+};
+
+/**
+ * Compare a run's messages with a recorded baseline ({ name, events: [{ payload }] }).
+ * status: "Same" | "Different" | "TooLarge" (too many events differ to align them: no events, one problem)
+ * `evicted`: how many of the run's oldest messages retention removed. Baseline events missing
+ * before the first event the run still has may have been among them: up to that many are
+ * counted as `evicted` instead of `removed`.
+ */
+function compareRun(baseline, messages, config = DEFAULT_CONFIG, { evicted = 0 } = {}) {
+  const bEvents = baseline.events || [];
+  const run = messages || [];
+  const bKeys = bEvents.map(e => eventKey(e.payload, config.keys));
+  const rKeys = run.map(m => eventKey(m.payload, config.keys));
+  const counts = { baseline: bEvents.length, run: run.length, unchanged: 0, changed: 0, added: 0, removed: 0, moved: 0, evicted: 0 };
+  const result = (status, events, problems) => ({
+    baseline: baseline.name,
+    recordedAt: baseline.recordedAt || null,
+    comparedAt: new Date().toISOString(),
+    status,
+    ignore: config.ignore,
+    counts,
+    events,
+    problems
+  });
+
+  const ends = commonEnds(bKeys, rKeys);
+  const differing = [ends.bEnd - ends.start, ends.rEnd - ends.start];
+  if (differing[0] * differing[1] > MAX_ALIGN_PAIRS) {
+    return result("TooLarge", [], [`Too large to compare: ${differing[0]} baseline and ${differing[1]} run events differ between the common start and end (at most ${MAX_ALIGN_PAIRS} pairs are aligned).`]);
+  }
+  const ops = align(bKeys, rKeys, ends);
+
+  // An event removed at one place and added at another is a move
+  const removedByKey = new Map(); // key -> removed ops not paired yet, in order
+  for (const o of ops) {
+    if (o.op !== "removed") continue;
+    if (!removedByKey.has(bKeys[o.b])) removedByKey.set(bKeys[o.b], []);
+    removedByKey.get(bKeys[o.b]).push(o);
+  }
+  for (const add of ops) {
+    if (add.op !== "added") continue;
+    const rem = removedByKey.get(rKeys[add.r])?.shift();
+    if (!rem) continue;
+    rem.paired = true;
+    Object.assign(add, { op: "moved", b: rem.b });
+  }
+
+  let firstKept = bEvents.length;
+  for (const o of ops) if (o.op !== "removed" && o.b !== undefined) firstKept = Math.min(firstKept, o.b);
+  let unknown = evicted;
+  for (const o of ops) {
+    if (unknown > 0 && o.op === "removed" && !o.paired && o.b < firstKept) {
+      o.op = "evicted";
+      unknown -= 1;
+    }
+  }
+
+  const events = [];
+  for (const o of ops) {
+    if (o.paired) continue;
+    if (o.op === "evicted") {
+      counts.evicted += 1;
+      continue;
+    }
+    const ev = {
+      kind: o.op,
+      key: o.r !== undefined ? rKeys[o.r] : bKeys[o.b],
+      baselineIndex: o.b ?? null,
+      runIndex: o.r ?? null,
+      messageId: o.r !== undefined ? run[o.r].messageId : null,
+      diffs: o.b !== undefined && o.r !== undefined ? diffPayloads(bEvents[o.b].payload, run[o.r].payload, config.ignored) : []
+    };
+    if (ev.kind === "same") ev.kind = ev.diffs.length ? "changed" : "unchanged";
+    counts[ev.kind] += 1;
+    events.push(ev);
+  }
+
+  const problems = [];
+  for (const ev of events) {
+    const at = ev.messageId ? ` (${ev.messageId})` : "";
+    if (ev.kind === "added") problems.push(`Event '${ev.key}' is not in the baseline${at}.`);
+    if (ev.kind === "removed") problems.push(`Baseline event '${ev.key}' (#${ev.baselineIndex + 1}) is missing.`);
+    if (ev.kind === "moved") problems.push(`Event '${ev.key}' moved from #${ev.baselineIndex + 1} to #${ev.runIndex + 1}${at}.`);
+    for (const d of ev.diffs) {
+      problems.push(`Event '${ev.key}'${at}: ${d.path} ${d.change === "changed" ? `changed from ${show(d.baseline)} to ${show(d.actual)}` : d.change === "added" ? `added (${show(d.actual)})` : `removed (was ${show(d.baseline)})`}.`);
+    }
+  }
+
+  return result(counts.changed + counts.added + counts.removed + counts.moved ? "Different" : "Same", events, problems);
+}
+
+/**
+ * Fold a comparison into a flow verdict (spec verdict or null). Differences
+ * fail the flow; while it runs, baseline events not seen yet only make it Incomplete, as does a
+ * comparison that was too large to make.
+ */
+function applyBaseline(verdict, comparison, { ended = false } = {}) {
+  const base = verdict || {
+    status: "Passed", evaluatedAt: new Date().toISOString(), counts: {},
+    missing: [], unexpected: [], outOfOrder: [], forbidden: [], tooMany: [], problems: []
+  };
+  const c = comparison.counts;
+  let status = base.status;
+  if (c.changed + c.added + c.moved > 0 || (ended && c.removed > 0)) status = "Failed";
+  else if ((c.removed > 0 || comparison.status === "TooLarge") && status === "Passed") status = "Incomplete";
+
+  return {
+    ...base,
+    status,
+    problems: [...base.problems, ...comparison.problems.map(p => `Baseline '${comparison.baseline}': ${p}`)],
+    baseline: { name: comparison.baseline, status: comparison.status, counts: c }
+  };
+}
+
+module.exports = { compileBaselineConfig, compareRun, applyBaseline, eventKey, diffPayloads, DEFAULT_CONFIG };
@@ -11,7 +11,7 @@ module.exports = {
     validate(payload, ctx) {
     const errs = [];
     // Example cross-event rule: payment must come after an order in the same flow
-    if (payload?.data.event_name === "Accounts > Login") {
+    if (payload?.data?.event_name === "Accounts > Login") {
         const haveOrder = ctx.findEvents({
             flowId: ctx.flowId,
             where: (e) => e.payload?.beaconId == 321
@@ -1,47 +1,326 @@
 // validators/index.js
 const fs = require("fs");
 const path = require("path");
+const vm = require("vm");
+const yaml = require("js-yaml");
+const { compileSpec, evaluateFlow } = require("./sequence");
+const { compileRules, runRules } = require("./rules");
+const { compileBaselineConfig, compareRun, applyBaseline, eventKey, diffPayloads, DEFAULT_CONFIG: DEFAULT_BASELINE_CONFIG } = require("./baseline");
+const { compileManifest, readSelectors, matchManifest } = require("./manifest");
+const { linkSchemas, registerSchemas } = require("./registry");
+const { BUILTIN: BUILTIN_KEYWORDS, checkPlugin, applyPlugins } = require("./keywords");
+const { createSandbox, PluginError } = require("./sandbox");
+const { compileRedaction } = require("../lib/redact");
 
 class ValidationError extends Error {}
 exports.ValidationError = ValidationError;
+exports.evaluateFlow = evaluateFlow;
+exports.compareRun = compareRun;
+exports.applyBaseline = applyBaseline;
+exports.eventKey = eventKey;
+exports.diffPayloads = diffPayloads;
+exports.DEFAULT_BASELINE_CONFIG = DEFAULT_BASELINE_CONFIG;
 
-const CACHE = new Map(); // key: abs schema path -> compiled ajv function
+const REGISTRIES = new Map(); // key: abs flow dir -> linked schemas (common + flow) in one AJV instance
+const MODULES = new Map(); // key: abs flow dir -> Promise of the flow plugin ({ selectSchema, validate } or { loadError })
+const SANDBOXES = new Map(); // key: abs flow dir -> worker the flow plugin runs in
+const STATUS = new Map();  // key: flowId -> { loadedAt, errors: { [file]: message }, warnings: { [file]: [message] } }
+const SPECS = new Map();   // key: abs flow dir -> compiled flow spec | null
+const RULES = new Map();   // key: abs flow dir -> { rules, loadError }
+const BASELINES = new Map(); // key: abs flow dir -> compiled baseline.json | null
+const REDACTIONS = new Map(); // key: abs flow dir -> compiled redact.json rules | null
+const MANIFESTS = new Map(); // key: abs flow dir -> { manifest, loadError }
+const SCHEMA_PLUGINS = new Map(); // key: abs keywords.js path -> { plugin, error }
+
+const SPEC_FILE = "flow.spec.json";
+const RULE_FILES = ["rules.json", "rules.yaml", "rules.yml"];
+const PLUGIN_FILES = ["index.js", "custom.js"];
+const BASELINE_FILE = "baseline.json";
+const REDACT_FILE = "redact.json";
+const MANIFEST_FILE = "manifest.json";
+const KEYWORDS_FILE = "keywords.js";
+
+// Files in a flow folder that are not schemas -> the cache to drop when they change
+const FLOW_FILES = new Map([
+  [SPEC_FILE, SPECS],
+  [BASELINE_FILE, BASELINES],
+  [REDACT_FILE, REDACTIONS],
+  [MANIFEST_FILE, MANIFESTS],
+  ...RULE_FILES.map(f => [f, RULES])
+]);
+
+function flowStatus(flowId) {
+  if (!STATUS.has(flowId)) STATUS.set(flowId, { loadedAt: null, errors: {}, warnings: {} });
+  return STATUS.get(flowId);
+}
+function markLoaded(flowId) {
+  flowStatus(flowId).loadedAt = new Date().toISOString();
+}
+function setLoadError(flowId, file, err) {
+  const st = flowStatus(flowId);
+  if (err) st.errors[file] = err.message || String(err);
+  else delete st.errors[file];
+}
 
 function listSchemaFiles(dir) {
   if (!fs.existsSync(dir)) return [];
   return fs.readdirSync(dir)
-    .filter(f => f.endsWith(".json"))
+    .filter(f => f.endsWith(".json") && !FLOW_FILES.has(f))
     .map(f => path.join(dir, f));
 }
 
-function compileSchema(ajv, schemaPath) {
-  if (CACHE.has(schemaPath)) return CACHE.get(schemaPath);
-  const schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
-  const validate = ajv.compile(schema);
-  CACHE.set(schemaPath, validate);
-  return validate;
+// How a schema file is named in load errors: "x.schema.json" or "@common/x.schema.json"
+function schemaLabel(schemaPath, commonDir) {
+  const name = path.basename(schemaPath);
+  return path.dirname(schemaPath) === commonDir ? `@common/${name}` : name;
+}
+
+// The schemas a flow can see (common first), as registry input; `override` swaps in uploaded text
+function schemaFiles(flowDir, commonDir, override = null) {
+  const files = listSchemaFiles(commonDir).concat(listSchemaFiles(flowDir))
+    .map(p => ({ path: p, label: schemaLabel(p, commonDir) }));
+  if (override) {
+    const f = files.find(x => x.path === override.path);
+    if (f) f.text = override.text;
+    else files.push({ ...override, label: schemaLabel(override.path, commonDir) });
+  }
+  return files;
+}
+
+// A keywords.js schema plugin; { plugin: null } when there is none, { error } when it doesn't load
+function loadSchemaPlugin(file, label) {
+  if (SCHEMA_PLUGINS.has(file)) return SCHEMA_PLUGINS.get(file);
+  let entry = { plugin: null, error: null };
+  if (fs.existsSync(file)) {
+    try {
+      // eslint-disable-next-line import/no-dynamic-require, global-require
+      entry = { plugin: checkPlugin(require(file), label), error: null };
+    } catch (e) {
+      delete require.cache[file];
+      entry = { plugin: null, error: e };
+    }
+  }
+  SCHEMA_PLUGINS.set(file, entry);
+  return entry;
 }
 
-function tryValidate(ajv, payload, schemaPaths) {
+// Drop every module under `dir` from the require cache: a plugin's helpers reload with it
+function clearRequireCache(dir) {
+  const prefix = dir + path.sep;
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(prefix)) delete require.cache[key];
+  }
+}
+
+function invalidateSchemaPlugin(file) {
+  clearRequireCache(path.dirname(file));
+  return SCHEMA_PLUGINS.delete(file);
+}
+
+// An AJV instance with the built-in, common and (unless flowDir is null) flow schema plugins.
+// Returns { ajv, messages, modifying, errors: { [file]: Error | null } }
+function pluginAjv(flowDir, commonDir, createAjv) {
+  const ajv = createAjv();
+  const out = { ajv, messages: {}, modifying: false, errors: {} };
+  const sources = [
+    { label: null, plugin: BUILTIN_KEYWORDS },
+    { label: `@common/${KEYWORDS_FILE}`, ...loadSchemaPlugin(path.join(path.dirname(commonDir), KEYWORDS_FILE), `@common/${KEYWORDS_FILE}`) },
+    flowDir && { label: KEYWORDS_FILE, ...loadSchemaPlugin(path.join(flowDir, KEYWORDS_FILE), KEYWORDS_FILE) }
+  ].filter(Boolean);
+  for (const { label, plugin, error } of sources) {
+    if (label) out.errors[label] = error || null;
+    if (!plugin) continue;
+    try {
+      const applied = applyPlugins(ajv, [plugin]);
+      Object.assign(out.messages, applied.messages);
+      out.modifying = out.modifying || applied.modifying;
+    } catch (e) {
+      out.errors[label] = new Error(`${label}: ${e.message}`);
+    }
+  }
+  return out;
+}
+
+// Link and compile every schema the flow can see; each file's problem (bad JSON, $id
+// collision, missing $ref, compile error) is recorded against the flow as it loads, and
+// keywords/formats nothing implements as warnings.
+function loadRegistry(flowId, flowDir, commonDir, createAjv) {
+  if (REGISTRIES.has(flowDir)) return REGISTRIES.get(flowDir);
+  const { ajv, messages, modifying, errors } = pluginAjv(flowDir, commonDir, createAjv);
+  const registry = registerSchemas(ajv, linkSchemas(schemaFiles(flowDir, commonDir)));
+  Object.assign(registry, { messages, modifying });
+  for (const [label, err] of Object.entries(errors)) setLoadError(flowId, label, err);
+  const st = flowStatus(flowId);
+  st.warnings = {};
+  for (const entry of registry.entries) {
+    setLoadError(flowId, entry.label, entry.error && new Error(`Schema ${entry.label} ${entry.error}`));
+    if (entry.warnings?.length) st.warnings[entry.label] = entry.warnings;
+  }
+  markLoaded(flowId);
+  REGISTRIES.set(flowDir, registry);
+  return registry;
+}
+
+// A schema selectSchema() picked by absolute path outside the schema folders: compiled on
+// its own, with the flow's registry available for $ref by $id
+function outsideSchema(registry, schemaPath) {
+  const entry = { path: schemaPath, label: schemaPath, schema: null, validate: null, error: null };
+  try {
+    entry.schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+    entry.validate = registry.ajv.compile(entry.schema);
+  } catch (e) {
+    entry.error = e.code === "ENOENT" ? "does not exist" : e.message;
+  }
+  registry.byPath.set(schemaPath, entry);
+  return entry;
+}
+
+// Compile failures are recorded against the flow and reported on the message,
+// so one broken file doesn't turn every ingest into an internal error.
+function tryValidate(registry, payload, schemaPaths, commonDir) {
   const results = [];
   for (const sp of schemaPaths) {
-    const validate = compileSchema(ajv, sp);
-    const ok = validate(payload);
-    results.push({ schemaPath: sp, ok, errors: ok ? [] : (validate.errors || []) });
+    const file = schemaLabel(sp, commonDir);
+    const entry = registry.byPath.get(sp) || outsideSchema(registry, sp);
+    if (entry.error) {
+      results.push({ schemaPath: sp, ok: false, errors: [], loadError: `Schema ${file} failed to load: ${entry.error}` });
+      continue;
+    }
+    // Keywords like "transform" change the data they check: give them a copy
+    const ok = entry.validate(registry.modifying ? structuredClone(payload) : payload);
+    results.push({ schemaPath: sp, ok, errors: ok ? [] : (entry.validate.errors || []) });
   }
   return results;
 }
 
-async function loadFlowModule(flowDir) {
-  const candidates = ["index.js", "custom.js"].map(f => path.join(flowDir, f));
-  for (const p of candidates) {
-    if (fs.existsSync(p)) {
-      // eslint-disable-next-line import/no-dynamic-require, global-require
-      const mod = require(p);
-      return mod && typeof mod === "object" ? mod : {};
+// The flow plugin, run in its sandbox: { selectSchema?, validate? } calling into the worker, or { loadError }.
+// Cached as a promise, so concurrent requests share one worker.
+function loadFlowModule(flowId, flowDir, limits) {
+  if (MODULES.has(flowDir)) return MODULES.get(flowDir);
+  const file = PLUGIN_FILES.map(f => path.join(flowDir, f)).find(p => fs.existsSync(p));
+  const load = async () => {
+    const mod = {};
+    if (file) {
+      const sandbox = createSandbox(file, limits);
+      SANDBOXES.set(flowDir, sandbox);
+      const { exports: fns, loadError } = await sandbox.ready();
+      setLoadError(flowId, path.basename(file), loadError);
+      if (loadError) mod.loadError = loadError;
+      for (const fn of fns) {
+        mod[fn] = async (payload, ctx) => {
+          try {
+            return await sandbox.call(fn, payload, ctx?.snapshot ? ctx.snapshot() : { sessionId: ctx?.sessionId, flowId });
+          } catch (e) {
+            throw e instanceof PluginError ? new ValidationError(e.message) : e;
+          }
+        };
+      }
     }
+    markLoaded(flowId);
+    return mod;
+  };
+  const loading = load();
+  MODULES.set(flowDir, loading);
+  return loading;
+}
+
+function loadFlowSpec(flowId, flowDir) {
+  if (SPECS.has(flowDir)) return SPECS.get(flowDir);
+  const file = path.join(flowDir, SPEC_FILE);
+  let spec = null;
+  if (fs.existsSync(file)) {
+    try {
+      spec = compileSpec(JSON.parse(fs.readFileSync(file, "utf8")));
+      setLoadError(flowId, SPEC_FILE, null);
+    } catch (e) {
+      setLoadError(flowId, SPEC_FILE, e);
+    }
+    markLoaded(flowId);
+  }
+  SPECS.set(flowDir, spec);
+  return spec;
+}
+
+function loadBaselineConfig(flowId, flowDir) {
+  if (BASELINES.has(flowDir)) return BASELINES.get(flowDir);
+  const file = path.join(flowDir, BASELINE_FILE);
+  let config = null;
+  if (fs.existsSync(file)) {
+    try {
+      config = compileBaselineConfig(JSON.parse(fs.readFileSync(file, "utf8")));
+      setLoadError(flowId, BASELINE_FILE, null);
+    } catch (e) {
+      setLoadError(flowId, BASELINE_FILE, e);
+    }
+    markLoaded(flowId);
+  }
+  BASELINES.set(flowDir, config);
+  return config;
+}
+
+// Schema manifest (app version / platform / contract -> schema); a broken file is reported on every message
+function loadManifest(flowId, flowDir) {
+  if (MANIFESTS.has(flowDir)) return MANIFESTS.get(flowDir);
+  const file = path.join(flowDir, MANIFEST_FILE);
+  let entry = { manifest: null, loadError: null };
+  if (fs.existsSync(file)) {
+    try {
+      entry = { manifest: compileManifest(JSON.parse(fs.readFileSync(file, "utf8"))), loadError: null };
+      setLoadError(flowId, MANIFEST_FILE, null);
+    } catch (e) {
+      setLoadError(flowId, MANIFEST_FILE, e);
+      entry = { manifest: null, loadError: `Manifest ${MANIFEST_FILE} failed to load: ${e.message}` };
+    }
+    markLoaded(flowId);
+  }
+  MANIFESTS.set(flowDir, entry);
+  return entry;
+}
+
+// Per-flow redaction rules (applied before the global ones)
+function loadRedaction(flowId, flowDir) {
+  if (REDACTIONS.has(flowDir)) return REDACTIONS.get(flowDir);
+  const file = path.join(flowDir, REDACT_FILE);
+  let rules = null;
+  if (fs.existsSync(file)) {
+    try {
+      rules = compileRedaction(JSON.parse(fs.readFileSync(file, "utf8")), REDACT_FILE);
+      setLoadError(flowId, REDACT_FILE, null);
+    } catch (e) {
+      setLoadError(flowId, REDACT_FILE, e);
+    }
+    markLoaded(flowId);
+  }
+  REDACTIONS.set(flowDir, rules);
+  return rules;
+}
+
+// Declarative cross-event rules; a broken file is reported on every message of the flow
+function loadFlowRules(flowId, flowDir) {
+  if (RULES.has(flowDir)) return RULES.get(flowDir);
+  const file = RULE_FILES.find(f => fs.existsSync(path.join(flowDir, f)));
+  let entry = { rules: [], loadError: null };
+  if (file) {
+    try {
+      const text = fs.readFileSync(path.join(flowDir, file), "utf8");
+      const raw = file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+      entry = { rules: compileRules(raw), loadError: null };
+      setLoadError(flowId, file, null);
+    } catch (e) {
+      setLoadError(flowId, file, e);
+      entry = { rules: [], loadError: `Rules file ${file} failed to load: ${e.message}` };
+    }
+    markLoaded(flowId);
   }
-  return {};
+  RULES.set(flowDir, entry);
+  return entry;
+}
+
+function invalidateModule(flowDir) {
+  SANDBOXES.get(flowDir)?.close();
+  SANDBOXES.delete(flowDir);
+  clearRequireCache(flowDir);
+  return MODULES.delete(flowDir);
 }
 
 // Resolve a reference returned by selectSchema:
@@ -61,7 +340,11 @@ function resolveRefToPath(ref, flowDir, commonDir) {
   return null;
 }
 
-async function resolveSchemaPaths(flowDir, commonDir, payload, ctx, mod) {
+// Schemas to try for a payload: { paths, versions: Map(path -> manifest version), selectors }
+// (`selectors` are the manifest selector values, null when the flow has no manifest)
+async function resolveSchemaPaths(flowDir, commonDir, payload, ctx, mod, manifestEntry) {
+  const only = (paths) => ({ paths, versions: new Map(), selectors: null });
+
   // 1) Flow module pick
   if (mod && typeof mod.selectSchema === "function") {
     const chosen = await Promise.resolve(mod.selectSchema(payload, ctx));
@@ -70,80 +353,456 @@ async function resolveSchemaPaths(flowDir, commonDir, payload, ctx, mod) {
       const paths = arr
         .map(r => resolveRefToPath(r, flowDir, commonDir))
         .filter(Boolean);
-      if (paths.length > 0) return paths;
+      if (paths.length > 0) return only(paths);
+    }
+  }
+
+  // 2) Manifest: the schemas declared for this event's app version / platform / contract
+  if (manifestEntry?.loadError) throw new ValidationError(manifestEntry.loadError);
+  const manifest = manifestEntry?.manifest;
+  if (manifest) {
+    const selectors = readSelectors(manifest, payload, ctx?.headers, ctx?.schemaSelectors);
+    const matched = matchManifest(manifest, selectors);
+    if (matched.length || !manifest.fallback) {
+      if (!matched.length) {
+        const described = Object.entries(selectors).map(([k, v]) => `${k} ${v ?? "(none)"}`).join(", ");
+        const e = new ValidationError(`No schema in ${MANIFEST_FILE} applies to ${described}`);
+        e.selectors = selectors; // still recorded, so re-validation sees the same values
+        throw e;
+      }
+      const versions = new Map();
+      for (const e of matched) {
+        const p = resolveRefToPath(e.file, flowDir, commonDir);
+        if (!p) throw new ValidationError(`${MANIFEST_FILE}: schema ${e.file} not found`);
+        if (!versions.has(p)) versions.set(p, e.version);
+      }
+      return { paths: [...versions.keys()], versions, selectors };
     }
   }
 
-  // 2) Heuristic: payload.type
+  // 3) Heuristic: payload.type
   if (payload && payload.type) {
     const name = `${payload.type}.schema.json`;
     const f = path.join(flowDir, name);
-    if (fs.existsSync(f)) return [f];
+    if (fs.existsSync(f)) return only([f]);
     const c = path.join(commonDir, name);
-    if (fs.existsSync(c)) return [c];
+    if (fs.existsSync(c)) return only([c]);
   }
 
-  // 3) One-file shortcut
+  // 4) One-file shortcut
   const flowFiles = listSchemaFiles(flowDir);
-  if (flowFiles.length === 1) return [flowFiles[0]];
+  if (flowFiles.length === 1) return only([flowFiles[0]]);
 
   const commonFiles = listSchemaFiles(commonDir);
-  if (flowFiles.length === 0 && commonFiles.length === 1) return [commonFiles[0]];
+  if (flowFiles.length === 0 && commonFiles.length === 1) return only([commonFiles[0]]);
 
-  // 4) Try all in flow, else all in common
-  if (flowFiles.length > 0) return flowFiles;
-  if (commonFiles.length > 0) return commonFiles;
+  // 5) Try all in flow, else all in common
+  if (flowFiles.length > 0) return only(flowFiles);
+  if (commonFiles.length > 0) return only(commonFiles);
 
-  // 5) Nothing to use → signal “no schema found”
+  // 6) Nothing to use → signal “no schema found”
   throw new ValidationError("No schema found in flow or common schema directories");
 }
 
+// The schema a payload is held against: the first that accepts it, else the closest one
+function pickResult(results) {
+  const compiled = results.filter(r => !r.loadError);
+  return compiled.find(r => r.ok) || [...compiled].sort((a, b) => a.errors.length - b.errors.length)[0] || null;
+}
+
 exports.getValidatorForFlow = async function getValidatorForFlow(flowId, opts) {
-  const { ajv, baseDir } = opts;
+  const { createAjv, baseDir, plugins } = opts;
   const flowsBase = path.join(baseDir, "flows");
   const commonBase = path.join(baseDir, "common", "schemas");
 
   const flowDir = path.join(flowsBase, flowId);
-  const mod = await loadFlowModule(flowDir);
+  const mod = await loadFlowModule(flowId, flowDir, plugins);
 
   return {
     /**
      * Validate payload with schema(s) + optional custom validator
-     * Returns { valid, schemaErrors[], customErrors[] }
+     * Returns { valid, schemaErrors[], customErrors[], schema }
+     * schema: { file, version, selectors } the payload was held against (file null when none
+     * resolved; null when there were no manifest selectors either)
      */
     validate: async (payload, ctx) => {
       let schemaErrors = [];
       let customErrors = [];
 
+      // A plugin that doesn't load can't select schemas or run its rules
+      if (mod.loadError) return { valid: false, schemaErrors: [], customErrors: [mod.loadError], schema: null };
+
       // Resolve schema list (may throw ValidationError if none exist)
-      let schemaPaths;
+      let resolved;
       try {
-        schemaPaths = await resolveSchemaPaths(flowDir, commonBase, payload, ctx, mod);
+        resolved = await resolveSchemaPaths(flowDir, commonBase, payload, ctx, mod, loadManifest(flowId, flowDir));
       } catch (e) {
         if (e instanceof ValidationError) {
           // No schema → treat as validation failure with a clear message
-          return { valid: false, schemaErrors: [], customErrors: [e.message] };
+          const schema = e.selectors ? { file: null, version: null, selectors: e.selectors } : null;
+          return { valid: false, schemaErrors: [], customErrors: [e.message], schema };
         }
         throw e;
       }
-      
+
       // Try the schemas (pass if ANY validates)
-      const results = tryValidate(ajv, payload, schemaPaths);
-      const okAny = results.some(r => r.ok);
-      if (!okAny) {
-        const sorted = results.slice().sort((a, b) => (a.errors?.length || 0) - (b.errors?.length || 0));
-        schemaErrors = sorted[0].errors || [];
-      }
+      const results = tryValidate(loadRegistry(flowId, flowDir, commonBase, createAjv), payload, resolved.paths, commonBase);
+      const picked = pickResult(results);
+      if (!picked) customErrors = results.map(r => r.loadError);
+      else if (!picked.ok) schemaErrors = picked.errors;
+      const schema = picked && {
+        file: schemaLabel(picked.schemaPath, commonBase),
+        version: resolved.versions.get(picked.schemaPath) ?? null,
+        selectors: resolved.selectors
+      };
 
       // Optional custom checks
       if (mod.validate) {
-        const out = await Promise.resolve(mod.validate(payload, ctx));
-        if (Array.isArray(out)) customErrors = out.map(String);
-        else if (typeof out === "string") customErrors = [out];
+        try {
+          const out = await mod.validate(payload, ctx);
+          if (Array.isArray(out)) customErrors = customErrors.concat(out.map(String));
+          else if (typeof out === "string") customErrors = customErrors.concat([out]);
+        } catch (e) {
+          // A plugin that throws, times out or crashes is one more error; the schema errors stay
+          if (!(e instanceof ValidationError)) throw e;
+          customErrors = customErrors.concat([e.message]);
+        }
       }
 
+      // Declarative cross-event rules (rules.json / rules.yaml)
+      const { rules, loadError } = loadFlowRules(flowId, flowDir);
+      if (loadError) customErrors = customErrors.concat([loadError]);
+      else customErrors = customErrors.concat(runRules(rules, payload, ctx));
+
       const valid = (schemaErrors.length === 0) && (customErrors.length === 0);
-      return { valid, schemaErrors, customErrors };
+      return { valid, schemaErrors, customErrors, schema };
+    },
+
+    /**
+     * Error sentences from schema plugins: { [keyword | "format:<name>"]: (ajvError) => text }
+     */
+    messages: () => loadRegistry(flowId, flowDir, commonBase, createAjv).messages,
+
+    /**
+     * The schema(s) validate() holds a payload against: those that accept it,
+     * else the closest one. Returns [{ file, schema, ajv, key }] ([] when none resolve):
+     * `ajv` is the flow's registry, which has the schema under `key`.
+     */
+    schemasFor: async (payload, ctx) => {
+      if (mod.loadError) return [];
+      let schemaPaths;
+      try {
+        ({ paths: schemaPaths } = await resolveSchemaPaths(flowDir, commonBase, payload, ctx, mod, loadManifest(flowId, flowDir)));
+      } catch (e) {
+        if (e instanceof ValidationError) return [];
+        throw e;
+      }
+      const registry = loadRegistry(flowId, flowDir, commonBase, createAjv);
+      const compiled = tryValidate(registry, payload, schemaPaths, commonBase).filter(r => !r.loadError);
+      const accepted = compiled.filter(r => r.ok);
+      const picked = accepted.length
+        ? accepted
+        : compiled.sort((a, b) => a.errors.length - b.errors.length).slice(0, 1);
+      // The linked schema (file refs rewritten to registry keys) with the registry it lives in
+      return picked.map(r => {
+        const entry = registry.byPath.get(r.schemaPath);
+        return { file: schemaLabel(r.schemaPath, commonBase), schema: entry.linked || entry.schema, ajv: registry.ajv, key: entry.key };
+      });
+    }
+  };
+};
+
+/**
+ * The compiled flow spec (expected events) for a flow, or null when the flow
+ * has no flow.spec.json or it failed to load (see getValidatorStatus errors).
+ */
+exports.getFlowSpec = function getFlowSpec(flowId, opts) {
+  const flowDir = path.join(opts.baseDir, "flows", flowId);
+  return loadFlowSpec(flowId, flowDir);
+};
+
+/**
+ * The compiled baseline.json of a flow (active baseline, key, ignore list,
+ * failOnDiff), or null when the flow has none or it failed to load.
+ */
+exports.getBaselineConfig = function getBaselineConfig(flowId, opts) {
+  const flowDir = path.join(opts.baseDir, "flows", flowId);
+  return loadBaselineConfig(flowId, flowDir);
+};
+
+/**
+ * The compiled redact.json rules of a flow, or null when the flow has none or
+ * it failed to load (the global rules still apply).
+ */
+exports.getRedactionRules = function getRedactionRules(flowId, opts) {
+  const flowDir = path.join(opts.baseDir, "flows", flowId);
+  return loadRedaction(flowId, flowDir);
+};
+
+/**
+ * What a file in a flow folder is to the engine:
+ * "spec" | "manifest" | "baseline" | "redaction" | "rules" | "plugin" | "keywords" | "schema", or null when it would be ignored.
+ */
+function flowFileKind(file) {
+  if (file === SPEC_FILE) return "spec";
+  if (file === MANIFEST_FILE) return "manifest";
+  if (file === BASELINE_FILE) return "baseline";
+  if (file === REDACT_FILE) return "redaction";
+  if (RULE_FILES.includes(file)) return "rules";
+  if (PLUGIN_FILES.includes(file)) return "plugin";
+  if (file === KEYWORDS_FILE) return "keywords";
+  if (file.endsWith(".json")) return "schema";
+  return null;
+}
+exports.flowFileKind = flowFileKind;
+
+/**
+ * Check a flow file's contents the way the engine will load it, without
+ * touching any cache: schemas are compiled with the schema plugins, the common
+ * schemas and the flow's other schemas (for $ref), specs and rules compiled,
+ * plugins and keywords.js syntax-checked (not run).
+ * opts: { baseDir, createAjv, flowId }. Throws (status 400); returns the kind.
+ */
+exports.checkFlowFile = function checkFlowFile(file, text, opts) {
+  const kind = flowFileKind(file);
+  const fail = (msg) => {
+    const e = new Error(msg);
+    e.status = 400;
+    throw e;
+  };
+  const parse = () => {
+    try {
+      return file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+    } catch (e) {
+      return fail(`${file} is not valid ${file.endsWith(".json") ? "JSON" : "YAML"}: ${e.message}`);
+    }
+  };
+
+  switch (kind) {
+    case "spec":
+      try { compileSpec(parse()); } catch (e) { fail(e.status ? e.message : `${file}: ${e.message}`); }
+      break;
+    case "manifest":
+      try { compileManifest(parse()); } catch (e) { fail(e.message); }
+      break;
+    case "baseline":
+      try { compileBaselineConfig(parse()); } catch (e) { fail(e.message); }
+      break;
+    case "redaction":
+      try { compileRedaction(parse(), file); } catch (e) { fail(e.message); }
+      break;
+    case "rules":
+      try { compileRules(parse()); } catch (e) { fail(e.status ? e.message : `${file}: ${e.message}`); }
+      break;
+    case "plugin":
+    case "keywords":
+      try {
+        new vm.Script(text, { filename: file });
+      } catch (e) {
+        fail(`Syntax error in ${file}: ${e.message}`);
+      }
+      break;
+    case "schema": {
+      const schema = parse();
+      if (!schema || typeof schema !== "object" || Array.isArray(schema)) fail(`${file} must contain a JSON Schema object`);
+      // Linked with the common schemas and the flow's other files, as it will be once saved
+      const commonDir = path.join(opts.baseDir, "common", "schemas");
+      const flowDir = path.join(opts.baseDir, "flows", opts.flowId || "");
+      const schemaPath = path.join(flowDir, file);
+      const { byPath } = registerSchemas(pluginAjv(flowDir, commonDir, opts.createAjv).ajv, linkSchemas(schemaFiles(flowDir, commonDir, { path: schemaPath, text })));
+      const { error } = byPath.get(schemaPath);
+      if (error) fail(error.startsWith("does not compile") ? `Schema ${file} ${error}` : `Schema ${file} does not compile: ${error}`);
+      break;
+    }
+    default:
+      fail(`Unsupported file "${file}": expected a *.json schema, ${SPEC_FILE}, ${MANIFEST_FILE}, ${BASELINE_FILE}, ${REDACT_FILE}, ${RULE_FILES.join(" / ")}, ${PLUGIN_FILES.join(" / ")} or ${KEYWORDS_FILE}`);
+  }
+  return kind;
+};
+
+/**
+ * The schema registry for GET /schemas: every common and flow schema, linked the way
+ * the engine links them, with the schemas it $refs and the ones that $ref it.
+ * opts: { baseDir, createAjv }. Returns [{ key, flowId, file, id, refs, missingRefs, usedBy, error, warnings }]
+ * (key: "@common/<file>" or "<flowId>/<file>"; flowId null for common schemas).
+ */
+exports.listSchemas = function listSchemas(opts) {
+  const flowsBase = path.join(opts.baseDir, "flows");
+  const commonDir = path.join(opts.baseDir, "common", "schemas");
+  const items = new Map(); // key -> item
+  const keyOf = (entry, flowId) => (entry.common ? entry.label : `${flowId}/${entry.label}`);
+
+  function collect(files, flowId) {
+    const flowDir = flowId ? path.join(flowsBase, flowId) : null;
+    const { entries } = registerSchemas(pluginAjv(flowDir, commonDir, opts.createAjv).ajv, linkSchemas(files));
+    for (const entry of entries) {
+      const key = keyOf(entry, flowId);
+      if (items.has(key)) continue; // common schemas: already listed from the common-only pass
+      items.set(key, {
+        key,
+        flowId: entry.common ? null : flowId,
+        file: entry.label,
+        id: entry.id,
+        refs: [...new Set(entry.refs.filter(r => r.target && r.target !== entry).map(r => keyOf(r.target, flowId)))],
+        missingRefs: entry.refs.filter(r => !r.target).map(r => r.ref),
+        usedBy: [],
+        error: entry.error,
+        warnings: entry.warnings || []
+      });
+    }
+  }
+
+  collect(listSchemaFiles(commonDir).map(p => ({ path: p, label: schemaLabel(p, commonDir) })), null);
+  const flowIds = fs.existsSync(flowsBase)
+    ? fs.readdirSync(flowsBase).filter(name => fs.statSync(path.join(flowsBase, name)).isDirectory()).sort()
+    : [];
+  for (const flowId of flowIds) collect(schemaFiles(path.join(flowsBase, flowId), commonDir), flowId);
+
+  for (const item of items.values()) {
+    for (const key of item.refs) items.get(key)?.usedBy.push(item.key);
+  }
+  return [...items.values()];
+};
+
+/**
+ * Reload status for each flow seen so far: when its validator parts were last
+ * (re)loaded, any schema/plugin files that failed to load, and schema warnings
+ * (keywords or formats nothing implements).
+ * Returns { [flowId]: { loadedAt, errors: [{ file, error }], warnings: [{ file, warning }] } }
+ */
+exports.getValidatorStatus = function getValidatorStatus() {
+  const out = {};
+  for (const [flowId, st] of STATUS) {
+    out[flowId] = {
+      loadedAt: st.loadedAt,
+      errors: Object.entries(st.errors).map(([file, error]) => ({ file, error })),
+      warnings: Object.entries(st.warnings).flatMap(([file, list]) => list.map(warning => ({ file, warning })))
+    };
+  }
+  return out;
+};
+
+/**
+ * Watch flows/ and common/schemas/ and invalidate only what changed:
+ * - a flow schema -> that flow's schema registry
+ * - a flow .js file -> that flow's plugin module (and keywords.js, which may require it)
+ * - a flow keywords.js -> that flow's schema registry (with its keywords reloaded)
+ * - a common schema or common/keywords.js -> every flow's schema registry
+ * New flow folders are picked up as they appear. With opts.createAjv, schema
+ * registries are rebuilt right away, so broken refs show up before the next event.
+ * Returns { close() }.
+ */
+exports.watchValidators = function watchValidators(opts) {
+  const { baseDir, onReload, createAjv } = opts;
+  const flowsBase = path.join(baseDir, "flows");
+  const commonBase = path.join(baseDir, "common", "schemas");
+  const watchers = new Map(); // key: dir -> fs.FSWatcher
+
+  const notify = (flowId, file) => {
+    if (typeof onReload === "function") onReload({ flowId, file });
+  };
+
+  function watchDir(dir, onChange) {
+    if (watchers.has(dir) || !fs.existsSync(dir)) return;
+    try {
+      const w = fs.watch(dir, (event, filename) => { if (filename) onChange(filename.toString()); });
+      w.on("error", () => { w.close(); watchers.delete(dir); });
+      watchers.set(dir, w);
+    } catch (e) {
+      console.warn(`Cannot watch ${dir}: ${e.message}`);
+    }
+  }
+
+  // Spec, manifest, rule, baseline, redaction (and schema) files are checked as soon as they appear/change, not on the next event
+  function checkFlowFiles(flowId, flowDir) {
+    if (createAjv) loadRegistry(flowId, flowDir, commonBase, createAjv);
+    loadFlowSpec(flowId, flowDir);
+    loadFlowRules(flowId, flowDir);
+    loadManifest(flowId, flowDir);
+    loadBaselineConfig(flowId, flowDir);
+    loadRedaction(flowId, flowDir);
+  }
+
+  function watchFlow(flowId) {
+    const flowDir = path.join(flowsBase, flowId);
+    checkFlowFiles(flowId, flowDir);
+    watchDir(flowDir, (file) => {
+      if (FLOW_FILES.has(file)) {
+        FLOW_FILES.get(file).delete(flowDir);
+        setLoadError(flowId, file, null);
+        checkFlowFiles(flowId, flowDir);
+      } else if (file.endsWith(".json") || file === KEYWORDS_FILE) {
+        if (file === KEYWORDS_FILE) invalidateSchemaPlugin(path.join(flowDir, file));
+        REGISTRIES.delete(flowDir);
+        setLoadError(flowId, file, null);
+        if (createAjv) loadRegistry(flowId, flowDir, commonBase, createAjv);
+      } else if (file.endsWith(".js")) {
+        invalidateModule(flowDir);
+        // keywords.js may require the edited helper too
+        if (fs.existsSync(path.join(flowDir, KEYWORDS_FILE))) {
+          invalidateSchemaPlugin(path.join(flowDir, KEYWORDS_FILE));
+          REGISTRIES.delete(flowDir);
+          if (createAjv) loadRegistry(flowId, flowDir, commonBase, createAjv);
+        }
+        setLoadError(flowId, file, null);
+      } else {
+        return;
+      }
+      if (STATUS.has(flowId)) markLoaded(flowId);
+      notify(flowId, file);
+    });
+  }
+
+  watchDir(flowsBase, (name) => {
+    const dir = path.join(flowsBase, name);
+    if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) {
+      invalidateModule(dir);
+      invalidateSchemaPlugin(path.join(dir, KEYWORDS_FILE));
+      REGISTRIES.delete(dir);
+      for (const cache of FLOW_FILES.values()) cache.delete(dir);
+      watchFlow(name);
+      notify(name, null);
+    } else if (watchers.has(dir)) {
+      watchers.get(dir).close();
+      watchers.delete(dir);
+      invalidateModule(dir);
+      invalidateSchemaPlugin(path.join(dir, KEYWORDS_FILE));
+      REGISTRIES.delete(dir);
+      for (const cache of FLOW_FILES.values()) cache.delete(dir);
+      STATUS.delete(name);
+      notify(name, null);
+    }
+  });
+  if (fs.existsSync(flowsBase)) {
+    for (const name of fs.readdirSync(flowsBase)) {
+      if (fs.statSync(path.join(flowsBase, name)).isDirectory()) watchFlow(name);
+    }
+  }
+
+  // Common schemas and common keywords.js are part of every flow's registry
+  function reloadCommon(file) {
+    REGISTRIES.clear();
+    for (const [flowId, st] of STATUS) {
+      delete st.errors[`@common/${file}`];
+      markLoaded(flowId);
+      if (createAjv) loadRegistry(flowId, path.join(flowsBase, flowId), commonBase, createAjv);
+    }
+    notify(null, file);
+  }
+
+  watchDir(commonBase, (file) => {
+    if (file.endsWith(".json")) reloadCommon(file);
+  });
+  watchDir(path.dirname(commonBase), (file) => {
+    if (!file.endsWith(".js")) return; // keywords.js or a helper it requires
+    invalidateSchemaPlugin(path.join(path.dirname(commonBase), KEYWORDS_FILE));
+    reloadCommon(file);
+  });
+
+  return {
+    close() {
+      for (const w of watchers.values()) w.close();
+      watchers.clear();
     }
   };
 };
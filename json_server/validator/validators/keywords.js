@@ -0,0 +1,198 @@
+// validators/keywords.js
+// Schema plugins: custom AJV keywords, formats and error messages.
+//
+// Built in (always available):
+//   "transform": ["trim", "toLowerCase"]      normalize a string before the other keywords see it
+//                                             (trim, trimStart, trimEnd, toLowerCase, toUpperCase, toEnumCase)
+//   "caseInsensitiveEnum": ["ios", "android"] like enum, ignoring case
+//   "jsonString": { <schema> }                a string that parses as JSON and matches the schema
+//   formats: "hashed-email", "sha256", "md5", "currency" (ISO 4217)
+//
+// More come from validators/common/keywords.js (every flow) and validators/flows/<flowId>/keywords.js:
+//
+//   module.exports = {
+//     keywords: [{ keyword: "evenNumber", type: "number", validate: (schema, data) => !schema || data % 2 === 0 }],
+//     formats:  { "order-id": /^ORD-\d{6}$/, "iban": (s) => checkIban(s) },
+//     messages: { evenNumber: (err) => "must be even", "format:order-id": () => "must look like ORD-123456" }
+//   };
+//
+// `keywords` are AJV keyword definitions (ajv.addKeyword), `formats` go to ajv.addFormat.
+// `messages` complete the numbered error sentences ("3. data.count must be even."), keyed by
+// keyword or "format:<name>". A later plugin replaces an earlier one's keyword of the same name.
+//
+//   checkPlugin(raw, where) -> plugin                throws on the first malformed part
+//   applyPlugins(ajv, plugins) -> { messages, modifying }
+//   unknownKeywords(ajv, schema) -> ["unknown keyword \"x\" at #/… (ignored)", …]
+
+const TRANSFORMS = {
+  trim: (s) => s.trim(),
+  trimStart: (s) => s.trimStart(),
+  trimEnd: (s) => s.trimEnd(),
+  toLowerCase: (s) => s.toLowerCase(),
+  toUpperCase: (s) => s.toUpperCase()
+};
+
+const CURRENCIES = new Set(typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("currency") : []);
+
+const BUILTIN = {
+  keywords: [
+    {
+      // Runs before enum/pattern/…, on the copy of the payload being validated (the stored one is untouched)
+      keyword: "transform",
+      schemaType: "array",
+      modifying: true,
+      before: "enum",
+      metaSchema: { type: "array", items: { enum: [...Object.keys(TRANSFORMS), "toEnumCase"] } },
+      validate(schema, data, parentSchema, dataCxt) {
+        if (typeof data !== "string" || !dataCxt || dataCxt.parentData == null) return true;
+        let out = data;
+        for (const t of schema) {
+          if (t !== "toEnumCase") out = TRANSFORMS[t](out);
+          else if (Array.isArray(parentSchema.enum)) out = parentSchema.enum.find(v => typeof v === "string" && v.toLowerCase() === out.toLowerCase()) ?? out;
+        }
+        dataCxt.parentData[dataCxt.parentDataProperty] = out;
+        return true;
+      }
+    },
+    {
+      keyword: "caseInsensitiveEnum",
+      type: "string",
+      schemaType: "array",
+      errors: true,
+      metaSchema: { type: "array", items: { type: "string" }, minItems: 1 },
+      compile(schema) {
+        const allowed = new Set(schema.map(s => s.toLowerCase()));
+        const check = (data) => {
+          check.errors = allowed.has(data.toLowerCase()) ? null : [{ keyword: "caseInsensitiveEnum", message: "must be equal to one of the allowed values", params: { allowedValues: schema } }];
+          return !check.errors;
+        };
+        return check;
+      }
+    },
+    {
+      keyword: "jsonString",
+      type: "string",
+      schemaType: ["object", "boolean"],
+      errors: true,
+      compile(schema) {
+        const inner = this.compile(schema); // `this` is the AJV instance
+        const check = (data) => {
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (e) {
+            check.errors = [{ keyword: "jsonString", message: "must be a JSON string", params: { error: e.message } }];
+            return false;
+          }
+          check.errors = inner(parsed) ? null : inner.errors.map(err => ({
+            keyword: "jsonString",
+            message: `must contain JSON where ${err.instancePath || "the value"} ${err.message}`,
+            params: { path: err.instancePath, error: err.message }
+          }));
+          return !check.errors;
+        };
+        return check;
+      }
+    }
+  ],
+  formats: {
+    "hashed-email": /^[a-f0-9]{64}$/i,
+    sha256: /^[a-f0-9]{64}$/i,
+    md5: /^[a-f0-9]{32}$/i,
+    currency: (s) => CURRENCIES.has(s)
+  },
+  messages: {
+    caseInsensitiveEnum: (err) => `must be one of: ${err.params.allowedValues.join(", ")} (any case)`,
+    jsonString: (err) => (err.params.path === undefined
+      ? `must contain valid JSON (${err.params.error})`
+      : `must contain JSON where ${err.params.path.replace(/^\/+/, "") || "the value"} ${err.params.error}`),
+    "format:hashed-email": () => "must be a hashed email (64 hex characters)",
+    "format:sha256": () => "must be a SHA-256 hash (64 hex characters)",
+    "format:md5": () => "must be an MD5 hash (32 hex characters)",
+    "format:currency": () => "must be an ISO 4217 currency code"
+  }
+};
+
+function fail(where, msg) {
+  throw new Error(`${where}: ${msg}`);
+}
+
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+/** Check a loaded plugin module; returns { keywords, formats, messages } */
+function checkPlugin(raw, where) {
+  if (!isObj(raw)) fail(where, "must export an object with keywords, formats and/or messages");
+  const unknown = Object.keys(raw).filter(k => !["keywords", "formats", "messages"].includes(k));
+  if (unknown.length) fail(where, `unknown export ${JSON.stringify(unknown[0])} (expected keywords, formats, messages)`);
+  const keywords = raw.keywords ?? [];
+  if (!Array.isArray(keywords)) fail(where, `"keywords" must be an array of AJV keyword definitions`);
+  keywords.forEach((k, i) => {
+    if (!isObj(k) || typeof k.keyword !== "string" || !k.keyword) fail(where, `keywords[${i}] needs a "keyword" name`);
+    if (!["validate", "compile", "macro", "code"].some(f => typeof k[f] === "function")) fail(where, `keyword "${k.keyword}" needs a validate, compile, macro or code function`);
+  });
+  const formats = raw.formats ?? {};
+  if (!isObj(formats)) fail(where, `"formats" must be an object of name -> RegExp | function | { validate }`);
+  for (const [name, f] of Object.entries(formats)) {
+    if (!(f instanceof RegExp || typeof f === "function" || (isObj(f) && f.validate))) fail(where, `format "${name}" must be a RegExp, a function or { validate }`);
+  }
+  const messages = raw.messages ?? {};
+  if (!isObj(messages)) fail(where, `"messages" must be an object of keyword -> (error) => text`);
+  for (const [k, fn] of Object.entries(messages)) {
+    if (typeof fn !== "function") fail(where, `message for "${k}" must be a function (error) => text`);
+  }
+  return { keywords, formats, messages };
+}
+
+/**
+ * Add plugins (checked, in order) to an AJV instance. Returns the merged error messages and
+ * whether any keyword modifies data (then payloads are validated as a copy).
+ */
+function applyPlugins(ajv, plugins) {
+  const messages = {};
+  let modifying = false;
+  for (const p of plugins) {
+    for (const def of p.keywords) {
+      if (ajv.getKeyword(def.keyword)) ajv.removeKeyword(def.keyword);
+      ajv.addKeyword(def);
+      modifying = modifying || !!def.modifying;
+    }
+    for (const [name, f] of Object.entries(p.formats)) ajv.addFormat(name, f);
+    Object.assign(messages, p.messages);
+  }
+  return { messages, modifying };
+}
+
+// Where subschemas sit: keyword -> "map" (name -> schema), "list" (schemas) or "one"
+const SUBSCHEMAS = {
+  properties: "map", patternProperties: "map", definitions: "map", $defs: "map", dependentSchemas: "map", dependencies: "map",
+  allOf: "list", anyOf: "list", oneOf: "list", prefixItems: "list",
+  items: "one", additionalItems: "one", additionalProperties: "one", contains: "one", propertyNames: "one",
+  not: "one", if: "one", then: "one", else: "one", unevaluatedItems: "one", unevaluatedProperties: "one", jsonString: "one"
+};
+
+/** Keywords AJV doesn't know and formats it has no check for: each would silently pass */
+function unknownKeywords(ajv, schema) {
+  const out = [];
+  const at = (p) => `#${p}`;
+  // RULES.keywords also has what getKeyword() doesn't return: $id, definitions, title, …
+  const known = (k) => !!(ajv.RULES.keywords[k] || ajv.getKeyword(k));
+  function walk(node, p) {
+    if (Array.isArray(node)) return node.forEach((n, i) => walk(n, `${p}/${i}`));
+    if (!isObj(node)) return;
+    for (const [k, v] of Object.entries(node)) {
+      const kp = `${p}/${k.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+      if (!known(k)) {
+        out.push(`unknown keyword "${k}" at ${at(p || "/")} (ignored)`);
+        continue;
+      }
+      if (k === "format" && typeof v === "string" && !ajv.formats[v]) out.push(`unknown format "${v}" at ${at(p || "/")} (not checked)`);
+      const kind = SUBSCHEMAS[k];
+      if (kind === "map" && isObj(v)) Object.entries(v).forEach(([name, s]) => walk(s, `${kp}/${name.replace(/~/g, "~0").replace(/\//g, "~1")}`));
+      else if (kind === "list" || kind === "one") walk(v, kp);
+    }
+  }
+  walk(schema, "");
+  return out;
+}
+
+module.exports = { BUILTIN, checkPlugin, applyPlugins, unknownKeywords };
@@ -0,0 +1,165 @@
+// validators/manifest.js
+// Schema manifest: which schema applies to which app build.
+//
+// validators/flows/<flowId>/manifest.json (optional)
+// {
+//   "selectors": {                                    // where the values are read (first one found wins)
+//     "appVersion": ["header:x-app-version", "/context/app/version"],
+//     "platform":   ["header:x-platform", "/context/os/name"],
+//     "contract":   ["/schema_version"]
+//   },
+//   "schemas": [
+//     { "file": "login.v3.schema.json", "version": "3", "appVersion": ">=5.4.0", "platform": "ios" },
+//     { "file": "login.v2.schema.json", "version": "2", "appVersion": ">=5.0.0 <5.4.0 || 5.4.x", "platform": ["ios", "android"] },
+//     { "file": "@common/login.schema.json", "version": "1", "contract": "1" }
+//   ],
+//   "fallback": false                                 // true: no match -> usual resolution instead of an error
+// }
+//
+// An entry applies when every constraint it declares holds; entries without constraints
+// always apply. All applicable entries are tried (pass if any accepts), like "try all".
+// Ranges: "1.2.3" (exact), "5.x" / "5" (prefix), ">=5.0 <6", "^5.2", "~5.2.1", "*", joined by "||".
+// Selector sources: "header:<name>" (request headers) or a path into the payload.
+const { getPath } = require("../lib/paths");
+
+const KEYS = ["appVersion", "platform", "contract"];
+const DEFAULT_SELECTORS = {
+  appVersion: ["header:x-app-version", "/app_version", "/appVersion", "/data/app_version", "/context/app/version"],
+  platform: ["header:x-platform", "/platform", "/data/platform", "/context/os/name"],
+  contract: ["header:x-event-version", "/schema_version", "/data/schema_version", "/event_version"]
+};
+
+function fail(msg) {
+  throw new Error(`Invalid manifest.json: ${msg}`);
+}
+
+/** "5.12.1 (3401)" -> [5, 12, 1]; null when there is no version number */
+function parseVersion(v) {
+  const m = /\d+(?:\.\d+)*/.exec(String(v ?? ""));
+  return m ? m[0].split(".").map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const d = (a[i] || 0) - (b[i] || 0);
+    if (d) return d < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+// One comparator ("^5.2", ">=5.0", "5.x") -> (version parts) => bool
+function compileComparator(text, where) {
+  const m = /^(>=|<=|>|<|=|\^|~)?\s*v?(\d+(?:\.(?:\d+|x|\*))*)$/i.exec(text);
+  if (!m) fail(`${where}: cannot read version range part ${JSON.stringify(text)}`);
+  const [, op = "", ver] = m;
+  const parts = ver.split(".");
+  const wild = parts.findIndex(p => /^[x*]$/i.test(p));
+  const base = (wild === -1 ? parts : parts.slice(0, wild)).map(Number);
+  const cmp = (v) => compareVersions(v, base);
+  const prefix = (v, n) => base.slice(0, n).every((x, i) => (v[i] || 0) === x);
+
+  switch (op) {
+    case ">=": return (v) => cmp(v) >= 0;
+    case "<=": return (v) => cmp(v) <= 0;
+    case ">": return (v) => cmp(v) > 0;
+    case "<": return (v) => cmp(v) < 0;
+    case "^": return (v) => cmp(v) >= 0 && prefix(v, Math.max(1, base.findIndex(x => x !== 0) + 1 || base.length));
+    case "~": return (v) => cmp(v) >= 0 && prefix(v, Math.min(2, base.length));
+    default:
+      // "5.x", "5" and "=5.2" match every version starting with the given parts
+      return (v) => prefix(v, base.length);
+  }
+}
+
+/** Compile a version range ("*", ">=5.0 <6 || 7.x") -> (version string) => bool */
+function compileRange(range, where) {
+  if (typeof range === "number") range = String(range);
+  if (typeof range !== "string" || !range.trim()) fail(`${where} must be a version range string`);
+  if (range.trim() === "*") return (v) => parseVersion(v) != null;
+  const alternatives = range.split("||").map(alt => {
+    // ">= 5.0" is one comparator: glue operators to their version first
+    const parts = alt.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, "$1").split(/\s+/).filter(Boolean);
+    if (!parts.length) fail(`${where}: empty alternative in ${JSON.stringify(range)}`);
+    return parts.map(p => compileComparator(p, where));
+  });
+  return (v) => {
+    const parts = parseVersion(v);
+    return parts != null && alternatives.some(all => all.every(test => test(parts)));
+  };
+}
+
+function compileSources(list, where) {
+  const sources = [].concat(list);
+  if (!sources.length || sources.some(s => typeof s !== "string" || !s)) fail(`${where} must be a path, "header:<name>" or a list of them`);
+  return sources.map(s => (s.toLowerCase().startsWith("header:")
+    ? { header: s.slice(7).trim().toLowerCase() }
+    : { path: s }));
+}
+
+function compileEntry(e, i) {
+  const where = `schemas[${i}]`;
+  if (!e || typeof e !== "object" || Array.isArray(e)) fail(`${where} must be an object`);
+  if (typeof e.file !== "string" || !e.file.endsWith(".json")) fail(`${where}.file must name a *.json schema`);
+  if (e.version !== undefined && typeof e.version !== "string" && typeof e.version !== "number") fail(`${where}.version must be a string`);
+  const platforms = e.platform === undefined ? null : [].concat(e.platform);
+  if (platforms && (!platforms.length || platforms.some(p => typeof p !== "string" || !p))) fail(`${where}.platform must be a name or a list of names`);
+
+  const tests = {};
+  if (e.appVersion !== undefined) tests.appVersion = compileRange(e.appVersion, `${where}.appVersion`);
+  if (e.contract !== undefined) tests.contract = compileRange(e.contract, `${where}.contract`);
+  if (platforms) {
+    const names = new Set(platforms.map(p => p.toLowerCase()));
+    tests.platform = (v) => v != null && names.has(String(v).toLowerCase());
+  }
+  return {
+    file: e.file,
+    version: e.version === undefined ? null : String(e.version),
+    when: Object.fromEntries(KEYS.filter(k => e[k] !== undefined).map(k => [k, e[k]])),
+    applies: (values) => Object.entries(tests).every(([k, test]) => test(values[k]))
+  };
+}
+
+/**
+ * Check a parsed manifest.json and compile it. Throws (prefixed "Invalid
+ * manifest.json:") on the first problem.
+ */
+function compileManifest(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail("must be a JSON object");
+  if (!Array.isArray(raw.schemas) || !raw.schemas.length) fail(`"schemas" must be a non-empty array`);
+  if (raw.selectors !== undefined && (!raw.selectors || typeof raw.selectors !== "object" || Array.isArray(raw.selectors))) fail(`"selectors" must be an object`);
+  const unknown = Object.keys(raw.selectors || {}).filter(k => !KEYS.includes(k));
+  if (unknown.length) fail(`unknown selector ${JSON.stringify(unknown[0])} (expected ${KEYS.join(", ")})`);
+
+  const selectors = {};
+  for (const k of KEYS) selectors[k] = compileSources(raw.selectors?.[k] ?? DEFAULT_SELECTORS[k], `selectors.${k}`);
+  return {
+    selectors,
+    entries: raw.schemas.map(compileEntry),
+    fallback: raw.fallback === true
+  };
+}
+
+/**
+ * The selector values of one event: { appVersion, platform, contract } (null when not found).
+ * `headers` are the request headers (lower-cased names); `recorded` are values stored with the
+ * message when it was first validated, used for what can't be read now (headers aren't stored).
+ */
+function readSelectors(manifest, payload, headers = {}, recorded = null) {
+  const out = {};
+  for (const k of KEYS) {
+    let value = null;
+    for (const src of manifest.selectors[k]) {
+      const v = src.header ? headers[src.header] : getPath(payload, src.path);
+      if (v != null && v !== "" && typeof v !== "object") { value = String(v); break; }
+    }
+    out[k] = value ?? recorded?.[k] ?? null;
+  }
+  return out;
+}
+
+/** Entries whose constraints hold for these selector values, in manifest order */
+function matchManifest(manifest, values) {
+  return manifest.entries.filter(e => e.applies(values));
+}
+
+module.exports = { compileManifest, readSelectors, matchManifest, compileRange };
@@ -0,0 +1,73 @@
+// validators/match.js
+// Field predicates shared by flow specs and rule files.
+//
+// A match is an object of path -> predicate; every entry must hold:
+//   { "type": "login" }                                  equals
+//   { "/data/event_name": { "in": ["A", "B"] } }         one of
+//   { "data.event_name": { "regex": "^Accounts >" } }    regex on the string value
+//   { "orderId": { "exists": true } }                    present / absent
+//   { "data.amount": { "gt": 0, "lte": 100000 } }        numeric bounds
+//   { "status": { "not": "error" } }                     negation of any predicate
+// Paths are JSON pointers or dotted paths (see lib/paths.js).
+const { getPath } = require("../lib/paths");
+
+const OPERATORS = ["equals", "in", "regex", "exists", "gt", "gte", "lt", "lte", "not"];
+
+function isOperatorObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) &&
+    Object.keys(v).length > 0 && Object.keys(v).every(k => OPERATORS.includes(k));
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a && b && typeof a === "object" && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return false;
+}
+
+// Compile one predicate to value -> bool; throws on malformed predicates
+function compilePredicate(pred, where) {
+  if (!isOperatorObject(pred)) return (v) => sameValue(v, pred);
+
+  const tests = Object.entries(pred).map(([op, arg]) => {
+    switch (op) {
+      case "equals":
+        return (v) => sameValue(v, arg);
+      case "in":
+        if (!Array.isArray(arg)) throw new Error(`${where}: "in" must be an array`);
+        return (v) => arg.some(a => sameValue(v, a));
+      case "regex": {
+        let re;
+        try { re = new RegExp(arg); } catch (e) { throw new Error(`${where}: invalid regex ${JSON.stringify(arg)}: ${e.message}`); }
+        return (v) => v != null && typeof v !== "object" && re.test(String(v));
+      }
+      case "exists":
+        return (v) => (v !== undefined) === !!arg;
+      case "gt":  return (v) => typeof v === "number" && v > arg;
+      case "gte": return (v) => typeof v === "number" && v >= arg;
+      case "lt":  return (v) => typeof v === "number" && v < arg;
+      case "lte": return (v) => typeof v === "number" && v <= arg;
+      case "not": {
+        const inner = compilePredicate(arg, `${where}.not`);
+        return (v) => !inner(v);
+      }
+      default:
+        throw new Error(`${where}: unknown operator "${op}"`);
+    }
+  });
+  return (v) => tests.every(t => t(v));
+}
+
+/**
+ * Compile a match object to payload -> bool. `where` prefixes error messages.
+ */
+function compileMatch(match, where = "match") {
+  if (match == null) return () => true;
+  if (typeof match !== "object" || Array.isArray(match)) throw new Error(`${where} must be an object of path -> predicate`);
+  const tests = Object.entries(match).map(([p, pred]) => {
+    const test = compilePredicate(pred, `${where}["${p}"]`);
+    return (payload) => test(getPath(payload, p));
+  });
+  return (payload) => tests.every(t => t(payload));
+}
+
+module.exports = { compileMatch, compilePredicate };
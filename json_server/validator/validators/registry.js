@@ -0,0 +1,168 @@
+// validators/registry.js
+// Shared schema registry: the common schemas and a flow's own schemas are
+// linked into one AJV instance per flow, so "$ref" works across files.
+//
+// Every schema is registered under its "$id" (or, without one, under its file) and can be
+// referenced by either, with an optional fragment:
+//   { "$ref": "@common/user.schema.json#/definitions/email" }   a common schema
+//   { "$ref": "login.schema.json#/definitions/device" }         a file next to the referring one (else common)
+//   { "$ref": "../../common/schemas/user.schema.json" }         a path relative to the referring file
+//   { "$ref": "https://example.com/schemas/user.json" }         an $id ("user.json" resolves against the referrer's $id)
+//
+// File refs are rewritten to the target's $id before AJV sees them, so they work whatever the
+// referring schema's own $id is. Two files with one $id, refs that don't resolve and fragments
+// that point at nothing are reported per file instead of failing at validation time.
+//
+//   linkSchemas(files) -> { entries, byPath }        files: [{ path, label, text? }]
+//   registerSchemas(ajv, linked) -> linked + { ajv }  add + compile every schema that linked (+ unknown keyword warnings)
+const fs = require("fs");
+const path = require("path");
+const { unknownKeywords } = require("./keywords");
+
+const SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+// Keywords whose values are data, not subschemas: a "$ref" in there is left alone
+const DATA_KEYWORDS = new Set(["enum", "const", "default", "examples"]);
+
+// "$id" without an empty fragment; the key AJV registers a schema under
+const normalizeId = (id) => String(id).replace(/#$/, "");
+
+function splitRef(ref) {
+  const i = ref.indexOf("#");
+  return i === -1 ? [ref, ""] : [ref.slice(0, i), ref.slice(i + 1)];
+}
+
+// Value at a JSON pointer ("/definitions/email"); undefined when it isn't there
+function atPointer(schema, pointer) {
+  return pointer.split("/").slice(1)
+    .map(p => decodeURIComponent(p).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, p) => (node && typeof node === "object" ? node[p] : undefined), schema);
+}
+
+// Copy of a schema with every "$ref" string passed through `fn` (fn returns the replacement)
+function mapRefs(node, fn) {
+  if (Array.isArray(node)) return node.map(n => mapRefs(n, fn));
+  if (!node || typeof node !== "object") return node;
+  const out = {};
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "$ref" && typeof v === "string") out[k] = fn(v);
+    else out[k] = DATA_KEYWORDS.has(k) ? v : mapRefs(v, fn);
+  }
+  return out;
+}
+
+function readSchema(file) {
+  const text = file.text ?? fs.readFileSync(file.path, "utf8");
+  const schema = JSON.parse(text);
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) throw new Error("must contain a JSON Schema object");
+  return schema;
+}
+
+/**
+ * Read the schemas one flow can see (common ones first) and resolve their refs.
+ * files: [{ path, label, text? }]; label is "@common/<file>" for common schemas, else the
+ * file name; `text` replaces what is on disk (upload checks).
+ * Returns { entries, byPath } with entry: { path, label, common, id, key, schema, linked,
+ * refs: [{ ref, target (entry) | null }], error } (error: why it can't be used, or null).
+ */
+function linkSchemas(files) {
+  const entries = [];
+  const byPath = new Map();
+  const byKey = new Map();
+  const byLabel = new Map();
+
+  for (const f of files) {
+    const entry = { path: f.path, label: f.label, common: f.label.startsWith("@common/"), id: null, key: null, schema: null, linked: null, refs: [], error: null };
+    entries.push(entry);
+    byPath.set(f.path, entry);
+    byLabel.set(f.label, entry);
+    try {
+      entry.schema = readSchema(f);
+    } catch (e) {
+      entry.error = e instanceof SyntaxError ? `is not valid JSON: ${e.message}` : e.message;
+      continue;
+    }
+    if (typeof entry.schema.$id === "string" && entry.schema.$id) entry.id = normalizeId(entry.schema.$id);
+    // Schemas without an $id get one from their file, so refs into them have a base to resolve against
+    entry.key = entry.id || `validator:/${f.label}`;
+    const other = byKey.get(entry.key);
+    if (other) entry.error = `$id "${entry.id}" is already used by ${other.label}`;
+    else byKey.set(entry.key, entry);
+  }
+
+  // A ref's document part -> the entry it names (file forms first, then $id), or null
+  function resolve(entry, doc) {
+    if (doc.startsWith("@common/")) return byLabel.get(doc) || null;
+    if (!SCHEME.test(doc)) {
+      const local = byPath.get(path.resolve(path.dirname(entry.path), doc)) || byLabel.get(`@common/${doc}`);
+      if (local) return local;
+    }
+    try {
+      return byKey.get(normalizeId(new URL(doc, entry.key).href)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  for (const entry of entries) {
+    if (!entry.schema) continue;
+    const problems = [];
+    entry.linked = mapRefs(entry.schema, (ref) => {
+      const [doc, fragment] = splitRef(ref);
+      const target = doc ? resolve(entry, doc) : entry;
+      if (doc) entry.refs.push({ ref, target });
+      if (!target) {
+        problems.push(`$ref "${ref}" does not resolve: no schema file or $id matches "${doc}"`);
+        return ref;
+      }
+      if (fragment.startsWith("/") && target.schema && atPointer(target.schema, fragment) === undefined) {
+        problems.push(`$ref "${ref}": ${target === entry ? "this schema" : target.label} has no ${fragment}`);
+      }
+      return doc ? `${target.key}${fragment ? `#${fragment}` : ""}` : ref;
+    });
+    if (!entry.linked.$id) entry.linked.$id = entry.key;
+    if (!entry.error && problems.length) entry.error = problems.join("; ");
+  }
+
+  // A schema that refs a broken one can't compile either: name the one to fix
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const entry of entries) {
+      const broken = !entry.error && entry.refs.find(r => r.target && r.target !== entry && r.target.error);
+      if (!broken) continue;
+      entry.error = `$ref "${broken.ref}" points at ${broken.target.label}, which failed to load`;
+      changed = true;
+    }
+  }
+  return { entries, byPath };
+}
+
+/**
+ * Add every schema that linked to `ajv` and compile it: entry.validate, or entry.error.
+ * Keywords and formats `ajv` doesn't implement (they'd silently pass) go to entry.warnings.
+ * Returns `linked` with its `ajv`.
+ * All are added before any is compiled, so refs may point either way (and in cycles).
+ */
+function registerSchemas(ajv, linked) {
+  const added = [];
+  for (const entry of linked.entries) {
+    if (entry.error) continue;
+    try {
+      ajv.addSchema(entry.linked);
+      added.push(entry);
+    } catch (e) {
+      entry.error = `does not compile: ${e.message}`;
+    }
+  }
+  for (const entry of added) {
+    try {
+      entry.validate = ajv.getSchema(entry.key);
+      entry.warnings = unknownKeywords(ajv, entry.schema);
+    } catch (e) {
+      entry.error = `does not compile: ${e.message}`;
+    }
+  }
+  linked.ajv = ajv;
+  return linked;
+}
+
+module.exports = { linkSchemas, registerSchemas };
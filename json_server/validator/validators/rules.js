@@ -0,0 +1,145 @@
+// validators/rules.js
+// Declarative cross-event rules: validators/flows/<flowId>/rules.json (or rules.yaml / rules.yml)
+//
+// {
+//   "rules": [
+//     { "id": "login-after-consent",
+//       "when": { "/data/event_name": "Accounts > Login" },
+//       "precededBy": { "match": { "/data/event_name": "Consent" }, "scope": "flow" } },
+//
+//     { "when": { "type": "payment" },
+//       "fieldEquals": { "field": "orderId", "latest": { "match": { "type": "order" }, "field": "orderId" } } },
+//
+//     { "when": { "/data/event_id": { "exists": true } },
+//       "unique": { "field": "/data/event_id", "scope": "session" } },
+//
+//     { "when": { "type": "login" }, "maxOccurrences": { "count": 1 },
+//       "message": "Only one login per flow." }
+//   ]
+// }
+//
+// `when` (optional) selects the events a rule applies to; `scope` is "flow" (default) or "session".
+// Each failing rule yields one error string, fed into the custom errors of the message.
+const { compileMatch } = require("./match");
+const { getPath } = require("../lib/paths");
+
+const KINDS = ["precededBy", "fieldEquals", "unique", "maxOccurrences"];
+const SCOPES = ["flow", "session"];
+
+function fail(msg) {
+  throw new Error(`Invalid rules file: ${msg}`);
+}
+
+function checkScope(scope, where) {
+  if (scope !== undefined && !SCOPES.includes(scope)) fail(`${where}.scope must be one of: ${SCOPES.join(", ")}`);
+  return scope || "flow";
+}
+
+function requireField(v, where) {
+  if (typeof v !== "string" || !v) fail(`${where} must be a non-empty path string`);
+  return v;
+}
+
+function match(m, where) {
+  try {
+    return compileMatch(m, where);
+  } catch (e) {
+    return fail(e.message);
+  }
+}
+
+// Compile one rule to { id, applies(payload), check(payload, ctx) -> string|null }
+function compileRule(rule, i) {
+  const where = `rules[${i}]`;
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) fail(`${where} must be an object`);
+  const kinds = KINDS.filter(k => k in rule);
+  if (kinds.length !== 1) fail(`${where} must have exactly one of: ${KINDS.join(", ")}`);
+  if (rule.message !== undefined && typeof rule.message !== "string") fail(`${where}.message must be a string`);
+
+  const kind = kinds[0];
+  const id = rule.id || `${kind}#${i + 1}`;
+  const applies = match(rule.when, `${where}.when`);
+  const opts = rule[kind];
+  if (!opts || typeof opts !== "object") fail(`${where}.${kind} must be an object`);
+  const scope = checkScope(opts.scope, `${where}.${kind}`);
+  const prior = (ctx) => ctx.findMessages(scope === "flow" ? { flowId: ctx.flowId } : {});
+  const say = (fallback) => rule.message || fallback;
+
+  let check;
+  switch (kind) {
+    case "precededBy": {
+      const test = match(opts.match, `${where}.precededBy.match`);
+      check = (payload, ctx) => (
+        prior(ctx).some(m => test(m.payload)) ? null
+          : say(`Event must be preceded by a matching event in this ${scope} (rule ${id}).`)
+      );
+      break;
+    }
+    case "fieldEquals": {
+      const field = requireField(opts.field, `${where}.fieldEquals.field`);
+      if (!opts.latest || typeof opts.latest !== "object") fail(`${where}.fieldEquals.latest must be an object`);
+      const test = match(opts.latest.match, `${where}.fieldEquals.latest.match`);
+      const otherField = requireField(opts.latest.field || field, `${where}.fieldEquals.latest.field`);
+      check = (payload, ctx) => {
+        const latest = prior(ctx).filter(m => test(m.payload)).pop();
+        if (!latest) return say(`${field} can't be compared: no earlier matching event in this ${scope} (rule ${id}).`);
+        const mine = getPath(payload, field);
+        const theirs = getPath(latest.payload, otherField);
+        return JSON.stringify(mine) === JSON.stringify(theirs) ? null
+          : say(`${field} (${JSON.stringify(mine)}) must equal ${otherField} (${JSON.stringify(theirs)}) of the latest matching event (rule ${id}).`);
+      };
+      break;
+    }
+    case "unique": {
+      const field = requireField(opts.field, `${where}.unique.field`);
+      check = (payload, ctx) => {
+        const v = getPath(payload, field);
+        if (v === undefined) return null;
+        const dup = prior(ctx).some(m => applies(m.payload) && JSON.stringify(getPath(m.payload, field)) === JSON.stringify(v));
+        return dup ? say(`${field} value ${JSON.stringify(v)} must be unique across the ${scope} (rule ${id}).`) : null;
+      };
+      break;
+    }
+    case "maxOccurrences": {
+      if (!Number.isInteger(opts.count) || opts.count < 0) fail(`${where}.maxOccurrences.count must be a non-negative integer`);
+      check = (payload, ctx) => {
+        const n = prior(ctx).filter(m => applies(m.payload)).length + 1;
+        return n > opts.count ? say(`At most ${opts.count} matching event(s) allowed per ${scope}; this is #${n} (rule ${id}).`) : null;
+      };
+      break;
+    }
+    default:
+      fail(`${where}: unknown rule kind ${kind}`);
+  }
+
+  return { id, applies, check };
+}
+
+/**
+ * Check a parsed rules file and compile it. Throws "Invalid rules file: …" on the first problem.
+ */
+function compileRules(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.rules)) fail(`expected an object with a "rules" array`);
+  const rules = raw.rules.map(compileRule);
+  const ids = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) fail(`duplicate rule id "${r.id}"`);
+    ids.add(r.id);
+  }
+  return rules;
+}
+
+/**
+ * Run compiled rules for one payload. Returns an array of error strings.
+ */
+function runRules(rules, payload, ctx) {
+  const errs = [];
+  for (const r of rules || []) {
+    if (!r.applies(payload)) continue;
+    const msg = r.check(payload, ctx);
+    if (msg) errs.push(msg);
+  }
+  return errs;
+}
+
+module.exports = { compileRules, runRules };
@@ -0,0 +1,336 @@
+// validators/sandbox.js
+// Flow plugins (index.js / custom.js) run in a worker thread of their own, so a plugin that
+// loops, hangs, leaks or crashes costs its flow an error instead of stalling the validator.
+//
+//   const plugin = createSandbox(file, { timeout, memoryMb });
+//   await plugin.ready()                              -> { exports: ["selectSchema", "validate"], loadError }
+//   await plugin.call("validate", payload, snapshot)  -> the function's return value
+//   plugin.close()
+//
+// The worker gets a copy of the payload and keeps a read-only copy of the sessions it was called
+// for, and rebuilds ctx from it (sessionId, flowId, headers, findMessages / findEvents, getFlow,
+// getSession).
+// snapshot: { sessionId, flowId, headers, schemaSelectors, session, received, updates, cut } where
+// `session` is the live stored session, `received(m)` what plugins see of a stored message,
+// `updates` ({ offset, messages }) the session's messages changed in place, in order, and `cut`
+// ({ flowId, index, timestamp }; index counts evicted messages too) hides what came after the
+// message being re-validated. Each call only posts what the worker's copy is missing (see
+// syncSession), so a session isn't copied again on every call.
+//
+// A call that runs past `timeout` ms terminates the worker (a fresh one starts on the next
+// call); a thrown error, a crash or a broken memory limit rejects with a PluginError that
+// names the plugin. Plugins still have full Node.js access: this isolates faults, not trust.
+const path = require("path");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+class PluginError extends Error {}
+
+const FUNCTIONS = ["selectSchema", "validate"];
+const MIN_LOAD_TIMEOUT = 10000; // requiring a plugin (and its dependencies) may take longer than a call
+const MAX_SYNCED_SESSIONS = 16; // sessions a worker keeps a copy of; the least recently used is dropped
+
+// What one worker was sent: { cleared, sessions: Map(sessionId -> { session, metaJson, updates,
+// flows: Map(flowId -> { flow, metaJson, from, to, last }) }) }, least recently used session first.
+// The worker holds messages [from, to) of each flow, counting evicted ones.
+function createSync() {
+  return { cleared: false, sessions: new Map() };
+}
+
+/**
+ * The part of a session the worker is missing, given what it was sent (`known`, updated in place):
+ * { sessionId, clear, forget, reset, meta, updates, flows: { [flowId]: { reset, meta, from, append } } }.
+ * Only new messages, updated ones and changed metadata are included; `from` is where the flow now
+ * starts (older messages were evicted).
+ */
+function syncSession(known, { sessionId, session, received = (m) => m, updates = { offset: 0, messages: [] } }) {
+  const delta = { sessionId, clear: !known.cleared, forget: [], flows: {} };
+  known.cleared = true;
+  let k = known.sessions.get(sessionId);
+  known.sessions.delete(sessionId);
+  // Recreated, or changed in place by more than the update log still holds: send it all again
+  if (k && (k.session !== session || k.updates < updates.offset)) k = null;
+  if (!k) {
+    delta.reset = true;
+    k = { session, metaJson: null, updates: updates.offset + updates.messages.length, flows: new Map() };
+  }
+  known.sessions.set(sessionId, k);
+  for (const id of known.sessions.keys()) {
+    if (known.sessions.size <= MAX_SYNCED_SESSIONS) break;
+    known.sessions.delete(id);
+    delta.forget.push(id);
+  }
+
+  const { flows, ...meta } = session;
+  const metaJson = JSON.stringify(meta);
+  if (metaJson !== k.metaJson) {
+    delta.meta = meta;
+    k.metaJson = metaJson;
+  }
+  const end = updates.offset + updates.messages.length;
+  if (k.updates < end) delta.updates = updates.messages.slice(k.updates - updates.offset).map(received);
+  k.updates = end;
+
+  for (const [flowId, fl] of Object.entries(flows)) {
+    const { messages, ...flowMeta } = fl;
+    const evicted = fl.evicted || 0;
+    const out = {};
+    let f = k.flows.get(flowId);
+    // A recreated flow, or one whose stored messages no longer line up with what was sent
+    if (f && (f.flow !== fl || (f.to > evicted && messages[f.to - 1 - evicted] !== f.last))) f = null;
+    if (!f) {
+      Object.assign(out, { reset: true, from: evicted });
+      f = { flow: fl, metaJson: null, from: evicted, to: evicted, last: null };
+      k.flows.set(flowId, f);
+    }
+    const json = JSON.stringify(flowMeta);
+    if (json !== f.metaJson) {
+      out.meta = flowMeta;
+      f.metaJson = json;
+    }
+    if (evicted > f.from) {
+      out.from = evicted;
+      f.from = evicted;
+      f.to = Math.max(f.to, evicted);
+    }
+    if (f.to < evicted + messages.length) {
+      out.append = messages.slice(f.to - evicted).map(received);
+      f.to = evicted + messages.length;
+      f.last = messages[messages.length - 1];
+    }
+    if (Object.keys(out).length) delta.flows[flowId] = out;
+  }
+  return delta;
+}
+
+function createSandbox(file, { timeout = 2000, memoryMb = 64 } = {}) {
+  const name = path.basename(file);
+  const pending = new Map(); // call id -> { resolve, reject, timer }
+  let worker = null;
+  let loaded = null; // Promise<{ exports, loadError }> of the current worker
+  let nextId = 1;
+  let closed = false;
+  let synced = createSync(); // what the current worker holds of each session
+
+  // Drop the current worker; every call still waiting on it fails with `err`
+  function stop(err) {
+    const w = worker;
+    worker = null;
+    loaded = null;
+    if (w) w.terminate().catch(() => {});
+    for (const p of pending.values()) {
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    pending.clear();
+  }
+
+  function start() {
+    const w = new Worker(__filename, {
+      workerData: { file },
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb }
+    });
+    w.unref(); // an idle plugin never keeps the process alive
+    worker = w;
+    synced = createSync();
+    loaded = new Promise((resolve) => {
+      const loadTimeout = Math.max(timeout, MIN_LOAD_TIMEOUT);
+      const timer = setTimeout(() => {
+        if (worker === w) stop(new PluginError(`Flow plugin ${name} did not load within ${loadTimeout} ms`));
+        resolve({ exports: [], loadError: `Flow plugin ${name} did not load within ${loadTimeout} ms` });
+      }, loadTimeout);
+      timer.unref();
+      w.on("message", (msg) => {
+        if (msg.type === "ready") {
+          clearTimeout(timer);
+          return resolve({ exports: msg.exports, loadError: msg.loadError });
+        }
+        const p = pending.get(msg.id);
+        if (!p) return;
+        pending.delete(msg.id);
+        clearTimeout(p.timer);
+        if (msg.ok) p.resolve(msg.value);
+        else p.reject(new PluginError(msg.validation ? msg.error : `Flow plugin ${name}: ${msg.fn}() failed: ${msg.error}`));
+      });
+      const crashed = (why) => {
+        clearTimeout(timer);
+        if (worker !== w) return;
+        const err = new PluginError(`Flow plugin ${name} crashed: ${why}`);
+        stop(err);
+        resolve({ exports: [], loadError: err.message });
+      };
+      w.on("error", (e) => crashed(e.code === "ERR_WORKER_OUT_OF_MEMORY" ? `out of memory (limit ${memoryMb} MB)` : e.message));
+      w.on("exit", (code) => crashed(`worker exited with code ${code}`));
+    });
+  }
+
+  function ready() {
+    if (closed) return Promise.resolve({ exports: [], loadError: `Flow plugin ${name} was unloaded` });
+    if (!worker) start();
+    return loaded;
+  }
+
+  async function call(fn, payload, snapshot) {
+    const { loadError } = await ready();
+    if (loadError) throw new PluginError(loadError);
+    const w = worker;
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        // The worker is stuck: calls queued behind this one fail too
+        if (worker === w) stop(new PluginError(`Flow plugin ${name}: ${fn}() was cut off when an earlier call timed out`));
+        reject(new PluginError(`Flow plugin ${name}: ${fn}() timed out after ${timeout} ms`));
+      }, timeout);
+      pending.set(id, { resolve, reject, timer });
+      try {
+        const { session, received, updates, ...snap } = snapshot || {};
+        if (session) snap.session = syncSession(synced, { sessionId: snap.sessionId, session, received, updates });
+        w.postMessage({ id, fn, payload, snapshot: snap });
+      } catch (e) {
+        synced = createSync(); // the worker may not have this delta: start over
+        pending.delete(id);
+        clearTimeout(timer);
+        reject(new PluginError(`Flow plugin ${name}: ${fn}() could not be called: ${e.message}`));
+      }
+    });
+  }
+
+  return {
+    ready,
+    call,
+    close() {
+      closed = true;
+      stop(new PluginError(`Flow plugin ${name} was unloaded`));
+    }
+  };
+}
+
+/* ===== Worker side ===== */
+
+function deepFreeze(v) {
+  if (v && typeof v === "object" && !Object.isFrozen(v)) {
+    Object.freeze(v);
+    for (const x of Object.values(v)) deepFreeze(x);
+  }
+  return v;
+}
+
+// The worker's copy of the sessions it was called for: sessionId -> { meta, flows, where }
+// (flows: Map(flowId -> { meta, from, messages, view }); where: messageId -> { flow, index })
+const mirrors = new Map();
+
+function forgetMessages(mirror, messages) {
+  for (const m of messages) mirror.where.delete(m.messageId);
+}
+
+// Apply a syncSession() delta; returns the session's copy
+function applySync(d) {
+  if (d.clear) mirrors.clear();
+  for (const id of d.forget) mirrors.delete(id);
+  let mirror = mirrors.get(d.sessionId);
+  if (d.reset || !mirror) {
+    mirror = { meta: {}, flows: new Map(), where: new Map() };
+    mirrors.set(d.sessionId, mirror);
+  }
+  if (d.meta) mirror.meta = deepFreeze(d.meta);
+  for (const m of d.updates || []) {
+    const at = mirror.where.get(m.messageId);
+    if (!at) continue; // evicted, or sent with this delta
+    at.flow.messages[at.index - at.flow.from] = deepFreeze(m);
+    at.flow.view = null;
+  }
+  for (const [flowId, fd] of Object.entries(d.flows)) {
+    let f = mirror.flows.get(flowId);
+    if (fd.reset || !f) {
+      if (f) forgetMessages(mirror, f.messages);
+      f = { meta: {}, from: fd.from || 0, messages: [] };
+      mirror.flows.set(flowId, f);
+    }
+    if (fd.meta) f.meta = deepFreeze(fd.meta);
+    if (fd.from > f.from) {
+      forgetMessages(mirror, f.messages.splice(0, fd.from - f.from));
+      f.from = fd.from;
+    }
+    for (const m of fd.append || []) {
+      mirror.where.set(m.messageId, { flow: f, index: f.from + f.messages.length });
+      f.messages.push(deepFreeze(m));
+    }
+    f.view = null;
+  }
+  return mirror;
+}
+
+// A flow as plugins see it: frozen, rebuilt only after it changed
+function flowView(f) {
+  if (!f.view) f.view = Object.freeze({ ...f.meta, messages: Object.freeze(f.messages.slice()) });
+  return f.view;
+}
+
+// ctx as flow plugins know it, over the snapshot
+function buildContext(snap) {
+  const mirror = snap.session ? applySync(snap.session) : { meta: {}, flows: new Map() };
+  const cut = snap.cut;
+  const visible = (fid, m, i) => !cut || (fid === cut.flowId ? i < cut.index : m.timestamp < cut.timestamp);
+  const flow = (fid) => {
+    const f = mirror.flows.get(fid);
+    if (!f) throw new Error(`Unknown flowId: ${fid} in session ${snap.sessionId}`);
+    return f;
+  };
+  const ctx = {
+    sessionId: snap.sessionId,
+    flowId: snap.flowId,
+    headers: deepFreeze(snap.headers || {}),
+    schemaSelectors: snap.schemaSelectors || null,
+    findMessages: ({ flowId: fid, where } = {}) => {
+      const out = [];
+      for (const id of fid ? [fid] : mirror.flows.keys()) {
+        const f = flow(id);
+        f.messages.forEach((m, i) => {
+          if (visible(id, m, f.from + i) && (!where || where(m))) out.push(m);
+        });
+      }
+      return out;
+    },
+    getFlow: (fid) => flowView(flow(fid)),
+    getSession: () => Object.freeze({
+      ...mirror.meta,
+      flows: Object.freeze(Object.fromEntries([...mirror.flows].map(([fid, f]) => [fid, flowView(f)])))
+    })
+  };
+  ctx.findEvents = ctx.findMessages;
+  return ctx;
+}
+
+function runWorker() {
+  const name = path.basename(workerData.file);
+  let mod = {};
+  let loadError = null;
+  try {
+    // eslint-disable-next-line import/no-dynamic-require, global-require
+    const loaded = require(workerData.file);
+    mod = loaded && typeof loaded === "object" ? loaded : {};
+  } catch (e) {
+    loadError = `Flow plugin ${name} failed to load: ${e.message}`;
+  }
+  parentPort.postMessage({ type: "ready", exports: FUNCTIONS.filter(f => typeof mod[f] === "function"), loadError });
+
+  parentPort.on("message", async ({ id, fn, payload, snapshot }) => {
+    let reply;
+    try {
+      reply = { id, fn, ok: true, value: await mod[fn](payload, buildContext(snapshot)) };
+    } catch (e) {
+      // A thrown ValidationError is the plugin's own message, reported as is
+      const validation = e?.name === "ValidationError" || e?.constructor?.name === "ValidationError";
+      reply = { id, fn, ok: false, validation, error: e instanceof Error ? e.message : String(e) };
+    }
+    try {
+      parentPort.postMessage(reply);
+    } catch (e) {
+      parentPort.postMessage({ id, fn, ok: false, error: `returned a value that can't be passed back (${e.message})` });
+    }
+  });
+}
+
+if (!isMainThread && workerData?.file) runWorker();
+
+module.exports = { createSandbox, syncSession, createSync, PluginError };
@@ -0,0 +1,134 @@
+// validators/sequence.js
+// Flow specs: the events a flow is expected to produce, and the flow verdict.
+//
+// validators/flows/<flowId>/flow.spec.json
+// {
+//   "ordered": true,                 // expected events must first appear in this order
+//   "allowUnexpected": true,         // events matching nothing are listed; fail only if false
+//   "events": [
+//     { "name": "login",   "type": "login" },                               // payload.type === "login"
+//     { "name": "payment", "match": { "/data/event_name": "Payment" }, "min": 1, "max": 1 },
+//     { "name": "promo",   "match": { "promoId": { "exists": true } }, "optional": true }
+//   ],
+//   "forbidden": [
+//     { "name": "error",   "match": { "data.event_name": { "regex": "Error" } } }
+//   ]
+// }
+const { compileMatch } = require("./match");
+
+function fail(msg) {
+  throw new Error(`Invalid flow spec: ${msg}`);
+}
+
+function compileEvent(ev, where) {
+  if (!ev || typeof ev !== "object" || Array.isArray(ev)) fail(`${where} must be an object`);
+  if (!ev.type && !ev.match) fail(`${where} needs "type" or "match"`);
+  const name = ev.name || ev.type;
+  if (!name) fail(`${where} needs a "name" when matched by "match"`);
+
+  const match = { ...(ev.type ? { type: ev.type } : {}), ...(ev.match || {}) };
+  const min = ev.min ?? (ev.optional ? 0 : 1);
+  const max = ev.max ?? null;
+  if (!Number.isInteger(min) || min < 0) fail(`${where}.min must be a non-negative integer`);
+  if (max !== null && (!Number.isInteger(max) || max < min)) fail(`${where}.max must be an integer >= min`);
+
+  try {
+    return { name, min, max, test: compileMatch(match, `${where}.match`) };
+  } catch (e) {
+    return fail(e.message);
+  }
+}
+
+/**
+ * Check a parsed spec and compile its matchers. Throws with a clear message
+ * (prefixed "Invalid flow spec:") on the first problem.
+ */
+function compileSpec(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail("must be a JSON object");
+  if (!Array.isArray(raw.events)) fail(`"events" must be an array`);
+  if (raw.forbidden !== undefined && !Array.isArray(raw.forbidden)) fail(`"forbidden" must be an array`);
+
+  const events = raw.events.map((ev, i) => compileEvent(ev, `events[${i}]`));
+  const forbidden = (raw.forbidden || []).map((ev, i) => compileEvent({ optional: true, ...ev }, `forbidden[${i}]`));
+  const names = new Set();
+  for (const ev of events) {
+    if (names.has(ev.name)) fail(`duplicate event name "${ev.name}"`);
+    names.add(ev.name);
+  }
+
+  return {
+    ordered: raw.ordered !== false,
+    allowUnexpected: raw.allowUnexpected !== false,
+    events,
+    forbidden
+  };
+}
+
+/**
+ * Compute the verdict of a flow's messages against a compiled spec.
+ * status: "Passed" | "Failed" | "Incomplete" (missing events while the flow is still running)
+ * `evicted`: how many of the oldest messages retention removed. They may have held the
+ * missing events or put the others in order, so missing events only make the verdict
+ * Incomplete and order isn't checked.
+ */
+function evaluateFlow(spec, messages, { ended = false, evicted = 0 } = {}) {
+  const counts = spec.events.map(() => 0);
+  const unexpected = [];
+  const outOfOrder = [];
+  const forbidden = [];
+  let furthest = -1; // highest expected-event index seen so far
+
+  for (const m of messages || []) {
+    const payload = m.payload;
+    const banned = spec.forbidden.find(ev => ev.test(payload));
+    if (banned) {
+      forbidden.push({ event: banned.name, messageId: m.messageId });
+      continue;
+    }
+    const idx = spec.events.findIndex(ev => ev.test(payload));
+    if (idx === -1) {
+      unexpected.push({ messageId: m.messageId });
+      continue;
+    }
+    counts[idx] += 1;
+    if (spec.ordered && !evicted && idx < furthest && counts[idx] === 1) {
+      outOfOrder.push({ event: spec.events[idx].name, messageId: m.messageId, after: spec.events[furthest].name });
+    }
+    furthest = Math.max(furthest, idx);
+  }
+
+  const missing = [];
+  const tooMany = [];
+  spec.events.forEach((ev, i) => {
+    if (counts[i] < ev.min) missing.push({ event: ev.name, expected: ev.min, seen: counts[i] });
+    if (ev.max !== null && counts[i] > ev.max) tooMany.push({ event: ev.name, max: ev.max, seen: counts[i] });
+  });
+
+  const problems = [];
+  forbidden.forEach(f => problems.push(`Forbidden event '${f.event}' received (${f.messageId}).`));
+  tooMany.forEach(t => problems.push(`Event '${t.event}' seen ${t.seen} times, at most ${t.max} allowed.`));
+  outOfOrder.forEach(o => problems.push(`Event '${o.event}' arrived after '${o.after}' (${o.messageId}).`));
+  if (!spec.allowUnexpected) unexpected.forEach(u => problems.push(`Unexpected event ${u.messageId}.`));
+  missing.forEach(mi => problems.push(`Missing event '${mi.event}' (expected ${mi.expected}, seen ${mi.seen}).`));
+  if (evicted && missing.length) problems.push(`The ${evicted} oldest message(s) were evicted (retention): missing events can't be confirmed.`);
+
+  const failing = forbidden.length + tooMany.length + outOfOrder.length + (spec.allowUnexpected ? 0 : unexpected.length);
+  let status = "Passed";
+  if (failing > 0) status = "Failed";
+  else if (missing.length > 0) status = ended && !evicted ? "Failed" : "Incomplete";
+
+  return {
+    status,
+    evaluatedAt: new Date().toISOString(),
+    counts: Object.fromEntries(spec.events.map((ev, i) => [ev.name, counts[i]])),
+    missing,
+    unexpected,
+    outOfOrder,
+    forbidden,
+    tooMany,
+    ...(evicted ? { evicted } : {}),
+    problems
+  };
+}
+
+module.exports = { compileSpec, evaluateFlow };